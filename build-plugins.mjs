@@ -0,0 +1,13 @@
+/**
+ * esbuild plugins shared by build.mjs and web/build-primaweb.mjs
+ */
+
+// Browser bundles: Node built-ins imported by Node-only features (file memo) are empty in browsers,
+// and the real module where the bundle runs on a Node that can hand it out synchronously
+export const nodeStubs = {
+  name: 'node-stubs',
+  setup(build) {
+    build.onResolve({ filter: /^node:fs$/ }, args => ({ path: args.path, namespace: 'node-stub' }))
+    build.onLoad({ filter: /.*/, namespace: 'node-stub' }, args => ({ contents: `module.exports = globalThis.process?.getBuiltinModule?.('${args.path}') ?? {}` }))
+  }
+}
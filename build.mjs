@@ -7,6 +7,7 @@ import { build } from 'esbuild'
 import { readFileSync, writeFileSync, mkdirSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
+import { nodeStubs } from './build-plugins.mjs'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -29,7 +30,8 @@ const buildConfig = {
   define: {
     'process.env.NODE_ENV': '"production"'
   },
-  external: [] // Bundle everything for browser
+  external: [], // Bundle everything for browser
+  plugins: [nodeStubs]
 }
 
 // Build for browser (ESM)
@@ -75,7 +77,8 @@ async function buildNodeCJS() {
       outfile: 'dist/primalib.cjs',
       format: 'cjs',
       platform: 'node',
-      external: [] // Bundle for standalone use
+      external: [], // Bundle for standalone use
+      plugins: []
     })
     console.log('✅ Node.js CJS bundle created: dist/primalib.cjs')
   } catch (error) {
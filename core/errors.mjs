@@ -167,3 +167,20 @@ export const withTimeout = (fn, timeout = 5000, errorHandler = handleError) => {
   }
 }
 
+
+
+// Materialization budget: AbortSignal, item cap and wall-clock cap
+export const hasBudget = (opts = {}) => !!opts.signal || opts.maxItems != null || opts.maxMs != null
+
+// Throws when the budget is spent; count = items already produced
+export const checkBudget = ({ signal, maxItems, maxMs } = {}, count = 0, start = Date.now()) => {
+  if (signal?.aborted) {
+    throw new MaterializationError(`aborted after ${count} items`, { count, aborted: true, reason: signal.reason })
+  }
+  if (maxItems != null && count >= maxItems) {
+    throw new MaterializationError(`exceeded maxItems (${maxItems})`, { count, maxItems })
+  }
+  if (maxMs != null && Date.now() - start > maxMs) {
+    throw new InfiniteLoopError(`gave up after ${count} items`, maxMs, { count, maxMs })
+  }
+}
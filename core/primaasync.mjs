@@ -0,0 +1,369 @@
+/**
+ * PrimaAsync - Async lazy sets for PrimaSet
+ * Same plugin registry (the ops of the set's scope), pull-based: the consumer sets the pace
+ */
+
+import { primaSet, opShape, root } from './primaset.mjs'
+import { big } from './primaops.mjs'
+import { ProxyError, handleError, hasBudget, checkBudget } from './errors.mjs'
+
+// ============================================================================
+// isAsyncSource (factory) - Detect sources that can only be consumed async
+// ============================================================================
+
+const isAsyncSource = (src) => {
+  if (src == null) return false
+  if (typeof src === 'function') return src.constructor?.name === 'AsyncGeneratorFunction'
+  if (typeof src !== 'object') return false
+  if (typeof src[Symbol.iterator] === 'function') return false // Sync iterables stay sync
+  return typeof src[Symbol.asyncIterator] === 'function' ||
+         typeof src.getReader === 'function' ||   // ReadableStream without async iteration
+         typeof src.then === 'function'           // Promise / thenable (worker results, fetch)
+}
+
+// ============================================================================
+// asyncGenerator (factory) - Transform any input to async generator
+// ============================================================================
+
+const asyncGenerator = (src) => {
+  if (src == null) return async function* () {}
+  if (typeof src === 'function') {
+    const kind = src.constructor?.name
+    if (kind === 'AsyncGeneratorFunction') return src
+    if (kind === 'GeneratorFunction') return async function* () { yield* src() }
+  }
+  if (typeof src?.[Symbol.asyncIterator] === 'function' || typeof src?.[Symbol.iterator] === 'function') {
+    return async function* () { yield* src }
+  }
+  if (typeof src.getReader === 'function') {
+    return async function* () {
+      const reader = src.getReader()
+      let finished = false
+      try {
+        while (true) {
+          const { value, done } = await reader.read()
+          if (done) { finished = true; return }
+          yield value
+        }
+      } finally {
+        // Early exit (take, first, break): tell the producer to stop
+        if (!finished) await reader.cancel().catch(() => {})
+        reader.releaseLock()
+      }
+    }
+  }
+  if (typeof src.then === 'function') {
+    return async function* () { yield* primaSet(await src) }
+  }
+  return async function* () { yield src }
+}
+
+// ============================================================================
+// asyncBudget (factory) - Guard async generator with signal / maxItems / maxMs
+// ============================================================================
+
+// Unlike the sync guard, a stalled await (silent socket, empty channel) is
+// interrupted too: the abort event and the timer race the pending next().
+const asyncBudget = (gen, opts) => {
+  if (!hasBudget(opts)) return gen
+  return async function* () {
+    const start = Date.now()
+    let count = 0
+    let stop
+    const stopped = new Promise((_, reject) => { stop = reject })
+    stopped.catch(() => {})
+    const fail = () => { try { checkBudget(opts, count, start); return false } catch (e) { stop(e); return true } }
+    // Timers and Date.now() tick apart: one that fires before the clock passes maxMs waits again
+    const expire = () => { if (!fail()) timer = setTimeout(expire, 1) }
+    let timer = opts.maxMs != null ? setTimeout(expire, opts.maxMs + 1) : null
+    opts.signal?.addEventListener?.('abort', fail)
+    const it = gen()
+    try {
+      checkBudget({ signal: opts.signal }, count, start)
+      while (true) {
+        const { value, done } = await Promise.race([it.next(), stopped])
+        if (done) return
+        checkBudget(opts, count, start)
+        count++
+        yield value
+      }
+    } finally {
+      clearTimeout(timer)
+      opts.signal?.removeEventListener?.('abort', fail)
+      it.return?.().catch(() => {})
+    }
+  }
+}
+
+// ============================================================================
+// Async Methods - `this` is the raw target, iterate with for await
+// ============================================================================
+
+const asyncMethods = {
+  // Lazy transformations
+  async *map(f) { for await (const x of this) yield await f(x) },
+  async *filter(p) { for await (const x of this) if (await p(x)) yield x },
+  async *on(f) { for await (const x of this) { await f(x); yield x } },
+
+  async *take(n) {
+    if (n <= 0) return
+    let c = 0
+    // Stop right after the n-th item: never pull one more from a stream
+    for await (const x of this) {
+      yield x
+      if (++c >= n) return
+    }
+  },
+
+  async *takeWhile(pred) {
+    for await (const x of this) {
+      if (!(await pred(x))) return
+      yield x
+    }
+  },
+
+  async *skip(n) {
+    let c = 0
+    for await (const x of this) if (c++ >= n) yield x
+  },
+
+  async *chunk(size) {
+    let buf = []
+    for await (const x of this) {
+      buf.push(x)
+      if (buf.length === size) { yield buf; buf = [] }
+    }
+    if (buf.length > 0) yield buf
+  },
+
+  async *window(size) {
+    const buf = []
+    for await (const x of this) {
+      buf.push(x)
+      if (buf.length > size) buf.shift()
+      if (buf.length === size) yield [...buf]
+    }
+  },
+
+  async *zip(other, f) {
+    const itA = this[Symbol.asyncIterator](), itB = asyncSet(other)[Symbol.asyncIterator]()
+    try {
+      while (true) {
+        // self first: once it ends, other is closed without pulling one more item
+        const a = await itA.next()
+        if (a.done) break
+        const b = await itB.next()
+        if (b.done) break
+        yield f ? await f(a.value, b.value) : [a.value, b.value]
+      }
+    } finally {
+      await Promise.all([itA.return?.(), itB.return?.()])
+    }
+  },
+
+  async *concat(...others) {
+    yield* this
+    for (const other of others) yield* asyncSet(other)
+  },
+
+  async *unique() {
+    const seen = new Set()
+    for await (const x of this) {
+      const key = typeof x === 'object' && x !== null ? JSON.stringify(x) : x
+      if (!seen.has(key)) { seen.add(key); yield x }
+    }
+  },
+
+  async *debug(label = '') {
+    for await (const x of this) {
+      console.log(`[debug${label ? ' ' + label : ''}]`, x)
+      yield x
+    }
+  },
+
+  // Terminal operations - return Promises
+  async reduce(f, init) {
+    let acc = init
+    for await (const x of this) acc = await f(acc, x)
+    return acc
+  },
+
+  async toArray() {
+    const result = []
+    for await (const x of this) result.push(x)
+    return result
+  },
+
+  async forEach(fn) { for await (const x of this) await fn(x) },
+
+  async first() {
+    for await (const x of this) return x
+    return undefined
+  },
+
+  async isEmpty() {
+    for await (const _ of this) return false
+    return true
+  },
+
+  count() { return this.reduce(c => c + 1, 0) },
+  // Same arithmetic as the sync reductions: BigInts stay BigInts
+  sum() { return this.reduce((a, b) => big.add(a, big.num(b) || 0), 0) },
+  async mean() {
+    const { sum, count } = await this.reduce((acc, val) => ({ sum: big.add(acc.sum, val), count: acc.count + 1 }), { sum: 0, count: 0 })
+    return count ? big.div(sum, count) : 0
+  },
+  min() { return this.reduce((a, b) => big.min(a, big.num(b)), Infinity) },
+  max() { return this.reduce((a, b) => big.max(a, big.num(b)), -Infinity) },
+
+  // Budget guard - same as asyncSet(this, { signal, maxItems, maxMs })
+  guard(opts = {}) { return asyncSet(this, opts) },
+
+  // Back to a sync primaSet once everything has arrived
+  async collect() { return this._scope.primaSet(await this.toArray()) },
+
+  [Symbol.asyncIterator]() { return this._gen() }
+}
+
+// ============================================================================
+// asyncOperation (factory) - Apply primaSet.ops element-wise, lazily
+// ============================================================================
+
+const isSetLike = (x) => isAsyncSource(x) || (x != null && typeof x === 'object' && typeof x[Symbol.iterator] === 'function')
+
+const asyncOperation = (target, name, op, args) => {
+  const scope = target._scope
+  const { arity, variadic: isVariadic } = opShape(scope, name, op)
+
+  // Reductions (sum-like variadics) need every value: materialize, then reuse sync semantics
+  if (isVariadic && !args.length) return target.toArray().then(arr => scope.primaSet(arr)[name]())
+
+  if (arity === 2 && args.length === 1 && isSetLike(args[0])) {
+    const other = args[0]
+    // Sync singleton broadcasts, anything else zips - same rule as operationHandler.applyBinary
+    if (!isAsyncSource(other)) {
+      const head = scope.primaSet(other).take(2).toArray()
+      if (head.length === 1) return asyncSet(asyncMethods.map.bind(target, x => op(x, head[0])), {}, scope)
+    }
+    return asyncSet(asyncMethods.zip.bind(target, other, op), {}, scope)
+  }
+
+  return asyncSet(asyncMethods.map.bind(target, x => op(x, ...args)), {}, scope)
+}
+
+// ============================================================================
+// asyncHandler (factory) - Proxy handler for async sets
+// ============================================================================
+
+const asyncHandler = () => ({
+  get(target, prop) {
+    try {
+      const { asyncProto, ops, primaSet } = target._scope
+      if (prop === Symbol.asyncIterator) return asyncProto[Symbol.asyncIterator].bind(target)
+      if (Object.hasOwn(target, prop)) return target[prop]
+
+      // Async methods: generators become new async sets, the rest resolve
+      const direct = asyncProto[prop]
+      if (typeof direct === 'function') {
+        if (direct.constructor?.name === 'AsyncGeneratorFunction') {
+          return (...args) => asyncSet(async function* () { yield* direct.apply(target, args) }, {}, target._scope)
+        }
+        return (...args) => direct.apply(target, args)
+      }
+      if (typeof prop === 'symbol') return undefined
+
+      // Operations from the registry of the set's scope (Math, Number, primaops, plugins)
+      if (Object.hasOwn(ops, prop)) {
+        const op = ops[prop]
+        return (...args) => asyncOperation(target, prop, op, args)
+      }
+
+      // Sync plugin methods without an async version: run on the materialized set
+      if (typeof primaSet(null)[prop] === 'function') {
+        return (...args) => asyncMethods.toArray.call(target).then(arr => primaSet(arr)[prop](...args))
+      }
+      return undefined
+    } catch (error) {
+      throw handleError(new ProxyError(error.message, prop, target, { error }))
+    }
+  }
+})
+
+// ============================================================================
+// asyncSet (factory) - Returns async PrimaSet proxy
+// ============================================================================
+
+// scope: the factory whose plugins and ops the set sees (the one of an async source set by default)
+const asyncSet = (src, opts = {}, scope = src?._scope ?? root) => {
+  const obj = Object.create(scope.asyncProto)
+  obj._scope = scope
+  obj._gen = asyncBudget(asyncGenerator(src), opts)
+  obj._opts = { ...opts }
+  obj._async = true
+  return new Proxy(obj, asyncHandler())
+}
+
+// ============================================================================
+// channel (factory) - Push source with backpressure (events, sockets, workers)
+// ============================================================================
+
+// push() resolves once the buffer has room again, so a producer that awaits it
+// never runs more than highWaterMark items ahead of the consumer.
+const channel = (highWaterMark = 16, scope = root) => {
+  const buffer = []
+  const pulls = []    // Consumers waiting for a value
+  const spaces = []   // Producers waiting for room
+  let closed = false, failure = null
+
+  const drain = () => {
+    while (spaces.length && buffer.length < highWaterMark) spaces.shift()(true)
+  }
+
+  const push = (value) => {
+    if (closed) return Promise.resolve(false)
+    if (pulls.length) {
+      pulls.shift().resolve({ value, done: false })
+      return Promise.resolve(true)
+    }
+    buffer.push(value)
+    if (buffer.length < highWaterMark) return Promise.resolve(true)
+    return new Promise(resolve => spaces.push(resolve))
+  }
+
+  const end = () => {
+    closed = true
+    while (pulls.length) pulls.shift().resolve({ value: undefined, done: true })
+    while (spaces.length) spaces.shift()(false)
+  }
+
+  const error = (err) => {
+    failure = err
+    while (pulls.length) pulls.shift().reject(err)
+    end()
+  }
+
+  const set = asyncSet(async function* () {
+    try {
+      while (true) {
+        if (buffer.length) {
+          const value = buffer.shift()
+          drain()
+          yield value
+          continue
+        }
+        if (failure) throw failure
+        if (closed) return
+        const { value, done } = await new Promise((resolve, reject) => pulls.push({ resolve, reject }))
+        if (done) return
+        yield value
+      }
+    } finally {
+      // Consumer stopped early: release waiting producers
+      if (!closed) end()
+    }
+  }, {}, scope)
+
+  return { push, end, error, set, get size() { return buffer.length } }
+}
+
+export { asyncSet, asyncMethods, channel, isAsyncSource }
@@ -0,0 +1,203 @@
+// primaasync.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet, asyncSet, channel } from './primaset.mjs'
+
+const ticks = async function* (n) { for (let i = 1; i <= n; i++) { await null; yield i } }
+
+// Normalization
+test('🧪 primaasync.test.mjs - Normalization - async generator function', async ({check}) => {
+  const s = primaSet(async function* () { yield 1; yield 2; yield 3 })
+  check(await s.toArray(), [1, 2, 3])
+})
+
+test('Normalization - promise resolves into a set', async ({check}) => {
+  check(await primaSet(Promise.resolve([4, 5])).toArray(), [4, 5])
+  check(await primaSet(Promise.resolve(7)).toArray(), [7])
+})
+
+test('Normalization - ReadableStream', async ({check}) => {
+  if (typeof ReadableStream === 'undefined') return check(true)
+  const stream = new ReadableStream({
+    start(controller) { [1, 2, 3].forEach(x => controller.enqueue(x)); controller.close() }
+  })
+  check(await primaSet(stream).map(x => x * 10).toArray(), [10, 20, 30])
+})
+
+test('Normalization - sync sources through asyncSet / toAsync', async ({check}) => {
+  check(await asyncSet([1, 2, 3]).toArray(), [1, 2, 3])
+  check(await primaSet([1, 2, 3]).toAsync().map(x => x + 1).toArray(), [2, 3, 4])
+})
+
+test('for await - iterates async set', async ({check}) => {
+  const seen = []
+  for await (const x of primaSet(async function* () { yield* ticks(3) })) seen.push(x)
+  check(seen, [1, 2, 3])
+})
+
+// Lazy pipeline
+test('async pipeline - map/filter/take with async callbacks', async ({check}) => {
+  const s = primaSet(async function* () { let n = 1; while (true) yield n++ })
+  const result = s.map(async x => x * x).filter(async x => x % 2 === 1).take(3)
+  check(await result.toArray(), [1, 9, 25])
+})
+
+test('async take - never pulls past n', async ({check}) => {
+  let pulled = 0
+  const s = primaSet(async function* () { while (true) yield ++pulled })
+  check(await s.take(3).toArray(), [1, 2, 3])
+  check(pulled, 3)
+})
+
+test('async chunk/window/skip', async ({check}) => {
+  const s = () => primaSet(async function* () { yield* ticks(5) })
+  check(await s().chunk(2).toArray(), [[1, 2], [3, 4], [5]])
+  check(await s().window(3).toArray(), [[1, 2, 3], [2, 3, 4], [3, 4, 5]])
+  check(await s().skip(3).toArray(), [4, 5])
+})
+
+test('async zip - with sync and async sets', async ({check}) => {
+  const a = primaSet(async function* () { yield* ticks(3) })
+  check(await a.zip([10, 20, 30, 40], (x, y) => x + y).toArray(), [11, 22, 33])
+  const b = primaSet(async function* () { yield* ticks(2) })
+  check(await b.zip(asyncSet(['a', 'b'])).toArray(), [[1, 'a'], [2, 'b']])
+})
+
+test('async zip - stops pulling other once self ends, and closes it', async ({check}) => {
+  let pulled = 0, closed = false
+  const other = async function* () { try { for (let i = 1; ; i++) { pulled++; yield i } } finally { closed = true } }
+  check(await asyncSet([1, 2]).zip(other).toArray(), [[1, 1], [2, 2]])
+  check(pulled, 2)
+  check(closed, true)
+})
+
+// Terminals
+test('async terminals - reduce/count/sum/mean/first/isEmpty', async ({check}) => {
+  const s = () => primaSet(async function* () { yield* ticks(4) })
+  check(await s().reduce((a, b) => a * b, 1), 24)
+  check(await s().count(), 4)
+  check(await s().sum(), 10)
+  check(await s().mean(), 2.5)
+  check(await s().first(), 1)
+  check(await s().isEmpty(), false)
+  check(await asyncSet(null).isEmpty(), true)
+})
+
+test('async terminals - BigInt streams keep BigInt arithmetic', async ({check}) => {
+  const s = () => asyncSet([2n ** 60n, 2n ** 61n, 1n])
+  check(await s().sum() === 2n ** 60n + 2n ** 61n + 1n, true)
+  check(await s().min() === 1n, true)
+  check(await s().max() === 2n ** 61n, true)
+  check(await asyncSet([2n, 4n]).mean() === 3n, true)
+  check(await asyncSet([1, 2n]).sum() === 3n, true)
+})
+
+test('async collect - back to sync primaSet', async ({check}) => {
+  const s = await primaSet(async function* () { yield* ticks(3) }).collect()
+  check(s.map(x => x * 2), [2, 4, 6])
+})
+
+// Shared registry
+test('async ops - Math and primaops work unchanged', async ({check}) => {
+  const s = () => primaSet(async function* () { yield* ticks(3) })
+  check(await s().sq().toArray(), [1, 4, 9])
+  check(await s().add(10).toArray(), [11, 12, 13])
+  check(await s().mul([2, 3, 4]).toArray(), [2, 6, 12])
+  check(await s().pow(2).toArray(), [1, 4, 9])
+  check(await s().hypot(), Math.hypot(1, 2, 3))
+})
+
+test('async plugin - async generator methods register on async sets', async ({check}) => {
+  const lib = primaSet.create({ plugins: { async *pairs() { let prev; for await (const x of this) { if (prev !== undefined) yield [prev, x]; prev = x } } } })
+  check(await lib.async([1, 2, 3]).pairs().toArray(), [[1, 2], [2, 3]])
+  check(typeof asyncSet([1]).pairs, 'undefined')   // The root scope is untouched
+})
+
+test('async fallback - sync plugin methods run on materialized set', async ({check}) => {
+  const sorted = await asyncSet([3, 1, 2]).sort()
+  check(sorted, [1, 2, 3])
+})
+
+// Backpressure
+test('channel - push resolves only when buffer has room', async ({check}) => {
+  const ch = channel(2)
+  const order = []
+  const producer = (async () => {
+    for (let i = 1; i <= 5; i++) {
+      await ch.push(i)
+      order.push(`push ${i}`)
+    }
+    ch.end()
+  })()
+  check(ch.size <= 2)
+  const values = []
+  for await (const x of ch.set) {
+    values.push(x)
+    check(ch.size <= 2)
+  }
+  await producer
+  check(values, [1, 2, 3, 4, 5])
+  check(order.length, 5)
+})
+
+test('channel - error propagates to consumer', async ({check}) => {
+  const ch = channel()
+  ch.push(1)
+  ch.error(new Error('socket closed'))
+  try {
+    await ch.set.toArray()
+    check(false)
+  } catch (e) {
+    check(e.message, 'socket closed')
+  }
+})
+
+// Budgets
+test('async budget - maxItems and partial count', async ({check}) => {
+  const s = primaSet(async function* () { let n = 0; while (true) yield n++ }, { maxItems: 10 })
+  try {
+    await s.toArray()
+    check(false)
+  } catch (e) {
+    check(e.name, 'MaterializationError')
+    check(e.context.count, 10)
+  }
+})
+
+test('async budget - abort interrupts a stalled source', async ({check}) => {
+  const ch = channel()
+  const controller = new AbortController()
+  ch.push(1)
+  setTimeout(() => controller.abort(), 5)
+  try {
+    await ch.set.guard({ signal: controller.signal }).toArray()
+    check(false)
+  } catch (e) {
+    check(e.context.aborted, true)
+    check(e.context.count, 1)
+  }
+})
+
+test('async budget - maxMs times out a silent source', async ({check}) => {
+  const ch = channel()
+  try {
+    await primaSet.async(ch.set, { maxMs: 10 }).toArray()
+    check(false)
+  } catch (e) {
+    check(e.name, 'InfiniteLoopError')
+    check(e.context.count, 0)
+  }
+})
+
+test('async budget - maxMs still fires after a long synchronous stretch', async ({check}) => {
+  // The event loop's clock lags behind Date.now() after blocking work: its timer may fire early
+  const outcomes = []
+  for (let k = 0; k < 10; k++) {
+    await new Promise(resolve => setTimeout(resolve, 5))
+    const t = Date.now()
+    while (Date.now() - t < 30);
+    const run = primaSet.async(channel().set, { maxMs: 10 }).toArray().catch(e => e.name)
+    outcomes.push(await Promise.race([run, new Promise(resolve => setTimeout(resolve, 500, 'stalled'))]))
+  }
+  check(outcomes, Array(10).fill('InfiniteLoopError'))
+})
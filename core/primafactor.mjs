@@ -0,0 +1,218 @@
+/**
+ * PrimaFactor - Integer factorization: trial division, Pollard-Brent rho, then a small ECM stage
+ * factorize(n) gives { p: e }; divisors, sigma, radical and isSquarefree are built on the same prime factors
+ */
+
+import { PrimaError } from './errors.mjs'
+import { isPrime } from './primaprime.mjs'
+
+// ============================================================================
+// Helpers - BigInt gcd, Numbers while exact
+// ============================================================================
+
+const gcd = (a, b) => {
+  while (b) [a, b] = [b, a % b]
+  return a
+}
+
+const abs = (x) => x < 0n ? -x : x
+
+const fit = (x) => x <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(x) : x
+
+// Trial division up to here; what is left is prime below its square, or goes to rho / ECM
+const TRIAL = 4096
+
+// ============================================================================
+// Pollard-Brent rho - x -> x² + c mod n, gcds batched over `batch` steps
+// ============================================================================
+
+const rho = (n, c, maxSteps = 1 << 20) => {
+  const f = (x) => (x * x + c) % n
+  const batch = 128
+  let y = 2n, r = 1, q = 1n, g = 1n, x = y, ys = y
+  while (g === 1n && r <= maxSteps) {
+    x = y
+    for (let i = 0; i < r; i++) y = f(y)
+    for (let k = 0; k < r && g === 1n; k += batch) {
+      ys = y
+      for (let i = 0; i < Math.min(batch, r - k); i++) {
+        y = f(y)
+        q = q * abs(x - y) % n
+      }
+      g = gcd(q, n)
+    }
+    r *= 2
+  }
+  // The batch overshot: step again one gcd at a time
+  if (g === n) {
+    do {
+      ys = f(ys)
+      g = gcd(abs(x - ys), n)
+    } while (g === 1n)
+  }
+  return g === 1n || g === n ? null : g
+}
+
+// ============================================================================
+// ECM, stage 1 - Montgomery curves (Suyama's parametrization), x-only ladder
+// Finds factors up to about 15-20 digits that rho would take too long for
+// ============================================================================
+
+const smallPrimesUpTo = (limit) => {
+  const composite = new Uint8Array(limit + 1), found = []
+  for (let i = 2; i <= limit; i++) {
+    if (composite[i]) continue
+    found.push(i)
+    for (let j = i * i; j <= limit; j += i) composite[j] = 1
+  }
+  return found
+}
+
+// Extended Euclid: a⁻¹ mod n, or the gcd when there is none (then it may be a factor)
+const inverse = (a, n) => {
+  let [r0, r1, s0, s1] = [((a % n) + n) % n, n, 1n, 0n]
+  while (r1) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1]
+  }
+  return r0 === 1n ? { inv: ((s0 % n) + n) % n } : { gcd: r0 }
+}
+
+const ecm = (n, { curves = 40, B1 = 2000 } = {}) => {
+  const primes = smallPrimesUpTo(B1)
+  const mod = (x) => ((x % n) + n) % n
+  for (let curve = 0; curve < curves; curve++) {
+    const sigma = BigInt(6 + curve)
+    const u = mod(sigma * sigma - 5n), v = mod(4n * sigma)
+    // a24 = (A + 2) / 4 = (v - u)³ (3u + v) / (16 u³ v)
+    const den = inverse(16n * u ** 3n * v, n)
+    if (den.gcd !== undefined) {
+      if (den.gcd !== n) return den.gcd
+      continue
+    }
+    const a24 = mod((v - u) ** 3n * (3n * u + v) % n * den.inv)
+    const dbl = ([X, Z]) => {
+      const s = mod((X + Z) ** 2n), d = mod((X - Z) ** 2n), t = mod(s - d)
+      return [s * d % n, t * mod(d + a24 * t) % n]
+    }
+    const add = ([Xp, Zp], [Xq, Zq], [Xd, Zd]) => {
+      const a = mod((Xp - Zp) * (Xq + Zq)), b = mod((Xp + Zp) * (Xq - Zq))
+      return [Zd * ((a + b) ** 2n % n) % n, Xd * mod((a - b) ** 2n) % n]
+    }
+    // Montgomery ladder: k·P keeping R1 - R0 = P
+    const multiply = (k, P) => {
+      let R0 = P, R1 = dbl(P)
+      for (let i = k.toString(2).length - 2; i >= 0; i--) {
+        if ((k >> BigInt(i)) & 1n) [R0, R1] = [add(R1, R0, P), dbl(R1)]
+        else [R0, R1] = [dbl(R0), add(R1, R0, P)]
+      }
+      return R0
+    }
+    let P = [u ** 3n % n, v ** 3n % n]
+    for (const p of primes) {
+      let q = BigInt(p)
+      while (q * BigInt(p) <= BigInt(B1)) q *= BigInt(p)
+      P = multiply(q, P)
+    }
+    const g = gcd(P[1], n)
+    if (g !== 1n && g !== n) return g
+  }
+  return null
+}
+
+// ============================================================================
+// Prime factors - ascending [p, e] pairs, p a Number while exact
+// ============================================================================
+
+// A nontrivial factor of a composite n (BigInt): rho with a few constants, then ECM
+const split = (n) => {
+  for (let c = 1n; c <= 3n; c++) {
+    const d = rho(n, c, 1 << 16)
+    if (d) return d
+  }
+  const d = ecm(n) ?? rho(n, 5n, 1 << 22)
+  if (!d) throw new PrimaError(`Could not factor ${n}: its smallest factors are too large for rho and ECM`, 'FACTOR_LIMIT', { cofactor: n })
+  return d
+}
+
+const collect = (n, into) => {
+  if (n === 1n) return
+  if (isPrime(n)) return into.push(n)
+  const d = split(n)
+  collect(d, into)
+  collect(n / d, into)
+}
+
+const checkInput = (op, n) => {
+  if (typeof n === 'bigint') return abs(n)
+  if (Number.isInteger(n)) return BigInt(Math.abs(n))
+  throw new PrimaError(`${op}() takes an integer`, 'FACTOR_INPUT', { op, n })
+}
+
+// [[p, e], ...] of |n|, ascending; 0 has none to give
+const primeFactors = (n, op = 'factorize') => {
+  let m = checkInput(op, n)
+  if (m === 0n) throw new PrimaError(`${op}(0) is undefined`, 'FACTOR_INPUT', { op, n })
+  const found = []
+  let small = Number(m <= BigInt(Number.MAX_SAFE_INTEGER) ? m : 0n)
+  for (let d = 2; d <= TRIAL && (small ? d * d <= small : true); d += d === 2 ? 1 : 2) {
+    const p = BigInt(d)
+    while (m % p === 0n) {
+      found.push(p)
+      m /= p
+    }
+    if (small) small = Number(m)
+  }
+  if (m > 1n) collect(m, found)
+  found.sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+  const pairs = []
+  for (const p of found) {
+    const last = pairs.at(-1)
+    if (last && last[0] === p) last[1]++
+    else pairs.push([p, 1])
+  }
+  const typed = typeof n === 'bigint' ? (x) => x : fit
+  return pairs.map(([p, e]) => [typed(p), e])
+}
+
+// ============================================================================
+// factorize and functions of the factorization
+// ============================================================================
+
+// { p: e } in ascending p; the sign is not a factor: factorize(-12) is factorize(12)
+const factorize = (n) => Object.fromEntries(primeFactors(n, 'factorize'))
+
+// Product of the values of f(p, e) over the prime powers of n, exact: a Number while safe
+const multiplicative = (n, op, f) => {
+  const pairs = primeFactors(n, op)
+  const result = pairs.reduce((acc, [p, e]) => acc * f(BigInt(p), BigInt(e)), 1n)
+  return typeof n === 'bigint' ? result : fit(result)
+}
+
+// Every positive divisor, ascending
+const divisors = (n) => {
+  const pairs = primeFactors(n, 'divisors')
+  let all = [1n]
+  for (const [p, e] of pairs) {
+    const next = []
+    for (const d of all) for (let k = 0, pk = 1n; k <= e; k++, pk *= BigInt(p)) next.push(d * pk)
+    all = next
+  }
+  all.sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+  return typeof n === 'bigint' ? all : all.map(fit)
+}
+
+// Sum of d^k over the divisors d: σ₀ counts them, σ₁ sums them
+const sigma = (n, k = 1) => {
+  if (!Number.isInteger(k) || k < 0) throw new PrimaError('sigma(n, k) takes an integer k >= 0', 'FACTOR_INPUT', { op: 'sigma', k })
+  const K = BigInt(k)
+  return multiplicative(n, 'sigma', (p, e) => k === 0 ? e + 1n : (p ** (K * (e + 1n)) - 1n) / (p ** K - 1n))
+}
+
+// Product of the distinct primes
+const radical = (n) => multiplicative(n, 'radical', (p) => p)
+
+const isSquarefree = (n) => primeFactors(n, 'isSquarefree').every(([, e]) => e === 1)
+
+export { factorize, divisors, sigma, radical, isSquarefree, primeFactors, rho, ecm }
@@ -0,0 +1,60 @@
+// primafactor.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { factorize, divisors, sigma, radical, isSquarefree, rho, ecm } from './primafactor.mjs'
+
+const product = (f) => Object.entries(f).reduce((acc, [p, e]) => acc * BigInt(p) ** BigInt(e), 1n)
+
+// factorize
+test('🧪 primafactor.test.mjs - factorize gives { p: e } in ascending p', ({check}) => {
+  check(factorize(360), { 2: 3, 3: 2, 5: 1 })
+  check(factorize(-12), { 2: 2, 3: 1 })                 // The sign is not a factor
+  check(Object.keys(factorize(1)).length, 0)
+  check(factorize(600851475143), { 71: 1, 839: 1, 1471: 1, 6857: 1 })
+  let wrong = 0
+  for (let n = 1; n < 5000; n++) if (product(factorize(n)) !== BigInt(n)) wrong++
+  for (let n = 2 ** 40; n < 2 ** 40 + 100; n++) if (product(factorize(n)) !== BigInt(n)) wrong++
+  check(wrong, 0)
+})
+
+test('factorize - BigInts through rho and ECM', ({check}) => {
+  const m61 = 2n ** 61n - 1n
+  check(factorize(m61 * 1000000007n * 999999999989n), { 1000000007: 1, 999999999989: 1, [m61]: 1 })
+  check(factorize(1000000007n ** 3n), { 1000000007: 3 })
+  check([1000003n, 1000033n].includes(rho(1000003n * 1000033n, 1n)), true)   // Either factor
+  check(ecm(100000000003n * (2n ** 89n - 1n)) === 100000000003n, true)   // A 12-digit factor, stage 1 with B1 = 2000
+  for (const bad of [0, 2.5, '12']) {
+    try {
+      factorize(bad)
+      check(false)
+    } catch (e) {
+      check(e.code, 'FACTOR_INPUT')
+    }
+  }
+})
+
+// Functions of the factorization
+test('divisors, sigma, radical, isSquarefree', ({check}) => {
+  check(divisors(12), [1, 2, 3, 4, 6, 12])
+  check(divisors(30n).map(String), ['1', '2', '3', '5', '6', '10', '15', '30'])
+  check([sigma(12), sigma(12, 0), sigma(12, 2), sigma(1)], [28, 6, 210, 1])
+  check(sigma(2n ** 61n - 1n) === 2n ** 61n, true)
+  check(sigma(2 ** 52, 2) === (4n ** 53n - 1n) / 3n, true)   // A BigInt past MAX_SAFE_INTEGER
+  check([radical(72), radical(1), radical(2 ** 20)], [6, 1, 2])
+  check([1, 10, 12, 30, 49].map(isSquarefree), [true, true, false, true, false])
+  let wrong = 0
+  for (let n = 1; n < 2000; n++) {
+    const ds = []
+    for (let d = 1; d <= n; d++) if (n % d === 0) ds.push(d)
+    if (ds.join() !== divisors(n).join() || ds.reduce((a, b) => a + b) !== sigma(n)) wrong++
+  }
+  check(wrong, 0)
+})
+
+test('factorization operations on sets', ({check}) => {
+  check(primaSet([6, 12]).sigma(2), [50, 210])
+  check(primaSet([4, 6, 30]).isSquarefree(), [false, true, true])
+  check(primaSet([12, 10]).factorize(), [{ 2: 2, 3: 1 }, { 2: 1, 5: 1 }])
+  check(primaSet([1000000000039n * 1000000000061n]).firstDivisor() === 1000000000039n, true)
+})
@@ -0,0 +1,623 @@
+/**
+ * PrimaMemo - Memo stores for PrimaSet
+ * Eviction policies (window, LRU, checkpoint), stats, global memory budget,
+ * file snapshots that survive the process, typed numeric storage (dtype)
+ */
+
+import * as fs from 'node:fs'
+import { PrimaError } from './errors.mjs'
+
+// ============================================================================
+// SlidingWindowCache (Class)
+// ============================================================================
+
+class SlidingWindowCache {
+  constructor(maxSize = 1000, windowSize = 100) {
+    this.maxSize = maxSize
+    this.windowSize = windowSize
+    this.cache = []
+    this.start = 0
+    this.events = []
+  }
+
+  get(index) {
+    const actualIndex = index - this.start
+    return actualIndex >= 0 && actualIndex < this.cache.length ? this.cache[actualIndex] : undefined
+  }
+
+  has(index) {
+    const actualIndex = index - this.start
+    return actualIndex >= 0 && actualIndex < this.cache.length
+  }
+
+  push(value) {
+    this.cache.push(value)
+    if (this.cache.length > this.maxSize) {
+      const removeCount = this.cache.length - this.maxSize
+      this.emit('evict', this.cache.splice(0, removeCount))
+      this.start += removeCount
+    }
+    if (this.cache.length % this.windowSize === 0) {
+      this.emit('window', { size: this.cache.length, start: this.start })
+    }
+  }
+
+  // Drop the oldest value (memory budget)
+  shift() {
+    if (!this.cache.length) return
+    this.start++
+    this.emit('evict', [this.cache.shift()])
+  }
+
+  on(event, handler) {
+    if (!this.events[event]) this.events[event] = []
+    this.events[event].push(handler)
+  }
+
+  off(event, handler) {
+    this.events[event] = this.events[event]?.filter(h => h !== handler)
+  }
+
+  emit(event, data) {
+    this.events[event]?.forEach(handler => handler(data))
+  }
+
+  clear() {
+    this.emit('evict', this.cache)
+    this.cache = []
+    this.start = 0
+  }
+
+  get length() { return this.cache.length }
+}
+
+// ============================================================================
+// typed - Typed numeric storage: dtype 'f64' | 'i32' | 'u32' | 'i64'
+// ============================================================================
+
+const dtypes = {
+  f64: { array: Float64Array, coerce: Number, zero: 0 },
+  i32: { array: Int32Array, coerce: x => Number(x) | 0, zero: 0 },
+  u32: { array: Uint32Array, coerce: x => Number(x) >>> 0, zero: 0 },
+  i64: { array: BigInt64Array, coerce: x => BigInt.asIntN(64, typeof x === 'bigint' ? x : BigInt(Math.trunc(x))), zero: 0n }
+}
+
+const typed = {
+  dtypes,
+
+  // Spec of a dtype name
+  spec(dtype) {
+    const spec = dtypes[dtype]
+    if (!spec) throw new PrimaError(`unknown dtype '${dtype}', expected one of ${Object.keys(dtypes).join(', ')}`, 'DTYPE', { dtype })
+    return spec
+  },
+
+  // dtype of a typed array source, or null
+  of(src) {
+    if (!ArrayBuffer.isView(src)) return null
+    return Object.keys(dtypes).find(dtype => src instanceof dtypes[dtype].array) ?? null
+  },
+
+  // Typed storage for an array source: a typed array of the same dtype is used as is
+  from(src, dtype) {
+    const { array, coerce } = typed.spec(dtype)
+    return src instanceof array ? src : array.from(src, x => coerce(x))
+  },
+
+  // Generator whose values are coerced to the dtype
+  gen(gen, dtype) {
+    if (!dtype) return gen
+    const { coerce } = typed.spec(dtype)
+    return function* () { for (const x of gen()) yield coerce(x) }
+  }
+}
+
+// ============================================================================
+// TypedWindow (Class) - SlidingWindowCache over a growable typed array
+// ============================================================================
+
+class TypedWindow {
+  constructor(maxSize = 1000, windowSize = 100, dtype = 'f64') {
+    this.maxSize = maxSize
+    this.windowSize = windowSize
+    this.type = typed.spec(dtype).array
+    this.data = new this.type(16)
+    this.offset = 0   // Position of the first kept value in data
+    this.length = 0
+    this.start = 0
+    this.events = []
+  }
+
+  // Zero-copy view of the kept values
+  get cache() { return this.data.subarray(this.offset, this.offset + this.length) }
+
+  get(index) {
+    return this.has(index) ? this.data[this.offset + index - this.start] : undefined
+  }
+
+  has(index) {
+    const actualIndex = index - this.start
+    return actualIndex >= 0 && actualIndex < this.length
+  }
+
+  push(value) {
+    if (this.offset + this.length === this.data.length) this.grow()
+    this.data[this.offset + this.length++] = value
+    if (this.length > this.maxSize) this.shift()
+    if (this.length % this.windowSize === 0) {
+      this.emit('window', { size: this.length, start: this.start })
+    }
+  }
+
+  // Reuse the space of evicted values when there is enough, otherwise double the capacity
+  grow() {
+    if (this.offset >= this.length) {
+      this.data.copyWithin(0, this.offset, this.offset + this.length)
+    } else {
+      const data = new this.type(this.data.length * 2)
+      data.set(this.cache)
+      this.data = data
+    }
+    this.offset = 0
+  }
+
+  shift() {
+    if (!this.length) return
+    const value = this.data[this.offset++]
+    this.length--
+    this.start++
+    this.emit('evict', [value])
+  }
+
+  on(event, handler) {
+    if (!this.events[event]) this.events[event] = []
+    this.events[event].push(handler)
+  }
+
+  off(event, handler) {
+    this.events[event] = this.events[event]?.filter(h => h !== handler)
+  }
+
+  emit(event, data) {
+    this.events[event]?.forEach(handler => handler(data))
+  }
+
+  clear() {
+    this.emit('evict', this.cache)
+    this.data = new this.type(16)
+    this.offset = 0
+    this.length = 0
+    this.start = 0
+  }
+}
+
+// ============================================================================
+// sizeOf (factory) - Approximate bytes held by a memoized value
+// ============================================================================
+
+const sizeOf = (v) => {
+  switch (typeof v) {
+    case 'number': return 8
+    case 'boolean': return 4
+    case 'bigint': return 8 + Math.ceil(v.toString(16).length / 2)
+    case 'string': return 16 + 2 * v.length
+    case 'object':
+      if (v === null) return 8
+      if (Array.isArray(v)) return 16 + v.reduce((n, x) => n + sizeOf(x), 0)
+      if (ArrayBuffer.isView(v)) return 16 + v.byteLength
+      if (Array.isArray(v.coords)) return 64 + 8 * v.coords.length  // Points
+      return 16 + 32 * Object.keys(v).length
+    default: return 8
+  }
+}
+
+// ============================================================================
+// memory - Global budget shared by every memoized set
+// ============================================================================
+
+const memory = {
+  maxBytes: Infinity,
+  bytes: 0,
+  tick: 0,
+  stores: new Set(),   // WeakRefs: a budget must not keep sets alive
+  freed: typeof FinalizationRegistry === 'function'
+    ? new FinalizationRegistry(({ ref, account }) => { memory.stores.delete(ref); memory.bytes -= account.bytes })
+    : null,
+
+  register(store) {
+    if (typeof WeakRef !== 'function') return
+    const ref = new WeakRef(store)
+    memory.stores.add(ref)
+    memory.freed?.register(store, { ref, account: store.account })
+  },
+
+  charge(bytes) {
+    memory.bytes += bytes
+    if (memory.bytes > memory.maxBytes) memory.enforce()
+  },
+
+  // Least recently used sets give back memory first
+  enforce() {
+    const live = []
+    for (const ref of memory.stores) {
+      const store = ref.deref()
+      if (store) live.push(store)
+      else memory.stores.delete(ref)
+    }
+    live.sort((a, b) => a.lastUse - b.lastUse)
+    for (const store of live) {
+      while (memory.bytes > memory.maxBytes && store.stored > 0) store.evictOldest()
+      if (memory.bytes <= memory.maxBytes) return
+    }
+  },
+
+  stats() {
+    let sets = 0
+    for (const ref of memory.stores) if (ref.deref()) sets++
+    return { maxBytes: memory.maxBytes, bytes: memory.bytes, sets }
+  }
+}
+
+// ============================================================================
+// fileBackend (factory) - Append-only snapshot of a memo prefix (Node only)
+// ============================================================================
+
+// Layout: 'PSET', kind (1 = integer deltas, 2 = JSON lines, 3 = BigInt deltas), arity varint, records.
+// Integers (or fixed-size integer tuples, like twin pairs) are stored as zigzag
+// varint deltas from the previous record: a prime gap takes one byte.
+// JSON lines keep BigInts as { "$bigint": "<decimal>" }.
+const MAGIC = [80, 83, 69, 84]
+const KIND = { number: 1, json: 2, bigint: 3 }
+
+const compact = (x) => Number.isInteger(x) && Math.abs(x) < 2 ** 51  // Deltas stay exact
+const isBig = (x) => typeof x === 'bigint'
+
+// Arity of a value: 0 = integer, k = tuple of k integers, null = JSON only
+const arityOf = (v, fits = compact) => {
+  if (fits(v)) return 0
+  if (Array.isArray(v) && v.length && v.every(fits)) return v.length
+  return null
+}
+
+const toJSON = (v) => JSON.stringify(v, (k, x) => isBig(x) ? { $bigint: x.toString() } : x)
+const fromJSON = (line) => JSON.parse(line, (k, x) => typeof x?.$bigint === 'string' && Object.keys(x).length === 1 ? BigInt(x.$bigint) : x)
+
+const writeVarint = (bytes, d) => {
+  let z = d >= 0 ? 2 * d : -2 * d - 1
+  while (z >= 128) { bytes.push(z % 128 + 128); z = Math.floor(z / 128) }
+  bytes.push(z)
+}
+
+const readVarint = (buf, pos) => {
+  let z = 0, scale = 1, b
+  do { b = buf[pos.at++] ?? 0; z += (b & 127) * scale; scale *= 128 } while (b >= 128)
+  return z % 2 === 0 ? z / 2 : -(z + 1) / 2
+}
+
+// Same zigzag varints, any size
+const writeBigVarint = (bytes, d) => {
+  let z = d >= 0n ? 2n * d : -2n * d - 1n
+  while (z >= 128n) { bytes.push(Number(z % 128n) + 128); z /= 128n }
+  bytes.push(Number(z))
+}
+
+const readBigVarint = (buf, pos) => {
+  let z = 0n, shift = 0n, b
+  do { b = buf[pos.at++] ?? 0; z += BigInt(b & 127) << shift; shift += 7n } while (b >= 128)
+  return z % 2n === 0n ? z / 2n : -(z + 1n) / 2n
+}
+
+const fileBackend = (path, flushEvery = 1000) => {
+  // Browser bundles replace node:fs with an empty module
+  if (!fs.readFileSync) throw new PrimaError(`memo store 'file' needs Node.js fs (${path})`, 'MEMO_FILE', { path })
+
+  let arity       // undefined until the file exists, null for JSON lines
+  let big = false // BigInt deltas
+  let prev = null // Last record written, base of the next delta
+  let pending = []
+
+  const header = (k) => {
+    const bytes = [...MAGIC, k === null ? KIND.json : big ? KIND.bigint : KIND.number]
+    if (k !== null) writeVarint(bytes, k)
+    return Uint8Array.from(bytes)
+  }
+
+  const encode = (values) => {
+    if (arity === null) return new TextEncoder().encode(values.map(v => toJSON(v) + '\n').join(''))
+    const bytes = [], write = big ? writeBigVarint : writeVarint, zero = big ? 0n : 0
+    for (const v of values) {
+      if (arity === 0) write(bytes, v - (prev ?? zero))
+      else v.forEach((x, k) => write(bytes, x - (prev?.[k] ?? zero)))
+      prev = v
+    }
+    return Uint8Array.from(bytes)
+  }
+
+  // Layout of a new file from its first values: Number or BigInt integers, or JSON lines
+  const layout = (values) => {
+    const first = Array.isArray(values[0]) ? values[0][0] : values[0]
+    big = isBig(first)
+    const fits = big ? isBig : compact, k = arityOf(values[0], fits)
+    return values.every(v => arityOf(v, fits) === k) ? k : null
+  }
+
+  const backend = {
+    load() {
+      if (!fs.existsSync(path)) return []
+      const buf = fs.readFileSync(path)
+      if (buf.length < 5 || MAGIC.some((b, i) => buf[i] !== b)) {
+        throw new PrimaError(`not a primaSet memo file: ${path}`, 'MEMO_FILE', { path })
+      }
+      if (buf[4] === KIND.json) {
+        arity = null
+        const values = new TextDecoder().decode(buf.subarray(5)).split('\n').filter(Boolean).map(fromJSON)
+        prev = values.at(-1) ?? null
+        return values
+      }
+      big = buf[4] === KIND.bigint
+      const pos = { at: 5 }, read = big ? readBigVarint : readVarint, zero = big ? 0n : 0
+      arity = readVarint(buf, pos)
+      const values = []
+      let base = arity === 0 ? zero : new Array(arity).fill(zero)
+      while (pos.at < buf.length) {
+        const next = arity === 0 ? base + read(buf, pos) : base.map(b => b + read(buf, pos))
+        if (pos.at > buf.length) break  // Truncated last record
+        values.push(base = next)
+      }
+      prev = values.at(-1) ?? null
+      return values
+    },
+
+    add(value) {
+      pending.push(value)
+      if (pending.length >= flushEvery) backend.flush()
+    },
+
+    flush() {
+      if (!pending.length) return
+      let values = pending
+      pending = []
+      if (arity === undefined) {
+        arity = layout(values)
+        fs.writeFileSync(path, header(arity))
+      } else if (arity !== null && !values.every(v => arityOf(v, big ? isBig : compact) === arity)) {
+        // A value that does not fit the compact layout: rewrite everything as JSON lines
+        values = [...backend.load(), ...values]
+        arity = null
+        fs.writeFileSync(path, header(arity))
+      }
+      fs.appendFileSync(path, encode(values))
+    },
+
+    reset() {
+      if (fs.existsSync(path)) fs.unlinkSync(path)
+      arity = undefined
+      big = false
+      prev = null
+      pending = []
+    }
+  }
+  return backend
+}
+
+// Unsaved values are written when the process exits
+const snapshots = new Set()
+const flushOnExit = (store) => {
+  if (!snapshots.size) globalThis.process?.on?.('exit', () => { for (const ref of snapshots) ref.deref()?.snapshot() })
+  snapshots.add(new WeakRef(store))
+}
+
+// ============================================================================
+// MemoStore (Class) - Values of one set by index, recomputed when evicted
+// ============================================================================
+
+// Policies:
+//   window     - the last `size` values pulled (memo: true is an unbounded window)
+//   lru        - the `size` most recently used indices
+//   checkpoint - every `every`-th value only; the rest is recomputed from the
+//                nearest checkpoint through opts.resume(value, index)
+// store: 'file' snapshots the computed prefix to opts.path and reloads it on the
+// next run; generation continues through resume(last, index) from the stored tail.
+// dtype: windows keep their values in a typed array (prefix() is a zero-copy view).
+class MemoStore {
+  constructor(gen, { size = Infinity, evict = 'window', every = 100, resume, windowSize = 100, onWindow, store, path, flush = 1000, dtype } = {}) {
+    this.gen = gen
+    this.size = size
+    this.policy = evict
+    this.every = every
+    this.resume = resume
+    this.it = null          // Shared source iterator
+    this.frontier = 0       // Values pulled from the source so far
+    this.done = false
+    this.last = undefined   // Value at frontier - 1
+    this.lastUse = 0
+    this.account = { bytes: 0 }
+    this.counts = { hits: 0, misses: 0, recomputed: 0, evicted: 0 }
+    this.dtype = dtype ?? null
+    this.bytesPer = dtype ? typed.spec(dtype).array.BYTES_PER_ELEMENT : 0
+
+    if (evict === 'window') {
+      this.window = dtype ? new TypedWindow(size, windowSize, dtype) : new SlidingWindowCache(size, windowSize)
+      this.window.on('evict', values => values.forEach(v => this.release(v)))
+      if (onWindow) this.window.on('window', onWindow)
+    } else {
+      this.entries = new Map()
+    }
+    memory.register(this)
+
+    if (store === 'file') {
+      this.file = fileBackend(path, flush)
+      const coerce = dtype ? typed.spec(dtype).coerce : (x => x)
+      for (const value of this.file.load()) { this.last = coerce(value); this.keep(this.frontier++, this.last) }
+      flushOnExit(this)
+    }
+  }
+
+  get stored() { return this.window ? this.window.length : this.entries.size }
+
+  // Dense values from index 0, while nothing has been evicted (binary search)
+  prefix() { return this.window?.start === 0 ? this.window.cache : null }
+
+  holds(i) { return this.window ? this.window.has(i) : this.entries.has(i) }
+
+  read(i) {
+    this.counts.hits++
+    if (this.window) return this.window.get(i)
+    const value = this.entries.get(i)
+    if (this.policy === 'lru') { this.entries.delete(i); this.entries.set(i, value) }
+    return value
+  }
+
+  keep(i, value) {
+    if (this.window) {
+      // Windows only grow at the frontier
+      if (i === this.window.start + this.window.length) { this.window.push(value); this.charge(value) }
+      return
+    }
+    if (this.policy === 'checkpoint' && i % this.every !== 0) return
+    if (this.entries.has(i)) return
+    this.entries.set(i, value)
+    this.charge(value)
+    while (this.entries.size > this.size) this.evictOldest()
+  }
+
+  charge(value) {
+    const bytes = this.bytesPer || sizeOf(value)
+    this.account.bytes += bytes
+    memory.charge(bytes)
+  }
+
+  release(value) {
+    const bytes = this.bytesPer || sizeOf(value)
+    this.account.bytes -= bytes
+    memory.bytes -= bytes
+    this.counts.evicted++
+  }
+
+  evictOldest() {
+    if (this.window) return this.window.shift()
+    const [i, value] = this.entries.entries().next().value ?? []
+    if (i === undefined) return
+    this.entries.delete(i)
+    this.release(value)
+  }
+
+  // Forget everything, next access starts from the source again
+  clear() {
+    if (this.window) this.window.clear()
+    else for (const value of this.entries.values()) this.release(value)
+    this.entries?.clear()
+    this.it?.return?.()
+    this.file?.reset()
+    this.it = null
+    this.frontier = 0
+    this.done = false
+    this.last = undefined
+  }
+
+  // Shared iterator: after a loaded prefix, continue from its tail (or skip it in the source)
+  source() {
+    if (this.frontier && this.resume) return this.resume(this.last, this.frontier - 1)[Symbol.iterator]()
+    const it = this.gen()
+    for (let k = 0; k < this.frontier; k++) it.next()
+    return it
+  }
+
+  // Pull the next source value; false once the source is exhausted
+  advance() {
+    if (this.done) return false
+    this.it ??= this.source()
+    const { value, done } = this.it.next()
+    if (done) { this.done = true; this.snapshot(); return false }
+    this.last = value
+    this.keep(this.frontier++, value)
+    this.file?.add(value)
+    return true
+  }
+
+  // Write unsaved values of a file store
+  snapshot() { this.file?.flush() }
+
+  // Pull while the last value satisfies pred (ordered lookups)
+  fillWhile(pred) {
+    while (!this.done && (this.frontier === 0 || pred(this.last))) this.advance()
+  }
+
+  fill(n) {
+    while (this.frontier < n) if (!this.advance()) return
+  }
+
+  // Largest kept index below i, or -1
+  floor(i) {
+    if (this.window) return i > this.window.start && this.window.length ? Math.min(i - 1, this.window.start + this.window.length - 1) : -1
+    if (this.policy === 'checkpoint') {
+      for (let j = Math.floor((i - 1) / this.every) * this.every; j >= 0; j -= this.every) if (this.entries.has(j)) return j
+      return -1
+    }
+    let best = -1
+    for (const j of this.entries.keys()) if (j < i && j > best) best = j
+    return best
+  }
+
+  // Fresh iterator positioned after the nearest kept value below i (needs opts.resume)
+  restart(i) {
+    const j = this.resume ? this.floor(i) : -1
+    if (j < 0) return [this.gen(), 0]
+    const value = this.window ? this.window.get(j) : this.entries.get(j)
+    return [this.resume(value, j)[Symbol.iterator](), j + 1]
+  }
+
+  at(i) {
+    this.lastUse = ++memory.tick
+    if (this.holds(i)) return this.read(i)
+    this.counts.misses++
+    if (i >= this.frontier) {
+      while (this.frontier <= i) if (!this.advance()) return undefined
+      return this.last
+    }
+    // Evicted: recompute from the nearest kept value (or from the start)
+    const [it, from] = this.restart(i)
+    for (let k = from; k < i; k++) it.next()
+    const { value } = it.next()
+    this.counts.recomputed++
+    this.keep(i, value)
+    return value
+  }
+
+  // Sequential walk: kept values, the frontier, and one private iterator for evicted runs
+  *iterate() {
+    let own = null, ownAt = 0
+    for (let i = 0; ; i++) {
+      this.lastUse = ++memory.tick
+      if (this.holds(i)) { yield this.read(i); continue }
+      if (i >= this.frontier) {
+        this.counts.misses++
+        if (!this.advance()) return
+        yield this.last
+        continue
+      }
+      if (!own || ownAt > i) [own, ownAt] = this.restart(i)
+      for (; ownAt < i; ownAt++) own.next()
+      const { value, done } = own.next()
+      ownAt++
+      if (done) return
+      this.counts.misses++
+      this.counts.recomputed++
+      yield value
+    }
+  }
+
+  stats() {
+    return {
+      policy: this.policy,
+      size: this.size,
+      ...this.counts,
+      dtype: this.dtype,
+      materialized: this.frontier,
+      stored: this.stored,
+      bytes: this.account.bytes
+    }
+  }
+}
+
+export { MemoStore, SlidingWindowCache, TypedWindow, memory, sizeOf, typed }
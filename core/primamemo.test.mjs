@@ -0,0 +1,232 @@
+// primamemo.test.mjs
+
+import * as fs from 'node:fs'
+import { tmpdir } from 'node:os'
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { MemoStore, sizeOf } from './primamemo.mjs'
+
+// Counts how many values the source produced
+const counted = () => {
+  const src = { pulled: 0 }
+  src.gen = function* () { let n = 0; while (true) { src.pulled++; yield n * n++ } }
+  return src
+}
+
+// memo: N
+test('🧪 primamemo.test.mjs - memo: N - caps stored values (LRU)', ({check}) => {
+  const src = counted()
+  const s = primaSet(src.gen, { memo: 10 })
+  check(s[50], 2500)
+  check(s.stats().stored, 10)
+  check(s.stats().policy, 'lru')
+  check(s.stats().materialized >= 51)
+})
+
+test('memo: N - LRU keeps recently used indices', ({check}) => {
+  const store = new MemoStore(counted().gen, { size: 3, evict: 'lru' })
+  store.at(0); store.at(1); store.at(2)
+  store.at(0)          // 0 is now the most recent
+  store.at(3)          // Evicts 1
+  check(store.holds(0), true)
+  check(store.holds(1), false)
+  check(store.at(1), 1)
+  check(store.stats().recomputed, 1)
+})
+
+test('memo - window policy keeps the last values', ({check}) => {
+  const s = primaSet(counted().gen, { memo: { size: 5, evict: 'window' } })
+  check(s[20], 400)
+  const stats = s.stats()
+  check(stats.stored, 5)
+  check(stats.evicted > 0)
+  check(s[2], 4)  // Recomputed from the start
+  check(s.stats().recomputed, 1)
+})
+
+test('memo - checkpoint policy resumes from the nearest checkpoint', ({check}) => {
+  const src = counted()
+  const resume = function* (value, index) { for (let n = index + 1; ; n++) { src.pulled++; yield n * n } }
+  const s = primaSet(src.gen, { memo: { evict: 'checkpoint', every: 10, resume } })
+  check(s[99], 9801)
+  check(s.stats().stored, 10)
+  src.pulled = 0
+  check(s[57], 3249)
+  check(src.pulled, 7)  // From checkpoint 50, not from 0
+})
+
+test('memo - iteration walks evicted runs once', ({check}) => {
+  let pulled = 0
+  const s = primaSet(function* () { for (let n = 0; n < 100; n++) { pulled++; yield n } }, { memo: 10 })
+  check(s.count(), 100)
+  pulled = 0
+  check(s.sum(), 4950)
+  check(pulled <= 100)
+})
+
+test('memo: true - infinite sets iterate lazily', ({check}) => {
+  const s = primaSet(counted().gen, { memo: true })
+  check(s.take(4), [0, 1, 4, 9])
+  check(s[3], 9)
+  check(s.take(6), [0, 1, 4, 9, 16, 25])
+})
+
+// stats
+test('stats - hits, misses and bytes', ({check}) => {
+  const s = primaSet(counted().gen, { memo: 100 })
+  s[150]; s[150]; s[150]
+  const stats = s.stats()
+  check(stats.hits, 2)
+  check(stats.misses, 1)
+  check(stats.bytes, stats.stored * sizeOf(0))
+  check(primaSet([1, 2]).stats(), null)
+})
+
+test('cache - window of index access, clearCache', ({check}) => {
+  const windows = []
+  const s = primaSet(counted().gen, { cache: 20, windowSize: 10, onWindow: w => windows.push(w.size) })
+  check(s[30], 900)
+  check(s.stats().stored, 20)
+  check(windows.length > 0)
+  s.clearCache()
+  check(s.stats().stored, 0)
+  check(s[3], 9)
+})
+
+// Global budget
+test('memory - global budget evicts least recently used sets first', ({check}) => {
+  primaSet.memory({ maxBytes: 0 })          // Start from an empty budget
+  primaSet.memory({ maxBytes: Infinity })
+  const a = primaSet(counted().gen, { memo: true })
+  const b = primaSet(counted().gen, { memo: true })
+  a[199]; b[199]
+  const used = a.stats().bytes + b.stats().bytes
+  primaSet.memory({ maxBytes: primaSet.memory().bytes - used + 3000 })
+  check(primaSet.memory().bytes <= primaSet.memory().maxBytes)
+  check(a.stats().bytes < b.stats().bytes)  // a was used first
+  check(a[10], 100)                          // Still correct, recomputed
+  b[300]
+  check(primaSet.memory().bytes <= primaSet.memory().maxBytes)
+  primaSet.memory({ maxBytes: Infinity })
+  check(primaSet.memory().maxBytes, Infinity)
+})
+
+// dtype
+test('dtype - typed source arrays and coercion', ({check}) => {
+  const s = primaSet([3, 1.5, 2], { dtype: 'f64' })
+  check(s.toTypedArray() instanceof Float64Array, true)
+  check(s.toTypedArray() === s.toTypedArray(), true)  // Zero-copy
+  check(primaSet([3.7, -1, 2], { dtype: 'i32' }).toArray(), [3, -1, 2])
+  check(primaSet([-1], { dtype: 'u32' })[0], 4294967295)
+  check(primaSet(function* () { yield 2.5; yield 7 }, { dtype: 'i32' }).toArray(), [2, 7])
+  const ints = new Int32Array([1, 2, 3])
+  check(primaSet(ints).toTypedArray() === ints, true)  // Typed arrays are their own storage
+  check(primaSet(ints).isTyped(), true)
+  check(primaSet([1, 2]).isTyped(), false)
+  check(primaSet(ints).toTypedArray('f64'), new Float64Array([1, 2, 3]))
+})
+
+test('dtype - typed reductions', ({check}) => {
+  const s = primaSet([4, 1, 3, 2], { dtype: 'f64' })
+  check(s.sum(), 10)
+  check(s.mean(), 2.5)
+  check(s.min(), 1)
+  check(s.max(), 4)
+  check(primaSet([], { dtype: 'i32' }).sum(), 0)
+  const big = primaSet([2 ** 53, 1, 1], { dtype: 'i64' })
+  check(big.sum() === 2n ** 53n + 2n, true)  // Exact past 2^53
+  check(big.max() === 2n ** 53n, true)
+})
+
+test('dtype - memo window is a growable typed array', ({check}) => {
+  const s = primaSet(function* () { for (let n = 0; n < 1000; n++) yield n * n }, { memo: true, dtype: 'u32' })
+  check(s[500], 250000)
+  check(s.stats().bytes, s.stats().stored * 4)
+  const view = s.toTypedArray()
+  check(view instanceof Uint32Array, true)
+  check(view.length, 1000)
+  check(s.toTypedArray().buffer === view.buffer, true)  // Views of the same storage
+  check(s.sum(), 332833500)
+  check(s.take(3).toTypedArray(), new Uint32Array([0, 1, 4]))
+})
+
+test('dtype - bounded typed windows evict', ({check}) => {
+  const s = primaSet(counted().gen, { memo: { size: 8, evict: 'window' }, dtype: 'f64' })
+  check(s[100], 10000)
+  check(s.stats().stored, 8)
+  check(s[3], 9)
+  check(s.stats().recomputed, 1)
+  try {
+    primaSet([1], { dtype: 'f16' })
+    check(false)
+  } catch (e) {
+    check(e.code, 'DTYPE')
+  }
+})
+
+// File store
+const tmpFile = (name) => `${tmpdir()}/primamemo-${process.pid}-${name}`
+
+test('file store - snapshot and reload a prefix', ({check}) => {
+  const path = tmpFile('squares.pset')
+  let pulled = 0
+  const gen = function* () { let n = 0; while (true) { pulled++; yield n * n++ } }
+  const resume = function* (last, i) { for (let n = i + 1; ; n++) { pulled++; yield n * n } }
+  const a = primaSet(gen, { memo: { store: 'file', path, resume } })
+  check(a[999], 998001)
+  a.snapshot()
+  check(fs.statSync(path).size < 4000)   // Deltas, not 8-byte numbers
+  pulled = 0
+  const b = primaSet(gen, { memo: { store: 'file', path, resume } })
+  check(b[999], 998001)
+  check(b.take(3), [0, 1, 4])
+  check(pulled, 0)
+  check(b[1500], 1500 ** 2)             // Continues from the stored tail
+  check(pulled, 501)
+  b.clearCache()
+  check(fs.existsSync(path), false)
+})
+
+test('file store - tuples and JSON values', ({check}) => {
+  const pairs = tmpFile('pairs.pset'), objects = tmpFile('objects.pset')
+  const gen = function* () { for (let n = 0; n < 50; n++) yield [n, n + 2] }
+  primaSet(gen, { memo: { store: 'file', path: pairs } }).count()
+  check(primaSet(gen, { memo: { store: 'file', path: pairs } }).stats().materialized, 50)
+  check(primaSet(gen, { memo: { store: 'file', path: pairs } })[49], [49, 51])
+  const obj = function* () { yield { a: 1 }; yield 'two'; yield 3.5 }
+  primaSet(obj, { memo: { store: 'file', path: objects } }).toArray()
+  check(primaSet(obj, { memo: { store: 'file', path: objects } }).toArray(), [{ a: 1 }, 'two', 3.5])
+  fs.unlinkSync(pairs)
+  fs.unlinkSync(objects)
+})
+
+test('file store - BigInt and i64 values', ({check}) => {
+  const bigs = tmpFile('bigs.pset'), i64 = tmpFile('i64.pset'), mixed = tmpFile('mixed.pset')
+  const powers = function* () { for (let n = 0n; n < 40n; n++) yield (-3n) ** n }
+  primaSet(powers, { memo: { store: 'file', path: bigs } }).count()
+  const b = primaSet(powers, { memo: { store: 'file', path: bigs } })
+  check(b.stats().materialized, 40)
+  check(b[39] === (-3n) ** 39n, true)
+  const longs = function* () { for (let n = 0; n < 30; n++) yield 2 ** 40 * n - 7 }
+  primaSet(longs, { memo: { store: 'file', path: i64 }, dtype: 'i64' }).count()
+  const l = primaSet(longs, { memo: { store: 'file', path: i64 }, dtype: 'i64' })
+  check(l.stats().materialized, 30)
+  check(l[29] === 2n ** 40n * 29n - 7n, true)
+  const values = function* () { yield 1n; yield [2n, 'x']; yield { n: 2n ** 70n } }
+  primaSet(values, { memo: { store: 'file', path: mixed } }).toArray()
+  const m = primaSet(values, { memo: { store: 'file', path: mixed } }).toArray()
+  check(m[0] === 1n && m[1][0] === 2n && m[2].n === 2n ** 70n, true)   // JSON lines, BigInts tagged
+  for (const path of [bigs, i64, mixed]) fs.unlinkSync(path)
+})
+
+test('file store - rejects foreign files', ({check}) => {
+  const path = tmpFile('foreign.pset')
+  fs.writeFileSync(path, 'hello')
+  try {
+    primaSet([1], { memo: { store: 'file', path } })
+    check(false)
+  } catch (e) {
+    check(e.code, 'MEMO_FILE')
+  }
+  fs.unlinkSync(path)
+})
@@ -0,0 +1,209 @@
+/**
+ * PrimaMod - Modular arithmetic: powers, inverses, CRT, residue symbols, square roots, orders and discrete logs
+ * Computed in BigInt; a Number when every input is a Number (and the result is exact), a BigInt otherwise
+ */
+
+import { PrimaError } from './errors.mjs'
+import { isPrime, powMod, isqrt, jacobi as jacobiBig } from './primaprime.mjs'
+import { primeFactors } from './primafactor.mjs'
+
+// ============================================================================
+// Helpers - Inputs to BigInt, results back to the caller's type
+// ============================================================================
+
+const toBig = (op, name, v) => {
+  if (typeof v === 'bigint') return v
+  if (Number.isSafeInteger(v)) return BigInt(v)
+  throw new PrimaError(`${op}(): ${name} must be an integer`, 'MOD_INPUT', { op, [name]: v })
+}
+
+const modulus = (op, m) => {
+  const M = toBig(op, 'm', m)
+  if (M < 1n) throw new PrimaError(`${op}(): the modulus must be positive`, 'MOD_INPUT', { op, m })
+  return M
+}
+
+// Number results for Number inputs while exact
+const out = (x, ...inputs) => x === null || inputs.some(v => typeof v === 'bigint') || x > BigInt(Number.MAX_SAFE_INTEGER) ? x : Number(x)
+
+const mod = (a, m) => ((a % m) + m) % m
+
+const gcd = (a, b) => {
+  while (b) [a, b] = [b, a % b]
+  return a < 0n ? -a : a
+}
+
+// Extended Euclid: g = gcd(a, b) = a·x + b·y
+const egcd = (a, b) => {
+  let [r0, r1, x0, x1, y0, y1] = [a, b, 1n, 0n, 0n, 1n]
+  while (r1) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [x0, x1] = [x1, x0 - q * x1];
+    [y0, y1] = [y1, y0 - q * y1]
+  }
+  return { g: r0, x: x0, y: y0 }
+}
+
+const inverse = (a, m) => {
+  const { g, x } = egcd(mod(a, m), m)
+  return g === 1n ? mod(x, m) : null
+}
+
+// φ(m) and its prime factors, for orders and primitive roots
+const totient = (m) => primeFactors(m).reduce((t, [p, e]) => t * (BigInt(p) - 1n) * BigInt(p) ** BigInt(e - 1), 1n)
+
+// Order of a modulo m (gcd(a, m) = 1): the least divisor t of φ(m) with a^t = 1
+const orderBig = (a, m) => {
+  let t = totient(m)
+  for (const [q] of primeFactors(t)) {
+    const Q = BigInt(q)
+    while (t % Q === 0n && powMod(a, t / Q, m) === 1n) t /= Q
+  }
+  return t
+}
+
+// ============================================================================
+// Powers and inverses
+// ============================================================================
+
+// b^e mod m in [0, m); a negative e raises the inverse of b
+const modPow = (b, e, m) => {
+  const [B, E, M] = [toBig('modPow', 'b', b), toBig('modPow', 'e', e), modulus('modPow', m)]
+  if (M === 1n) return out(0n, b, e, m)
+  if (E >= 0n) return out(powMod(mod(B, M), E, M), b, e, m)
+  const inv = inverse(B, M)
+  if (inv === null) throw new PrimaError(`modPow(): ${b} has no inverse modulo ${m}`, 'MOD_INVERSE', { op: 'modPow', b, m })
+  return out(powMod(inv, -E, M), b, e, m)
+}
+
+// x with a·x = 1 (mod m), by extended Euclid
+const modInverse = (a, m) => {
+  const inv = inverse(toBig('modInverse', 'a', a), modulus('modInverse', m))
+  if (inv === null) throw new PrimaError(`modInverse(): ${a} and ${m} are not coprime`, 'MOD_INVERSE', { op: 'modInverse', a, m })
+  return out(inv, a, m)
+}
+
+// ============================================================================
+// CRT - x = r_i (mod m_i) for every i, moduli not necessarily coprime
+// ============================================================================
+
+// Least x >= 0 (solutions are x + k·lcm(moduli)); null when the congruences contradict each other
+const crt = (residues, moduli) => {
+  if (residues.length !== moduli.length) {
+    throw new PrimaError('crt(): one residue per modulus', 'MOD_INPUT', { op: 'crt', residues: residues.length, moduli: moduli.length })
+  }
+  let x = 0n, M = 1n
+  for (let i = 0; i < moduli.length; i++) {
+    const m = modulus('crt', moduli[i]), r = mod(toBig('crt', 'residue', residues[i]), m)
+    // x + M·t = r (mod m): solvable when g = gcd(M, m) divides r - x
+    const { g, x: u } = egcd(M, m)
+    if ((r - x) % g) return null
+    const step = m / g
+    x += M * mod((r - x) / g * u, step)
+    M *= step
+  }
+  return out(x, ...residues, ...moduli)
+}
+
+// ============================================================================
+// Residue symbols and square roots
+// ============================================================================
+
+// Jacobi symbol (a/n), n odd and positive
+const jacobi = (a, n) => {
+  const N = toBig('jacobi', 'n', n)
+  if (N < 1n || !(N & 1n)) throw new PrimaError('jacobi(): n must be odd and positive', 'MOD_INPUT', { op: 'jacobi', n })
+  return jacobiBig(toBig('jacobi', 'a', a), N)
+}
+
+const oddPrime = (op, p) => {
+  const P = toBig(op, 'p', p)
+  if (P < 3n || !isPrime(P)) throw new PrimaError(`${op}(): p must be an odd prime`, 'MOD_INPUT', { op, p })
+  return P
+}
+
+// Legendre symbol (a/p): 1 for a nonzero square mod p, -1 for a non-square, 0 when p divides a
+const legendre = (a, p) => jacobiBig(toBig('legendre', 'a', a), oddPrime('legendre', p))
+
+// Smaller r with r² = a (mod p), p prime (the other root is p - r); null when a is not a square - Tonelli-Shanks
+const sqrtMod = (a, p) => {
+  const P = toBig('sqrtMod', 'p', p)
+  if (P !== 2n) oddPrime('sqrtMod', p)
+  const A = mod(toBig('sqrtMod', 'a', a), P)
+  if (A < 2n) return out(A, a, p)
+  if (jacobiBig(A, P) !== 1) return null
+  let r
+  if (P % 4n === 3n) r = powMod(A, (P + 1n) / 4n, P)
+  else {
+    // p - 1 = q·2^s, z a non-square
+    let q = P - 1n, s = 0n
+    while (!(q & 1n)) { q >>= 1n; s++ }
+    let z = 2n
+    while (jacobiBig(z, P) !== -1) z++
+    let c = powMod(z, q, P), t = powMod(A, q, P)
+    r = powMod(A, (q + 1n) / 2n, P)
+    while (t !== 1n) {
+      let i = 0n, t2 = t
+      while (t2 !== 1n) { t2 = t2 * t2 % P; i++ }
+      const b = powMod(c, 1n << (s - i - 1n), P)
+      r = r * b % P
+      c = b * b % P
+      t = t * c % P
+      s = i
+    }
+  }
+  return out(r < P - r ? r : P - r, a, p)
+}
+
+// ============================================================================
+// Orders, primitive roots and discrete logs
+// ============================================================================
+
+// Least t > 0 with a^t = 1 (mod m); null when gcd(a, m) > 1
+const order = (a, m) => {
+  const M = modulus('order', m), A = mod(toBig('order', 'a', a), M)
+  if (M === 1n) return out(1n, a, m)
+  return gcd(A, M) === 1n ? out(orderBig(A, M), a, m) : null
+}
+
+// Least g whose powers give every unit mod m; null unless m is 1, 2, 4, p^k or 2p^k
+const primitiveRoot = (m) => {
+  const M = modulus('primitiveRoot', m)
+  if (M <= 4n) return out(M === 1n ? 0n : M - 1n, m)
+  const odd = M & 1n ? M : M / 2n
+  if (!(odd & 1n) || primeFactors(odd).length !== 1) return null
+  const t = totient(M), qs = primeFactors(t).map(([q]) => t / BigInt(q))
+  for (let g = 2n; ; g++) if (gcd(g, M) === 1n && qs.every(e => powMod(g, e, M) !== 1n)) return out(g, m)
+}
+
+// Least x >= 0 with a^x = b (mod m), null when there is none - baby-step giant-step in O(√m) time and memory
+const discreteLog = (a, b, m) => {
+  let M = modulus('discreteLog', m)
+  const A = mod(toBig('discreteLog', 'a', a), M)
+  let B = mod(toBig('discreteLog', 'b', b), M)
+  // Small exponents directly: they cover the steps below where a shares factors with m
+  const direct = BigInt(M.toString(2).length)
+  for (let x = 0n, p = 1n % M; x <= direct; x++, p = p * A % M) if (p === B) return out(x, a, b, m)
+  // Divide out gcd(a, m): then k·a^x = b with a invertible
+  let k = 1n % M, shift = 0n
+  for (let g = gcd(A, M); g !== 1n; g = gcd(A, M)) {
+    if (B % g) return null
+    B /= g
+    M /= g
+    k = k * (A / g) % M
+    shift++
+  }
+  const n = isqrt(M) + 1n
+  if (n > 1n << 24n) throw new PrimaError('discreteLog(): the modulus is too large for baby-step giant-step', 'MOD_RANGE', { op: 'discreteLog', m })
+  // Baby steps b·a^j (the largest j for each value), giant steps k·a^(n·i)
+  const baby = new Map()
+  for (let j = 0n, v = B % M; j < n; j++, v = v * A % M) baby.set(v, j)
+  const giant = powMod(A % M, n, M)
+  for (let i = 1n, v = k * giant % M; i <= n; i++, v = v * giant % M) {
+    if (baby.has(v)) return out(i * n - baby.get(v) + shift, a, b, m)
+  }
+  return null
+}
+
+export { modPow, modInverse, crt, legendre, jacobi, sqrtMod, primitiveRoot, order, discreteLog }
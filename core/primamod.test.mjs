@@ -0,0 +1,75 @@
+// primamod.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet, modPow, modInverse, crt, legendre, jacobi, sqrtMod, primitiveRoot, order, discreteLog } from './primaset.mjs'
+import { address } from '../num/primanum.mjs'
+
+const gcd = (a, b) => b ? gcd(b, a % b) : a
+
+// Powers and inverses
+test('🧪 primamod.test.mjs - modPow and modInverse', ({check}) => {
+  check([modPow(3, 4, 7), modPow(2, 0, 1), modPow(-2, 3, 7), modPow(3, -1, 7)], [4, 0, 6, 5])
+  check(modPow(2n, 127n, 2n ** 127n - 1n) === 1n, true)
+  check(modPow(2, 100, 1e9 + 7), 976371285)
+  check([modInverse(3, 7), modInverse(-3, 7), modInverse(10, 17)], [5, 2, 12])
+  check(modInverse(2n ** 64n + 1n, 2n ** 61n - 1n) * (2n ** 64n + 1n) % (2n ** 61n - 1n) === 1n, true)
+  try {
+    modInverse(6, 9)
+    check(false)
+  } catch (e) {
+    check(e.code, 'MOD_INVERSE')
+  }
+  check(primaSet([2, 3]).modPow(10, 1000), [24, 49])
+})
+
+// CRT
+test('crt - coprime and non-coprime moduli', ({check}) => {
+  check([crt([2, 3], [3, 5]), crt([2, 3, 2], [3, 5, 7]), crt([], [])], [8, 23, 0])
+  check([crt([1, 3], [4, 6]), crt([1, 2], [4, 6])], [9, null])   // gcd(4, 6) = 2 must divide the difference
+  let wrong = 0
+  for (let t = 0; t < 500; t++) {
+    const ms = [2 + t % 9, 2 + t % 13, 2 + t % 5], x = (t * 7919) % ms.reduce((a, b) => a * b / gcd(a, b))
+    if (crt(ms.map(m => x % m), ms) !== x) wrong++
+  }
+  check(wrong, 0)
+  check(crt([1n, 2n], [2n ** 64n, 3n ** 41n]) % 2n ** 64n === 1n, true)
+  // address.toNumber reconstructs by CRT: exact past MAX_SAFE_INTEGER
+  check(address.toNumber(address(2 ** 52 + 1, 14)), 2 ** 52 + 1)
+  check(typeof address.toNumber(address(30, 14)), 'number')   // Number residues, Number out
+})
+
+// Residue symbols and square roots
+test('legendre, jacobi and sqrtMod', ({check}) => {
+  check([0, 1, 2, 3, 4, 5, 6].map(a => legendre(a, 7)), [0, 1, 1, -1, 1, -1, -1])
+  check([jacobi(2, 15), jacobi(7, 15), jacobi(5, 21), jacobi(1001, 9907)], [1, -1, 1, -1])
+  let wrong = 0
+  for (const p of [2, 3, 13, 17, 41, 97, 65537]) {   // p = 17, 41, 97, 65537: Tonelli-Shanks proper (p = 1 mod 8)
+    for (let a = 0; a < Math.min(p, 500); a++) {
+      const r = sqrtMod(a, p)
+      if (r === null ? legendre(a, p) !== -1 && p !== 2 : (r * r) % p !== a || r > p - r) wrong++
+    }
+  }
+  check(wrong, 0)
+  check(sqrtMod(2n, 2n ** 61n - 1n) === 2n ** 31n, true)
+  check(sqrtMod(10n ** 18n, 2n ** 127n - 1n) === 10n ** 9n, true)
+  check(primaSet([1, 2, 3]).sqrtMod(7), [1, 3, null])
+  try {
+    legendre(3, 15)
+    check(false)
+  } catch (e) {
+    check(e.code, 'MOD_INPUT')
+  }
+})
+
+// Orders, roots and logs
+test('order, primitiveRoot and discreteLog', ({check}) => {
+  check(primaSet([1, 2, 3, 4, 5, 6]).order(7), [1, 3, 6, 3, 6, 2])
+  check([order(2, 1e9 + 7), order(6, 9)], [500000003, null])
+  check([1, 2, 4, 9, 10, 18, 8, 12, 15].map(primitiveRoot), [0, 1, 3, 2, 3, 5, null, null, null])
+  check(primitiveRoot(1e9 + 7), 5)
+  check([discreteLog(3, 4, 7), discreteLog(2, 1, 7), discreteLog(2, 3, 7)], [4, 0, null])
+  check([discreteLog(2, 0, 8), discreteLog(6, 0, 8), discreteLog(6, 4, 8), discreteLog(4, 2, 8)], [3, 3, 2, null])   // a shares factors with m
+  const x = discreteLog(5, 3, 1e9 + 7)
+  check([x, modPow(5, x, 1e9 + 7)], [884237698, 3])
+  check(discreteLog(3n, modPow(3n, 123456789n, 10n ** 12n + 39n), 10n ** 12n + 39n) === 123456789n, true)
+})
@@ -3,25 +3,235 @@
  * Adds algebraic operations and utilities beyond the basic core
  */
 
-import { primaSet } from './primaset.mjs';
+import { MaterializationError } from './errors.mjs';
+import { typed } from './primamemo.mjs';
+import { ParallelSet } from './primaparallel.mjs';
+import { pipe, step } from './primapipe.mjs';
+import { fromEvents } from './primareactive.mjs';
+import { randomOf } from './primarandom.mjs';
+import { isPrime, isProbablePrime, nextPrime, prevPrime, isqrt } from './primaprime.mjs';
+import { factorize, divisors, sigma, radical, isSquarefree, primeFactors } from './primafactor.mjs';
+import { modPow, modInverse, legendre, jacobi, sqrtMod, primitiveRoot, order as multiplicativeOrder, discreteLog } from './primamod.mjs';
 
 // ============================================================================
-// iif (if-then-else) / Short-Circuit Operations
+// card - Cardinality model: finite / infinite / unknown (size when known)
 // ============================================================================
 
-// iif: if-then-else pattern
-// - undefined: short-circuit (stop iteration)
-// - null: transform data and short-circuit
-// - function: transform and continue
-export const iif = (pred, then, else_) => {
-  const fn = (x) => pred(x) ? then(x) : (else_ ? else_(x) : x)
-  fn.iif = true
-  fn.pred = pred
-  fn.then = then
-  fn.else = else_
-  fn.help = 'iif: if pred(x) then f(x) else g(x). Returns undefined to short-circuit, null to transform and short-circuit'
-  return fn
-}
+const card = {
+  finite: (size) => size === undefined ? { kind: 'finite' } : { kind: 'finite', size },
+  infinite: () => ({ kind: 'infinite', size: Infinity }),
+  unknown: () => ({ kind: 'unknown' }),
+
+  // Cardinality of any primaSet source; opts.size / opts.finite declare it
+  of(src, opts = {}) {
+    if (opts.size === Infinity) return card.infinite();
+    if (typeof opts.size === 'number') return card.finite(opts.size);
+    if (opts.finite) return card.finite();
+    if (src == null) return card.finite(0);
+    if (src._card) return src._card;
+    if (Array.isArray(src) || typed.of(src)) return card.finite(src.length);
+    if (src instanceof Set || src instanceof Map) return card.finite(src.size);
+    if (typeof src === 'string') return card.finite();
+    if (typeof src === 'function' && src.constructor?.name === 'GeneratorFunction') return card.unknown();
+    if (typeof src[Symbol.iterator] === 'function') return card.unknown();
+    return card.finite(1);
+  },
+
+  // Filter-like: a finite set stays finite, the exact size is lost
+  bounded: (c) => c.kind === 'finite' ? card.finite() : card.unknown(),
+
+  // Zip-like: the shorter side wins
+  shorter(a, b) {
+    if (a.kind === 'infinite') return b;
+    if (b.kind === 'infinite') return a;
+    if (a.size !== undefined && b.size !== undefined) return card.finite(Math.min(a.size, b.size));
+    return a.kind === 'finite' || b.kind === 'finite' ? card.finite() : card.unknown();
+  },
+
+  // Concat-like: any infinite part makes the whole infinite
+  joined(...cs) {
+    if (cs.some(c => c.kind === 'infinite')) return card.infinite();
+    if (cs.some(c => c.kind === 'unknown')) return card.unknown();
+    return cs.every(c => c.size !== undefined) ? card.finite(cs.reduce((n, c) => n + c.size, 0)) : card.finite();
+  },
+
+  // Size arithmetic only when the size is known, otherwise the kind carries over
+  resize: (c, f) => c.kind === 'finite' && c.size !== undefined ? card.finite(f(c.size)) : c,
+
+  // Terminal operations fail fast instead of looping forever
+  assertFinite(self, op) {
+    if (self._card?.kind === 'infinite') {
+      throw new MaterializationError(`${op}() needs a finite set, this one is infinite`, { op, cardinality: 'infinite' });
+    }
+  }
+};
+
+// ============================================================================
+// lineage - How a set was built: source or op name, arguments, parent sets
+// ============================================================================
+
+const lineage = {
+  serial: 0,  // Creation counter: tells fresh sets from existing ones
+
+  // Short printable form of a source or an argument
+  label(x) {
+    if (x == null) return String(x);
+    if (x._gen) return x._lineage?.name ?? 'primaSet';
+    if (typeof x === 'function') {
+      if (x.constructor?.name === 'GeneratorFunction') return x.name || 'generator';
+      const src = x.toString();
+      return src.length > 40 ? src.slice(0, 37) + '...' : src;
+    }
+    if (Array.isArray(x)) return `array(${x.length})`;
+    if (ArrayBuffer.isView(x)) return `${x.constructor.name}(${x.length})`;
+    if (typeof x === 'string') return JSON.stringify(x.length > 40 ? x.slice(0, 37) + '...' : x);
+    if (typeof x === 'bigint') return `${x}n`;
+    if (typeof x === 'object') return Object.getPrototypeOf(x) === Object.prototype ? `{${Object.keys(x).join(', ')}}` : x.constructor?.name ?? 'object';
+    return String(x);
+  },
+
+  // Source of a new set: opts.name, or a primaSet source as parent
+  of(src, opts = {}) {
+    if (src?._gen) return { op: 'primaSet', name: opts.name, args: Object.keys(opts).length ? [opts] : [], from: [src] };
+    return { op: 'source', name: opts.name ?? lineage.label(src), args: [], from: [] };
+  },
+
+  // Derived set: op applied to a parent; primaSet arguments (zip, union...) are parents too
+  step: (op, args, parent) => ({ op, args, from: [parent, ...args.filter(a => a?._gen)] }),
+
+  // Label a set built by a method or an op, unless it existed before the call
+  attach(result, op, args, parent, before) {
+    if (!result?._gen || !(result._id > before) || result._lineage?.op !== 'source') return result;
+    result._lineage = lineage.step(op, args, parent);
+    return result;
+  },
+
+  // Stage tree of a set; stats(set) adds profile() fields
+  tree(set, stats = () => ({})) {
+    const { op, name, args = [], from = [] } = set._lineage ?? { op: 'source' };
+    return {
+      op: op === 'source' ? name : name ?? op,
+      ...(op === 'source' ? { source: true } : {}),
+      args: args.map(lineage.label),
+      cardinality: set._card?.kind ?? 'unknown',
+      ...(set._card?.size !== undefined && set._card.size !== Infinity ? { size: set._card.size } : {}),
+      ordered: !!order.get(set),
+      memo: !!set._memo,
+      ...stats(set),
+      from: from.map(parent => lineage.tree(parent, stats))
+    };
+  },
+
+  // Indented text, one stage per line, parents below
+  text(node, indent = '', last = true, root = true) {
+    const flags = [node.cardinality, node.ordered && 'ordered', node.memo && 'memo'].filter(Boolean).join(', ');
+    const timing = node.items !== undefined ? `  ${node.items} items, ${node.ms} ms (self ${node.selfMs} ms)` : '';
+    const stage = node.source ? node.op : `${node.op}(${node.args.join(', ')})`;
+    const line = `${root ? '' : indent + (last ? '└─ ' : '├─ ')}${stage}  [${flags}]${timing}`;
+    const childIndent = root ? '' : indent + (last ? '   ' : '│  ');
+    return [line, ...node.from.map((c, i) => lineage.text(c, childIndent, i === node.from.length - 1, false))].join('\n');
+  }
+};
+
+// Counts items and inclusive time of one stage while profile() runs
+const probed = (it, probe) => ({
+  next(v) {
+    const t = performance.now();
+    const r = it.next(v);
+    probe.ms += performance.now() - t;
+    if (!r.done) probe.items++;
+    return r;
+  },
+  return(v) { return it.return?.(v) ?? { value: v, done: true }; },
+  [Symbol.iterator]() { return this; }
+});
+
+// ============================================================================
+// fusion - Chained map/filter/skip/on stages run as one loop over their base set
+// ============================================================================
+
+const fusion = {
+  paused: 0,  // profile() walks the stages one by one
+
+  // Marked functions, kept aside: the caller's function objects are left untouched
+  pures: new WeakSet(),
+  invariants: new WeakSet(),
+
+  // Marks fn side-effect free; an invariant predicate gives the same answer before and after the pure maps
+  pure(fn, { invariant = false } = {}) {
+    fusion.pures.add(fn);
+    if (invariant) fusion.invariants.add(fn);
+    return fn;
+  },
+
+  // Stages of a derived set: the parent's stages plus its own, over the parent's base
+  chain(op, args, parent) {
+    if (op === 'skip' && parent._seek) return null;  // The closed form jumps, counting does not
+    const { base, stages } = parent._fused ?? { base: parent, stages: [] };
+    const all = [...stages, { op, arg: args[0] }];
+    return { base, stages: all, plan: fusion.plan(all) };
+  },
+
+  // Pure maps neither drop nor reorder values: skip, and invariant filters, move ahead of them
+  plan(stages) {
+    const out = [];
+    for (const s of stages) {
+      let at = out.length;
+      if (s.op === 'skip' || (s.op === 'filter' && fusion.invariants.has(s.arg))) {
+        while (at > 0 && out[at - 1].op === 'map' && fusion.pures.has(out[at - 1].arg)) at--;
+      }
+      out.splice(at, 0, s);
+    }
+    return out;
+  },
+
+  // One loop, one generator, whatever the number of stages
+  *run(base, stages) {
+    const seen = stages.map(() => 0);
+    next: for (let x of base) {
+      for (let k = 0; k < stages.length; k++) {
+        const { op, arg } = stages[k];
+        if (op === 'map') x = arg(x);
+        else if (op === 'filter') { if (!arg(x)) continue next; }
+        else if (op === 'skip') { if (!(seen[k]++ >= arg)) continue next; }
+        else arg(x);  // on
+      }
+      yield x;
+    }
+  }
+};
+
+// sort() / sortBy(): values are collected at once, sorted on first use - a take(n) right after
+// selects n with a heap instead of sorting them all
+const deferredSort = (set, cmp) => {
+  const values = [...set];
+  let sorted = null;
+  const all = () => sorted ??= values.sort(cmp);
+  const result = set._scope.primaSet(function* () { yield* all(); }, { size: values.length });
+  Object.defineProperty(result, '_sourceArray', { get: all, configurable: true });
+  result._ordered = undefined;  // Inferred from the sorted array, like array sources
+  result._sorted = { values, cmp, done: () => sorted !== null, all };
+  return result;
+};
+
+// First n values of a deferred sort, in order; the stable sort is matched by breaking ties on arrival
+const sortedHead = ({ values, cmp, all }, n) => {
+  let consistent = true;
+  const better = (a, b) => {
+    const c = cmp(a.value, b.value);
+    if (c !== c) consistent = false;  // NaN: no order to select by
+    return c || a.i - b.i;
+  };
+  const head = select(values, n, identity, better).map(e => e.value);
+  return consistent ? head : all().slice(0, n);
+};
+
+// ============================================================================
+// iif (if-then-else) - Branch steps
+// ============================================================================
+
+// iif: then(x) where pred(x), else_(x) (or x) elsewhere - per item on sets; short-circuits are step.shortCircuit
+export const iif = (pred, then, else_) => step.branch(pred, then, else_)
 
 export const when = (pred, fn) => iif(pred, fn)
 export const unless = (pred, fn) => iif(x => !pred(x), fn)
@@ -39,52 +249,409 @@ export const route = (routes) => {
   return fn
 }
 
-// Custom operations
+// ============================================================================
+// order - Ascending order model: declared comparator, inherited from sources
+// ============================================================================
+
+const order = {
+  ascending: (a, b) => a < b ? -1 : a > b ? 1 : 0,
+
+  // opts.ordered: true (ascending) or a comparator; otherwise inherit from a primaSet source
+  of(src, opts = {}) {
+    if (opts.ordered === true) return order.ascending;
+    if (typeof opts.ordered === 'function') return opts.ordered;
+    if (opts.ordered === false) return null;
+    if (Array.isArray(src) || typed.of(src)) return undefined;  // Inferred on first use, see order.get
+    return src?._gen ? order.get(src) : null;
+  },
+
+  // Arrays of numbers (or of strings, or of bigints) already in ascending order
+  infer(arr) {
+    const type = typeof arr[0];
+    if (arr.length && type !== 'number' && type !== 'string' && type !== 'bigint') return null;
+    for (let i = 0; i < arr.length; i++) {
+      if (typeof arr[i] !== type || arr[i] !== arr[i]) return null;  // Mixed types, NaN
+      if (i > 0 && arr[i - 1] > arr[i]) return null;
+    }
+    return order.ascending;
+  },
+
+  // Comparator of a set, or null - array sources are checked once and cached
+  get(set) {
+    if (set._ordered === undefined) set._ordered = set._sourceArray ? order.infer(set._sourceArray) : null;
+    return set._ordered;
+  }
+};
+
+// ============================================================================
+// seek - Closed-form random access: at(i) and its inverse indexOf(v)
+// ============================================================================
+
+const seek = {
+  // opts.at (and optional opts.indexOf) declare it; otherwise inherit from a primaSet source
+  of(src, opts = {}) {
+    if (typeof opts.at === 'function') return { at: opts.at, indexOf: opts.indexOf ?? null };
+    return src?._gen ? src._seek ?? null : null;
+  },
+
+  // Value at i, undefined past the known size
+  at(set, i) {
+    const size = set._card?.size;
+    return i < 0 || (size !== undefined && i >= size) ? undefined : set._seek.at(i);
+  },
+
+  map: (s, f) => ({ at: i => f(s.at(i)), indexOf: null }),
+
+  skip: (s, n) => ({
+    at: i => s.at(i + n),
+    indexOf: s.indexOf && (v => { const i = s.indexOf(v); return i < n ? -1 : i - n; })
+  }),
+
+  // Indices [start, stop) through at(i), clamped to the known size
+  range(set, start, stop) {
+    const end = Math.min(stop, set._card?.size ?? Infinity);
+    const result = [];
+    for (let i = start; i < end; i++) result.push(set._seek.at(i));
+    return result;
+  }
+};
+
+// Lower bound: first index in arr[lo..] whose value is not below x
+const bsearch = (arr, x, cmp, lo = 0) => {
+  let hi = arr.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (cmp(arr[mid], x) < 0) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+};
+
+// Sorted prefix to search in: the source array, or the memo extended up to x (past it if inclusive)
+const sortedPrefix = (set, x, cmp, inclusive = false) => {
+  if (set._sourceArray) return set._sourceArray;
+  if (!set._opts?.memo) return null;
+  set._memo.fillWhile(last => cmp(last, x) < (inclusive ? 1 : 0));
+  return set._memo.prefix();
+};
+
+// Typed values held by a set, without copying: its typed source array or its complete typed memo
+const typedValues = (set) => {
+  if (ArrayBuffer.isView(set._sourceArray)) return set._sourceArray;
+  const kept = set._memo?.done && set._memo.prefix();
+  return ArrayBuffer.isView(kept) ? kept : null;
+};
+
+// Reductions of typed sets as tight loops (i64 sums stay BigInt)
+const typedReduce = {
+  sum(arr) {
+    let sum = arr instanceof BigInt64Array ? 0n : 0;
+    for (let i = 0; i < arr.length; i++) sum += arr[i];
+    return sum;
+  },
+  min(arr) {
+    let min = arr.length ? arr[0] : Infinity;
+    for (let i = 1; i < arr.length; i++) if (arr[i] < min) min = arr[i];
+    return min;
+  },
+  max(arr) {
+    let max = arr.length ? arr[0] : -Infinity;
+    for (let i = 1; i < arr.length; i++) if (arr[i] > max) max = arr[i];
+    return max;
+  }
+};
+
+// ============================================================================
+// Order statistics helpers - bounded heaps, O(k) memory
+// ============================================================================
+
+// Binary heap: the entry that sorts first under cmp is at the root
+const heap = (cmp, items = []) => {
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+  const up = (i) => {
+    for (let p; i > 0 && cmp(items[i], items[p = (i - 1) >> 1]) < 0; i = p) swap(i, p);
+  };
+  const down = (i) => {
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < items.length && cmp(items[l], items[m]) < 0) m = l;
+      if (r < items.length && cmp(items[r], items[m]) < 0) m = r;
+      if (m === i) return;
+      swap(i, m);
+      i = m;
+    }
+  };
+  for (let i = (items.length >> 1) - 1; i >= 0; i--) down(i);  // Heapify in O(n)
+  return {
+    items,
+    get size() { return items.length; },
+    peek: () => items[0],
+    push(x) { items.push(x); up(items.length - 1); },
+    pop() {
+      const top = items[0], last = items.pop();
+      if (items.length) { items[0] = last; down(0); }
+      return top;
+    },
+    replace(x) { const top = items[0]; items[0] = x; down(0); return top; }
+  };
+};
+
+// Rankings of { key, value, i } entries: ties keep arrival order, so results are stable
+const rank = {
+  smallest: (a, b) => order.ascending(a.key, b.key) || a.i - b.i,
+  largest: (a, b) => order.ascending(b.key, a.key) || a.i - b.i
+};
+
+// The k best entries of a set under a ranking, best first - one pass, a heap of k entries
+const select = (set, k, by, better) => {
+  if (!(k > 0)) return [];
+  const kept = heap((a, b) => better(b, a));  // Worst kept entry at the root
+  let i = 0;
+  for (const value of set) {
+    const entry = { key: by(value), value, i: i++ };
+    if (kept.size < k) kept.push(entry);
+    else if (better(entry, kept.peek()) < 0) kept.replace(entry);
+  }
+  return kept.items.sort(better);
+};
+
+const identity = (x) => x;
+
+// Weighted sampling without replacement (Efraimidis-Spirakis): key log(u) / w, the n largest keys win - one pass
+const weightedSample = (set, n, weights, rng) => {
+  const weightOf = Array.isArray(weights) || typed.of(weights) ? (x, i) => weights[i] : weights;
+  const keyed = (function* () {
+    let i = 0;
+    for (const value of set) {
+      const w = Number(weightOf(value, i++));
+      if (!(w >= 0)) throw new RangeError(`sample: weight ${w} at index ${i - 1}, weights must be >= 0`);
+      if (w > 0) yield { value, key: Math.log(rng.float()) / w };
+    }
+  })();
+  return select(keyed, n, e => e.key, rank.largest).map(e => e.value.value);
+};
+
+// ============================================================================
+// Multi-pass helpers - tee() shared buffer, multiReduce() accumulators
+// ============================================================================
+
+// One source iterator shared by tee() branches: a value stays buffered until every branch has read it
+const teeSource = (set, n, maxBuffer) => {
+  const buffer = [], pos = new Array(n).fill(0);
+  let it = null, done = false;
+  let head = 0;  // Source index of buffer[0]
+  return (b) => {
+    if (pos[b] - head === buffer.length) {
+      if (done) return { done: true };
+      if (pos[b] - Math.min(...pos) >= maxBuffer) {
+        throw new MaterializationError(`tee() buffer is full (${maxBuffer} values): a branch is too far behind`, { op: 'tee', maxBuffer });
+      }
+      it ??= set[Symbol.iterator]();
+      const next = it.next();
+      if (next.done) { done = true; return next; }
+      buffer.push(next.value);
+    }
+    const value = buffer[pos[b]++ - head];
+    // Release what every branch has read, in chunks (amortized O(1))
+    const read = Math.min(...pos) - head;
+    if (read > 64 && read * 2 > buffer.length) { buffer.splice(0, read); head += read; }
+    return { value, done: false };
+  };
+};
+
+// Accumulators for multiReduce: init() state, step(state, x), done(state) result
+const reducers = {
+  count: { init: () => 0, step: (n) => n + 1 },
+  sum: { init: () => 0, step: (s, x) => big.add(s, big.num(x) || 0) },
+  product: { init: () => 1, step: (p, x) => big.mul(p, x) },
+  min: { init: () => Infinity, step: (m, x) => big.min(m, big.num(x)) },
+  max: { init: () => -Infinity, step: (m, x) => big.max(m, big.num(x)) },
+  first: { init: () => undefined, step: (f, x, i) => i === 0 ? x : f },
+  last: { init: () => undefined, step: (l, x) => x },
+  mean: {
+    init: () => ({ sum: 0, n: 0 }),
+    step: (a, x) => { a.sum = big.add(a.sum, x); a.n++; return a; },
+    done: (a) => a.n ? big.div(a.sum, a.n) : 0
+  },
+  // Welford: sample variance in one pass, no catastrophic cancellation (in Numbers: BigInts are converted)
+  variance: {
+    init: () => ({ n: 0, mean: 0, m2: 0 }),
+    step: (a, x) => { x = Number(x); const d = x - a.mean; a.mean += d / ++a.n; a.m2 += d * (x - a.mean); return a; },
+    done: (a) => a.n < 2 ? 0 : a.m2 / (a.n - 1)
+  }
+};
+reducers.stddev = { ...reducers.variance, done: (a) => Math.sqrt(reducers.variance.done(a)) };
+
+// Spec of one multiReduce entry: a built-in name, true or a built-in free function (`{ sum }`),
+// [fold, init], a (acc, x) fold seeded with the first value, or { init, step, done }
+const reducerOf = (name, spec) => {
+  if (typeof spec === 'string' && reducers[spec]) return reducers[spec];
+  if ((spec === true || (typeof spec === 'function' && spec.length < 2)) && reducers[name]) return reducers[name];
+  if (Array.isArray(spec) && typeof spec[0] === 'function') return { init: () => spec[1], step: spec[0] };
+  if (typeof spec === 'function') return { init: () => undefined, step: (acc, x, i) => i === 0 ? x : spec(acc, x) };
+  if (typeof spec?.step === 'function') return { init: () => spec.init, ...spec };
+  throw new TypeError(`multiReduce: no reducer for '${name}'`);
+};
+
+// ============================================================================
+// Set algebra helpers - key equality, sorted merge
+// ============================================================================
+
+// Default key: primitives by value, points by coordinates, other objects by JSON
+const keyOf = (x) => {
+  if (typeof x !== 'object' || x === null) return x;
+  if (Array.isArray(x.coords)) return `(${x.coords.join(',')})`;
+  return JSON.stringify(x);
+};
+
+// `by` is a key function or { key }; merging applies when both sides are ordered by value
+const algebra = (self, other, by) => {
+  const that = self._scope.primaSet(other);
+  const key = typeof by === 'function' ? by : by?.key ?? keyOf;
+  const cmp = !by && order.get(self) && order.get(that) ? self._ordered : null;
+  return { that, key, cmp };
+};
+
+// Distinct values of an ordered iterable (drops adjacent duplicates)
+function* distinct(it, cmp) {
+  let last, has = false;
+  for (const x of it) {
+    if (has && cmp(last, x) === 0) continue;
+    last = x; has = true;
+    yield x;
+  }
+}
+
+// Sorted merge walk: mode says which of left-only / both / right-only to emit
+const merge = (a, b, cmp, mode) => function* () {
+  const itA = distinct(a, cmp), itB = distinct(b, cmp);
+  let x = itA.next(), y = itB.next();
+  while (!x.done || !y.done) {
+    // Nothing left to emit once the side we depend on is exhausted
+    if (x.done && !mode.right) return;
+    if (y.done && !mode.left) return;
+    const c = x.done ? 1 : y.done ? -1 : cmp(x.value, y.value);
+    if (c < 0) { if (mode.left) yield x.value; x = itA.next(); }
+    else if (c > 0) { if (mode.right) yield y.value; y = itB.next(); }
+    else { if (mode.both) yield x.value; x = itA.next(); y = itB.next(); }
+  }
+};
+
+// Key set of a set that must be finite to be used as a lookup table
+const keySet = (set, key, op) => {
+  card.assertFinite(set, op);
+  const keys = new Set();
+  for (const x of set) keys.add(key(x));
+  return keys;
+};
+
+// Result set with cardinality and order attached
+const algebraSet = (self, gen, c, ordered) => {
+  const result = self._scope.primaSet(gen);
+  result._card = c;
+  result._ordered = ordered;
+  return result;
+};
+
+// ============================================================================
+// big - BigInt-aware arithmetic: exact integers, Numbers promoted past MAX_SAFE_INTEGER
+// ============================================================================
+
+const big = {
+  SAFE: BigInt(Number.MAX_SAFE_INTEGER),
+
+  integral: (x) => typeof x === 'bigint' || Number.isInteger(x),
+
+  // Unary plus that keeps BigInts
+  num: (x) => typeof x === 'bigint' ? x : +x,
+
+  // Number when it is exact, BigInt otherwise
+  fit: (x) => x <= big.SAFE && x >= -big.SAFE ? Number(x) : x,
+
+  abs: (x) => x < 0 ? -x : x,
+
+  // f on Numbers, redone on BigInts when an operand is a BigInt or a safe-integer result is not exact
+  exact: (f) => (a, b) => {
+    if (typeof a !== 'bigint' && typeof b !== 'bigint') {
+      const r = f(a, b);
+      if (!(Math.abs(r) > Number.MAX_SAFE_INTEGER) || !Number.isSafeInteger(a) || !Number.isSafeInteger(b)) return r;
+    } else if (!big.integral(a) || !big.integral(b)) {
+      return f(Number(a), Number(b));
+    }
+    return f(BigInt(a), BigInt(b));
+  },
+
+  // Exact BigInt quotient when b divides a, a Number otherwise
+  div(a, b) {
+    if (typeof a !== 'bigint' && typeof b !== 'bigint') return a / b;
+    if (big.integral(a) && big.integral(b) && b != 0 && BigInt(a) % BigInt(b) === 0n) return BigInt(a) / BigInt(b);
+    return Number(a) / Number(b);
+  },
+
+  min: (a, b) => typeof a === 'bigint' || typeof b === 'bigint' ? (b < a ? b : a) : Math.min(a, b),
+  max: (a, b) => typeof a === 'bigint' || typeof b === 'bigint' ? (b > a ? b : a) : Math.max(a, b),
+
+  gcd(a, b) {
+    if (typeof a === 'bigint' || typeof b === 'bigint') [a, b] = [BigInt(a), BigInt(b)];
+    while (b) [a, b] = [b, a % b];
+    return big.abs(a);
+  },
+
+  // Integer square root
+  sqrt: isqrt,
+
+  // Smallest prime factor of BigInts past MAX_SAFE_INTEGER, by factoring (see primafactor.mjs)
+  firstDivisor: (n) => primeFactors(n)[0][0]
+};
+big.add = big.exact((a, b) => a + b);
+big.sub = big.exact((a, b) => a - b);
+big.mul = big.exact((a, b) => a * b);
+big.mod = big.exact((a, b) => ((a % b) + b) % b);
+
+// Custom operations - BigInt in, exact BigInt out; Number integers are promoted when they outgrow MAX_SAFE_INTEGER
 const operations = {
   // Basic algebraic operations
-  sq: v => v * v,
-  inv: v => 1 / v,
+  sq: v => big.mul(v, v),
+  inv: v => 1 / Number(v),
   neg: v => -v,
 
   // Arithmetic operations
-  add: (a, b) => a + b,
-  sub: (a, b) => a - b,
-  mul: (a, b) => a * b,
-  div: (a, b) => a / b,
-  mod: (a, b) => ((a % b) + b) % b,
-  scale: (a, b) => a * b,
-  shift: (a, b) => a + b,
+  add: (a, b) => big.add(a, b),
+  sub: (a, b) => big.sub(a, b),
+  mul: (a, b) => big.mul(a, b),
+  div: (a, b) => big.div(a, b),
+  mod: (a, b) => big.mod(a, b),
+  scale: (a, b) => big.mul(a, b),
+  shift: (a, b) => big.add(a, b),
 
   // Statistical operations
-  mean: (...args) => args.length ? args.reduce((a, b) => a + b, 0) / args.length : 0,
-  sum: (...args) => args.reduce((a, b) => a + (+b || 0), 0),
-  min: (...args) => args.length ? args.reduce((a, b) => Math.min(a, +b), Infinity) : Infinity,
-  max: (...args) => args.length ? args.reduce((a, b) => Math.max(a, +b), -Infinity) : -Infinity,
+  mean: (...args) => args.length ? big.div(args.reduce((a, b) => big.add(a, b), 0), args.length) : 0,
+  sum: (...args) => args.reduce((a, b) => big.add(a, big.num(b) || 0), 0),
+  min: (...args) => args.length ? args.reduce((a, b) => big.min(a, big.num(b)), Infinity) : Infinity,
+  max: (...args) => args.length ? args.reduce((a, b) => big.max(a, big.num(b)), -Infinity) : -Infinity,
 
   // Utility operations
-  clamp: (v, min, max) => Math.min(max, Math.max(v, min)),
-  sigmoid: x => 1 / (1 + Math.exp(-x)),
+  clamp: (v, min, max) => big.min(max, big.max(v, min)),
+  sigmoid: x => 1 / (1 + Math.exp(-Number(x))),
 
-  // Advanced math
+  // Advanced math - exact: a Number while it is safe, a BigInt past 18! (or for BigInt n)
   factorial: (() => {
-    const memo = new Map();
+    const memo = [1n];
     return function fact(n) {
       if (n < 0) throw new Error('factorial requires n >= 0');
-      if (n > 170) throw new Error('factorial overflow');
-      if (n < 2) return 1;
-      if (memo.has(n)) return memo.get(n);
-      const res = n * fact(n - 1);
-      memo.set(n, res);
-      return res;
+      if (!big.integral(n)) throw new Error('factorial requires an integer');
+      for (let k = memo.length; k <= n; k++) memo.push(memo[k - 1] * BigInt(k));
+      return typeof n === 'bigint' ? memo[n] : big.fit(memo[n]);
     };
   })(),
 
   // Number theory
-  gcd: function gcd(a, b) { return b ? gcd(b, Math.abs(a % b)) : Math.abs(a); },
+  gcd: (a, b) => big.gcd(a, b),
 
-  lcm: (a, b) => Math.abs(a * b) / primaSet.gcd(a, b || 1),
+  lcm: (a, b) => big.abs(big.mul(big.div(a, big.gcd(a, b || 1)), b)),
 
   firstDivisor: (n) => {
+    if (typeof n === 'bigint' && n >= 2n) return n > big.SAFE ? big.firstDivisor(n) : BigInt(operations.firstDivisor(Number(n)));
     if (n < 2) return n;
     if (n % 2 === 0) return 2;
     if (n % 3 === 0) return 3;
@@ -96,11 +663,28 @@ const operations = {
     return n;
   },
 
-  // Primality test - use firstDivisor as default (geometric sieve available via isPrimeGeometric)
-  isPrime: (n) => {
-    if (n < 2) return false;
-    return operations.firstDivisor(n) === n;
-  },
+  // Primality by magnitude (see primaprime.mjs): Miller-Rabin with fixed bases up to 2^64, Baillie-PSW past it
+  isPrime: (n) => isPrime(n),
+  isProbablePrime: (n, opts) => isProbablePrime(n, opts),
+  nextPrime: (n) => nextPrime(n),
+  prevPrime: (n) => prevPrime(n),
+
+  // Factorization (see primafactor.mjs): trial division, Pollard-Brent rho, then ECM
+  factorize: (n) => factorize(n),
+  divisors: (n) => divisors(n),
+  sigma: (n, k) => sigma(n, k),
+  radical: (n) => radical(n),
+  isSquarefree: (n) => isSquarefree(n),
+
+  // Modular arithmetic (see primamod.mjs); crt takes whole lists and stays a free function
+  modPow: (b, e, m) => modPow(b, e, m),
+  modInverse: (a, m) => modInverse(a, m),
+  legendre: (a, p) => legendre(a, p),
+  jacobi: (a, n) => jacobi(a, n),
+  sqrtMod: (a, p) => sqrtMod(a, p),
+  order: (a, m) => multiplicativeOrder(a, m),
+  primitiveRoot: (m) => primitiveRoot(m),
+  discreteLog: (a, b, m) => discreteLog(a, b, m),
 
   // Advanced operations
 };
@@ -109,16 +693,45 @@ const operations = {
 const methods = {
   // Core lazy operations
   *map(f) { for (const x of this) yield f(x); },
-  reduce(f, init) { let acc = init; for (const x of this) acc = f(acc, x); return acc; },
+  reduce(f, init) { card.assertFinite(this, 'reduce'); let acc = init; for (const x of this) acc = f(acc, x); return acc; },
+
+  // Several aggregates in one pass: multiReduce({ sum, max, count }) or multiReduce(['mean', 'max'])
+  multiReduce(spec) {
+    card.assertFinite(this, 'multiReduce');
+    const entries = Array.isArray(spec) ? spec.map(name => [name, name]) : Object.entries(spec);
+    const rs = entries.map(([name, s]) => reducerOf(name, s));
+    const states = rs.map(r => r.init());
+    let i = 0;
+    for (const x of this) {
+      for (let k = 0; k < rs.length; k++) states[k] = rs[k].step(states[k], x, i);
+      i++;
+    }
+    return Object.fromEntries(entries.map(([name], k) => [name, rs[k].done ? rs[k].done(states[k]) : states[k]]));
+  },
+
+  // Independent lazy consumers of one pass over the source; values are buffered only
+  // between the slowest and the fastest branch. Each branch is a one-pass consumer.
+  tee(n = 2, { maxBuffer = Infinity } = {}) {
+    const read = teeSource(this, n, maxBuffer);
+    return Array.from({ length: n }, (_, b) => algebraSet(this, function* () {
+      for (let r = read(b); !r.done; r = read(b)) yield r.value;
+    }, this._card ?? card.unknown(), order.get(this)));
+  },
+
+  fork(opts) { return this.tee(2, opts); },
   take(n) {
     const result = [];
-    let c = 0;
+    if (n <= 0) return this._scope.primaSet(result);
+    if (this._sorted && !this._sorted.done()) return this._scope.primaSet(sortedHead(this._sorted, n));
+    const opts = { ordered: order.get(this) ?? undefined, dtype: this._dtype ?? undefined };
+    if (this._seek) return this._scope.primaSet(seek.range(this, 0, n), opts);
+    // Stop right after the n-th item: pulling one more can run forever on sparse merges
     for (const x of this) {
-      if (c++ >= n) break;
       result.push(x);
+      if (result.length >= n) break;
     }
     // Return primaSet backed by materialized array
-    return primaSet(result);
+    return this._scope.primaSet(result, opts);
   },
 
   takeWhile(pred) {
@@ -127,7 +740,25 @@ const methods = {
       if (!pred(x)) break;
       result.push(x);
     }
-    return primaSet(result);
+    return this._scope.primaSet(result, { ordered: order.get(this) ?? undefined, dtype: this._dtype ?? undefined });
+  },
+
+  // Array-style slice; closed forms jump straight to start, negative indices need a finite set
+  slice(start = 0, end) {
+    const size = this._card?.size;
+    if (start < 0 || end < 0 || (this._card?.kind !== 'finite' && end === undefined)) {
+      return this._scope.primaSet(this.toArray().slice(start, end));
+    }
+    const stop = end ?? size;
+    const opts = { ordered: order.get(this) ?? undefined, dtype: this._dtype ?? undefined };
+    if (this._seek) return this._scope.primaSet(seek.range(this, start, stop), opts);
+    const result = [];
+    let i = 0;
+    for (const x of this) {
+      if (i >= stop) break;
+      if (i++ >= start) result.push(x);
+    }
+    return this._scope.primaSet(result, opts);
   },
 
   takeRange(start, stop) {
@@ -141,18 +772,105 @@ const methods = {
       if (index > stop) break;
       index++;
     }
-    return primaSet(result);
+    return this._scope.primaSet(result);
   },
 
   // Utility operations
-  toArray() { return [...this]; },
+  toArray() { card.assertFinite(this, 'toArray'); return [...this]; },
+  // Zero-copy view of typed storage (dtype sets); anything else is copied into a new typed array
+  toTypedArray(dtype = this._dtype ?? 'f64') {
+    const { array } = typed.spec(dtype);
+    if (this._dtype && this._opts?.memo && this._memo.size === Infinity) {
+      card.assertFinite(this, 'toTypedArray');
+      this._memo.fill(Infinity);
+    }
+    const values = typedValues(this);
+    if (values instanceof array) return values;
+    card.assertFinite(this, 'toTypedArray');
+    return typed.from(values ?? [...this], dtype);
+  },
+  isTyped() { return !!this._dtype; },
   valueOf() { const arr = this.toArray(); return arr.length === 1 ? arr[0] : arr; },
-  toString(maxlen = 100) { return [...this].slice(0, maxlen).join(','); },
-  clearCache() { this._cache && (this._cache.length = 0); this._it = null; return this; },
+  toString(maxlen = 100) {
+    const head = [];
+    for (const x of this) { if (head.length >= maxlen) break; head.push(x); }
+    return head.join(',');
+  },
+  cardinality() { return (this._card ?? card.unknown()).kind; },
+  isOrdered() { return !!order.get(this); },
+
+  // Membership - ordered sets stop past x (binary search on arrays and memo), others must be finite
+  indexOf(x, from = 0) {
+    if (this._seek?.indexOf) { const i = this._seek.indexOf(x); return i >= from ? i : -1; }
+    const cmp = order.get(this);
+    if (!cmp) { card.assertFinite(this, 'indexOf'); return this.toArray().indexOf(x, from); }
+    const arr = sortedPrefix(this, x, cmp);
+    if (arr) {
+      const i = bsearch(arr, x, cmp, from);
+      return i < arr.length && cmp(arr[i], x) === 0 ? i : -1;
+    }
+    let i = 0;
+    for (const y of this) {
+      const c = cmp(y, x);
+      if (c > 0) return -1;
+      if (c === 0 && i >= from) return i;
+      i++;
+    }
+    return -1;
+  },
+
+  includes(x, from = 0) {
+    if (!order.get(this) && !this._seek?.indexOf) { card.assertFinite(this, 'includes'); return this.toArray().includes(x, from); }
+    return this.indexOf(x, from) !== -1;
+  },
+  clearCache() { this._memo?.clear(); this._it = null; return this; },
+  stats() { return this._memo?.stats() ?? null; },
+  // Memo window events ('window', 'evict') as a reactive stream; null without a memo window
+  memoEvents(type = 'window') { return this._memo?.window ? fromEvents(this._memo.window, type) : null; },
+  snapshot() { this._memo?.snapshot(); return this; },
+
+  // Introspection - the stage tree behind a set; profile() runs it and times every stage
+  explain({ format } = {}) {
+    const tree = lineage.tree(this);
+    return format === 'text' ? lineage.text(tree) : tree;
+  },
+
+  profile({ limit = Infinity, format } = {}) {
+    if (limit === Infinity) card.assertFinite(this, 'profile');
+    const probes = new Map();
+    const attach = (set) => {
+      if (probes.has(set._id)) return;
+      probes.set(set._id, set._probe = { items: 0, ms: 0 });
+      for (const parent of set._lineage?.from ?? []) attach(parent);
+    };
+    attach(this);
+    const clear = (set) => { set._probe = null; for (const parent of set._lineage?.from ?? []) clear(parent); };
+    fusion.paused++;
+    try {
+      let n = 0;
+      for (const x of this) if (++n >= limit) break;
+    } finally {
+      fusion.paused--;
+      clear(this);
+    }
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+    const tree = lineage.tree(this, (set) => {
+      const { items, ms } = probes.get(set._id);
+      return { items, ms: round(ms) };
+    });
+    // Self time: a stage's time minus the time spent pulling from its parents
+    const self = (node) => {
+      node.from.forEach(self);
+      node.selfMs = round(Math.max(0, node.ms - node.from.reduce((t, p) => t + p.ms, 0)));
+      return node;
+    };
+    self(tree);
+    return format === 'text' ? lineage.text(tree) : tree;
+  },
 
   // Side effects & iteration
   *on(f) { for (const x of this) { f(x); yield x; } },
-  forEach(fn) { for (const x of this) fn(x); },
+  forEach(fn) { card.assertFinite(this, 'forEach'); for (const x of this) fn(x); },
 
   // Random access - materializes the element
   get(index) {
@@ -163,37 +881,134 @@ const methods = {
       return this._sourceArray[index];
     }
 
-    // Use the cached values if available (from memo or sliding window cache)
-    if (this._cache) {
-      const cached = this._cache.get(index);
-      if (cached !== undefined) return cached;
-    }
+    if (this._seek) return seek.at(this, index);
 
-    // Otherwise, materialize the sequence up to the index
-    // This will populate the cache if cache is enabled
-    const arr = this.take(index + 1);
-    const value = arr[index];
-    
-    // If memo mode, cache the value
-    if (this._cache && this._memoized) {
-      while (this._memoized.length <= index) {
-        if (this._memoized.length < arr._sourceArray?.length) {
-          this._memoized.push(arr._sourceArray[this._memoized.length]);
-          this._cache.push(arr._sourceArray[this._memoized.length - 1]);
-        } else {
-          break;
+    // Memo and cache modes keep what they computed
+    if (this._memo) return this._memo.at(index);
+
+    return this.take(index + 1)[index];
+  },
+
+  // Budget guard - same as primaSet(this, { signal, maxItems, maxMs })
+  guard(opts = {}) { return this._scope.primaSet(this, opts); },
+
+  // Set algebra - lazy, keyed (points by coordinates), merge-based on ordered sets
+  union(other, by) {
+    const { that, key, cmp } = algebra(this, other, by);
+    const a = this._card, b = that._card;
+    const c = card.joined(a, b).kind === 'infinite' ? card.infinite() : card.bounded(card.joined(a, b));
+    if (cmp) return algebraSet(this, merge(this, that, cmp, { left: true, both: true, right: true }), c, cmp);
+    const self = this;
+    return algebraSet(this, function* () {
+      const seen = new Set();
+      const fresh = (x) => { const k = key(x); if (seen.has(k)) return false; seen.add(k); return true; };
+      if (a.kind === 'finite') {
+        for (const x of self) if (fresh(x)) yield x;
+        for (const x of that) if (fresh(x)) yield x;
+        return;
+      }
+      // Possibly infinite left side: interleave so the right side is reached too
+      const itA = self[Symbol.iterator](), itB = that[Symbol.iterator]();
+      let x = itA.next(), y = itB.next();
+      while (!x.done || !y.done) {
+        if (!x.done) { if (fresh(x.value)) yield x.value; x = itA.next(); }
+        if (!y.done) { if (fresh(y.value)) yield y.value; y = itB.next(); }
+      }
+    }, c, null);
+  },
+
+  intersect(other, by) {
+    const { that, key, cmp } = algebra(this, other, by);
+    const c = this._card.kind === 'finite' || that._card.kind === 'finite' ? card.finite() : card.unknown();
+    if (cmp) return algebraSet(this, merge(this, that, cmp, { both: true }), c, cmp);
+    const self = this;
+    // Look up in the finite side, stream the other one
+    if (that._card.kind !== 'finite' && this._card.kind === 'finite') {
+      return algebraSet(this, function* () {
+        const keys = keySet(self, key, 'intersect');
+        for (const y of that) {
+          if (keys.size === 0) return;  // Every element of the finite side found
+          if (keys.delete(key(y))) yield y;
         }
+      }, c, null);
+    }
+    return algebraSet(this, function* () {
+      const keys = keySet(that, key, 'intersect');
+      for (const x of self) {
+        if (keys.size === 0) return;  // Every element of the finite side found
+        if (keys.delete(key(x))) yield x;
       }
+    }, c, this._ordered);
+  },
+
+  difference(other, by) {
+    const { that, key, cmp } = algebra(this, other, by);
+    const c = this._card.kind === 'infinite' && that._card.kind === 'finite' ? card.infinite() : card.bounded(this._card);
+    if (cmp) return algebraSet(this, merge(this, that, cmp, { left: true }), c, cmp);
+    const self = this;
+    return algebraSet(this, function* () {
+      const keys = keySet(that, key, 'difference');
+      for (const x of self) {
+        const k = key(x);
+        if (!keys.has(k)) { keys.add(k); yield x; }
+      }
+    }, c, this._ordered);
+  },
+
+  symDiff(other, by) {
+    const { that, key, cmp } = algebra(this, other, by);
+    const c = this._card.kind === 'finite' && that._card.kind === 'finite' ? card.finite() : card.unknown();
+    if (cmp) return algebraSet(this, merge(this, that, cmp, { left: true, right: true }), c, cmp);
+    const self = this;
+    return algebraSet(this, function* () {
+      const left = keySet(self, key, 'symDiff'), right = keySet(that, key, 'symDiff');
+      const seen = new Set();
+      for (const x of self) { const k = key(x); if (!right.has(k) && !seen.has(k)) { seen.add(k); yield x; } }
+      for (const y of that) { const k = key(y); if (!left.has(k) && !seen.has(k)) { seen.add(k); yield y; } }
+    }, c, null);
+  },
+
+  isSubsetOf(other, by) {
+    const { that, key, cmp } = algebra(this, other, by);
+    card.assertFinite(this, 'isSubsetOf');
+    if (cmp) return merge(this, that, cmp, { left: true })().next().done;
+    const keys = new Set();
+    for (const x of this) keys.add(key(x));
+    if (that._card.kind === 'finite') {
+      for (const y of that) keys.delete(key(y));
+      return keys.size === 0;
     }
-    
-    return value;
+    // Possibly infinite superset: stop as soon as everything is found
+    for (const y of that) {
+      if (keys.size === 0) break;
+      keys.delete(key(y));
+    }
+    return keys.size === 0;
+  },
+
+  isDisjoint(other, by) {
+    const { that, key, cmp } = algebra(this, other, by);
+    if (cmp && (this._card.kind === 'finite' || that._card.kind === 'finite')) {
+      return merge(this, that, cmp, { both: true })().next().done;
+    }
+    const keys = keySet(that, key, 'isDisjoint');
+    card.assertFinite(this, 'isDisjoint');
+    for (const x of this) if (keys.has(key(x))) return false;
+    return true;
   },
 
-  // Special pipe function
-  pipe(...fns) { return fns.reduce((acc, f) => f(acc), this); },
+  // Async bridge - feed this set into async pipelines
+  toAsync() { return this._scope.primaSet.async(this); },
+  // Worker threads: parallel({ workers, chunk, ordered }).map(f).filter(p) - async terminals
+  parallel(opts) { return new ParallelSet(this, opts); },
+
+  // Instance pipe: the steps of primaSet.pipe, run on this set
+  pipe(...fns) { return pipe(...fns)(this._scope.primaSet(this)); },
 
   // Node.js console inspection
-  [Symbol.for('nodejs.util.inspect.custom')]() { return this.valueOf(); }
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return this._card?.kind === 'infinite' ? `${this.toString(10)},…` : this.valueOf();
+  }
 };
 
 // Add extended methods
@@ -201,12 +1016,17 @@ const generators = {
   *filter(p) { for (const x of this) if (p(x)) yield x; },
 
   *skip(n) {
+    if (this._seek) {
+      const size = this._card?.size ?? Infinity;
+      for (let i = n; i < size; i++) yield this._seek.at(i);
+      return;
+    }
     let c = 0;
     for (const x of this) if (c++ >= n) yield x;
   },
 
   *zip(other, f) {
-    const itA = this[Symbol.iterator](), itB = primaSet(other)[Symbol.iterator]();
+    const itA = this[Symbol.iterator](), itB = this._scope.primaSet(other)[Symbol.iterator]();
     while (true) {
       const a = itA.next(), b = itB.next();
       if (a.done || b.done) break;
@@ -247,38 +1067,121 @@ const generators = {
 
   *flatten() {
     for (const x of this) {
-      if (x?.[Symbol.iterator] && typeof x !== 'string') yield* primaSet(x).flatten();
+      if (x?.[Symbol.iterator] && typeof x !== 'string') yield* this._scope.primaSet(x).flatten();
       else yield x;
     }
   },
 
-  *unique() {
+  // Values in [lo, hi] - ordered sets skip ahead and stop past hi
+  *between(lo, hi) {
+    const cmp = order.get(this);
+    if (!cmp) { for (const x of this) if (x >= lo && x <= hi) yield x; return; }
+    const arr = sortedPrefix(this, hi, cmp, true);
+    if (arr) {
+      for (let i = bsearch(arr, lo, cmp); i < arr.length && cmp(arr[i], hi) <= 0; i++) yield arr[i];
+      return;
+    }
+    for (const x of this) {
+      if (cmp(x, hi) > 0) return;
+      if (cmp(x, lo) >= 0) yield x;
+    }
+  },
+
+  *unique(key = keyOf) {
     const seen = new Set();
     for (const x of this) {
-      const key = typeof x === 'object' && x !== null ? JSON.stringify(x) : x;
-      if (!seen.has(key)) { seen.add(key); yield x; }
+      const k = key(x);
+      if (!seen.has(k)) { seen.add(k); yield x; }
     }
   },
 
   sort() {
-    return primaSet([...this].sort((a, b) => a - b));
+    card.assertFinite(this, 'sort');
+    return deferredSort(this, (a, b) => a - b);
   },
 
   sortBy(f) {
-    return primaSet([...this].sort((a, b) => {
+    card.assertFinite(this, 'sortBy');
+    return deferredSort(this, (a, b) => {
       const fa = f(a), fb = f(b);
       return fa < fb ? -1 : fa > fb ? 1 : 0;
-    }));
+    });
+  },
+
+  // Order statistics - `by` is a key function; one pass keeping k entries, not the whole set
+  topK(k, by = identity) {
+    card.assertFinite(this, 'topK');
+    return this._scope.primaSet(select(this, k, by, rank.largest).map(e => e.value));
+  },
+
+  // Ordered sets without a key just take the first k (works on infinite sets)
+  bottomK(k, by) {
+    if (!by && order.get(this) && k >= 0) return this.take(k);
+    card.assertFinite(this, 'bottomK');
+    return this._scope.primaSet(select(this, k, by ?? identity, rank.smallest).map(e => e.value));
+  },
+
+  // k-th smallest, 1-based (kthSmallest(1) is the minimum); undefined past the size
+  kthSmallest(k, by) {
+    if (!by && order.get(this)) return k >= 1 ? this.get(k - 1) : undefined;
+    card.assertFinite(this, 'kthSmallest');
+    const kept = select(this, k, by ?? identity, rank.smallest);
+    return kept.length === k ? kept[k - 1].value : undefined;
+  },
+
+  // The n smallest first, in order, then the rest in source order - a second pass instead of a copy
+  partialSort(n, by = identity) {
+    card.assertFinite(this, 'partialSort');
+    const self = this;
+    const chosen = select(this, n, by, rank.smallest);
+    const picked = new Set(chosen.map(e => e.i));
+    const size = this._card?.size;
+    return this._scope.primaSet(function* () {
+      for (const e of chosen) yield e.value;
+      let i = 0;
+      for (const x of self) if (!picked.has(i++)) yield x;
+    }, size !== undefined ? { size } : { finite: true });
+  },
+
+  // Ascending order, pulled lazily: heapify once (O(n)), then O(log n) per element
+  sortedStream(by = identity) {
+    card.assertFinite(this, 'sortedStream');
+    const self = this;
+    const size = this._card?.size;
+    return this._scope.primaSet(function* () {
+      let i = 0;
+      const entries = [];
+      for (const value of self) entries.push({ key: by(value), value, i: i++ });
+      const h = heap(rank.smallest, entries);
+      while (h.size) yield h.pop().value;
+    }, size !== undefined ? { size } : { finite: true });
+  },
+
+  // Median of the values seen so far, one per element - two heaps, works on infinite sets
+  *runningMedian() {
+    const low = heap((a, b) => order.ascending(b, a)), high = heap(order.ascending);
+    for (const x of this) {
+      if (!low.size || x <= low.peek()) low.push(x); else high.push(x);
+      if (low.size > high.size + 1) high.push(low.pop());
+      else if (high.size > low.size) low.push(high.pop());
+      yield low.size > high.size ? low.peek() : (low.peek() + high.peek()) / 2;
+    }
   },
 
-  *cycle() {
-    const cache = [...this];
-    while (true) yield* cache;
+  cycle() {
+    card.assertFinite(this, 'cycle');
+    const self = this;
+    return this._scope.primaSet(function* () {
+      const cache = [...self];
+      if (cache.length === 0) return;
+      while (true) yield* cache;
+    // Infinite only when there is something to repeat: an empty set of unknown size yields nothing
+    }, this._card?.size === 0 ? { size: 0 } : this._card?.size > 0 ? { size: Infinity } : {});
   },
 
   *concat(...others) {
     yield* this;
-    for (const other of others) yield* primaSet(other);
+    for (const other of others) yield* this._scope.primaSet(other);
   },
 
   *mix(...others) {
@@ -286,7 +1189,7 @@ const generators = {
     // Like composing web elements to form another, or combining sets into a single collection
     yield* this;
     for (const other of others) {
-      yield* primaSet(other);
+      yield* this._scope.primaSet(other);
     }
   },
 
@@ -348,6 +1251,7 @@ const generators = {
   },
 
   groupBy(fn) {
+    card.assertFinite(this, 'groupBy');
     const map = new Map();
     for (const x of this) {
       const key = fn(x);
@@ -358,31 +1262,105 @@ const generators = {
   },
 
   toMap(keyFn, valFn = x => x) {
+    card.assertFinite(this, 'toMap');
     const map = new Map();
     for (const x of this) map.set(keyFn(x), valFn(x));
     return map;
   },
 
-  sample(n) {
+  // n values without repeats: { seed } or { random } for reproducible draws, { weights: fn | array } for weighted ones
+  sample(n, opts = {}) {
+    card.assertFinite(this, 'sample');
+    const rng = randomOf(opts);
+    const { weights } = opts;
+    if (weights) return this._scope.primaSet(weightedSample(this, n, weights, rng));
+    // Known size: partial Fisher-Yates over a copy; otherwise a reservoir of n in one pass
+    if (this._card?.size === undefined) return this._scope.primaSet(weightedSample(this, n, () => 1, rng));
     const arr = [...this], result = [];
     for (let i = 0; i < n && arr.length; i++) {
-      const j = Math.floor(Math.random() * arr.length);
+      const j = rng.int(arr.length);
       result.push(arr[j]);
       arr[j] = arr[arr.length - 1]; arr.pop();
     }
-    return primaSet(result);
+    return this._scope.primaSet(result);
+  },
+
+  shuffle(opts = {}) {
+    card.assertFinite(this, 'shuffle');
+    return this._scope.primaSet(randomOf(opts).shuffle([...this]));
+  },
+
+  // Uniform sample of n among the values seen so far, one per value - works on infinite sets
+  // The same (frozen) array comes back while the reservoir does not change
+  *reservoir(n, opts = {}) {
+    const rng = randomOf(opts);
+    const kept = [];
+    let i = 0, snapshot = Object.freeze([]);
+    for (const x of this) {
+      const j = i < n ? i : rng.int(i + 1);
+      i++;
+      if (j < n) {
+        kept[j] = x;
+        snapshot = Object.freeze([...kept]);
+      }
+      yield snapshot;
+    }
   },
 
-  count() { return this.reduce(c => c + 1, 0); },
-  sum() { return this.reduce((a, b) => a + (+b || 0), 0); },
+  count() {
+    // Known size: no need to iterate
+    if (this._card?.kind === 'finite' && this._card.size !== undefined) return this._card.size;
+    card.assertFinite(this, 'count');
+    return this.reduce(c => c + 1, 0);
+  },
+  sum() {
+    if (this._dtype) return typedReduce.sum(this.toTypedArray());
+    return this.reduce((a, b) => big.add(a, big.num(b) || 0), 0);
+  },
   mean() {
-    const { sum, count } = this.reduce((acc, val) => ({ sum: acc.sum + val, count: acc.count + 1 }), { sum: 0, count: 0 })
-    return count ? sum / count : 0
+    if (this._dtype) {
+      const arr = this.toTypedArray();
+      return arr.length ? Number(typedReduce.sum(arr)) / arr.length : 0;
+    }
+    const { sum, count } = this.reduce((acc, val) => ({ sum: big.add(acc.sum, val), count: acc.count + 1 }), { sum: 0, count: 0 })
+    return count ? big.div(sum, count) : 0
+  },
+  min() {
+    if (this._dtype) return typedReduce.min(this.toTypedArray());
+    return this.reduce((a, b) => big.min(a, big.num(b)), Infinity);
   },
-  min() { return this.reduce((a, b) => Math.min(a, +b), Infinity); },
-  max() { return this.reduce((a, b) => Math.max(a, +b), -Infinity); },
+  max() {
+    if (this._dtype) return typedReduce.max(this.toTypedArray());
+    return this.reduce((a, b) => big.max(a, big.num(b)), -Infinity);
+  },
+
+  toJSON() { card.assertFinite(this, 'toJSON'); return [...this]; },
+};
 
-  toJSON() { return [...this]; },
+// Cardinality transforms: how each lazy method changes the size of its set
+const sizes = {
+  map: (c) => c,
+  on: (c) => c,
+  filter: card.bounded,
+  unique: card.bounded,
+  between: card.bounded,
+  skip: (c, n) => card.resize(c, size => Math.max(0, size - n)),
+  zip: (c, other) => card.shorter(c, card.of(other)),
+  chunk: (c, size) => card.resize(c, n => Math.ceil(n / size)),
+  window: (c, size) => card.resize(c, n => Math.max(0, n - size + 1)),
+  runningMedian: (c) => c,
+  concat: (c, ...others) => card.joined(c, ...others.map(o => card.of(o))),
+  mix: (c, ...others) => card.joined(c, ...others.map(o => card.of(o)))
 };
+for (const [name, size] of Object.entries(sizes)) (methods[name] ?? generators[name]).card = size;
+
+// Closed-form transforms: lazy methods that keep random access O(1)
+for (const name of ['map', 'skip']) (methods[name] ?? generators[name]).seek = seek[name];
+
+// Lazy methods that fuse into one loop when chained
+for (const name of ['map', 'filter', 'skip', 'on']) (methods[name] ?? generators[name]).fuse = true;
+
+// Lazy methods that keep an ordered set ordered
+for (const name of ['on', 'filter', 'unique', 'skip', 'between']) (methods[name] ?? generators[name]).ordered = true;
 
-export { operations, methods, generators };
\ No newline at end of file
+export { operations, methods, generators, card, order, seek, keyOf, big, lineage, probed, fusion };
\ No newline at end of file
@@ -6,7 +6,7 @@ import { primaSet } from './primaset.mjs'
 import { N, Z, R, primes } from '../num/primanum.mjs'
 
 // Destructure operations from primaSet
-const { sq, sqrt, add, mul, sum, min, max, mean, clamp, sigmoid, factorial, lcm, firstDivisor } = primaSet;
+const { sq, sqrt, add, mul, sum, min, max, mean, clamp, sigmoid, factorial, gcd, lcm, firstDivisor, isPrime } = primaSet;
 const { pipe, take, map, filter, count } = primaSet;
 
 // ============================================================================
@@ -99,6 +99,43 @@ test('Operation: factorial as free function', ({check}) => {
   check(factorial([0, 1, 2, 3, 4, 5]), [1, 1, 2, 6, 24, 120]);
 });
 
+test('Operation: BigInt in, exact BigInt out', ({check}) => {
+  check(primaSet([1n, 2n, 3n]).sum() === 6n, true);
+  check(sum([2n ** 64n, 1n]) === 2n ** 64n + 1n, true);
+  check(primaSet([10n, 20n]).mean() === 15n, true);
+  check(mean([1n, 2n]), 1.5);  // Not divisible: a Number
+  check(primaSet([3n, 1, 2n]).min(), 1);
+  check(primaSet([3n, 1, 2n]).max() === 3n, true);
+  check(gcd(2n ** 64n, 6n) === 2n, true);
+  check(lcm(2n ** 40n, 3n) === 3n * 2n ** 40n, true);
+  check(mul(3n, 4) === 12n, true);
+  check(primaSet([2n, 3n]).add(1n).toArray().every(x => typeof x === 'bigint'), true);
+  check(primaSet.mod(7n, 3) === 1n, true);
+  check(primaSet.mod(-7n, 3n) === 2n, true);
+  check(primaSet([2n ** 64n + 5n, -1]).mod(7).toArray().join(), '0,6');
+});
+
+test('Operation: safe integers are promoted past MAX_SAFE_INTEGER', ({check}) => {
+  check(mul(2 ** 30, 2 ** 30) === 2n ** 60n, true);
+  check(primaSet([Number.MAX_SAFE_INTEGER, 2]).sum() === 9007199254740993n, true);
+  check(sum([Number.MAX_SAFE_INTEGER, 2]) === 9007199254740993n, true);
+  check(mul(0.5, 2 ** 60), 2 ** 59);  // Floats stay floats
+  check(mul(2, 3), 6);
+});
+
+test('Operation: exact factorial and BigInt primality', ({check}) => {
+  check(factorial(18), 6402373705728000);
+  check(factorial(19) === 121645100408832000n, true);
+  check(String(factorial(100)).length, 158);
+  check(factorial(5n) === 120n, true);
+  check(isPrime(2n ** 61n - 1n), true);
+  check(isPrime(2n ** 61n + 1n), false);
+  check(isPrime(97n), true);
+  check(firstDivisor(91n) === 7n, true);
+  check(primes.primorial(20) === 557940830126698960967415390n, true);
+  check(primes.primorial(4), 210);
+});
+
 test('Operation: lcm as free function', ({check}) => {
   check(lcm(4, 6), 12);
   check(lcm(15, 20), 60);
@@ -396,6 +433,142 @@ test('Core method: sortBy', ({check}) => {
   check(primaSet(users).sortBy(u => u.age).map(u => u.name), ['Alice','Bob','Charlie']);
 });
 
+test('Order statistics: topK, bottomK, kthSmallest', ({check}) => {
+  const s = primaSet([5, 1, 9, 3, 7, 3, 8]);
+  check(s.topK(3), [9, 8, 7]);
+  check(s.bottomK(3), [1, 3, 3]);
+  check(s.kthSmallest(1), 1);
+  check(s.kthSmallest(4), 5);
+  check(s.kthSmallest(99) === undefined, true);
+  check(s.topK(0), []);
+  const users = [{name:'Bob', age:30}, {name:'Alice', age:25}, {name:'Carol', age:30}];
+  check(primaSet(users).topK(2, u => u.age).map(u => u.name), ['Bob', 'Carol']);  // Ties keep source order
+});
+
+test('Order statistics: ordered sets stop early, infinite ones need a bound', ({check}) => {
+  check(primes.bottomK(3), [2, 3, 5]);
+  check(primes.kthSmallest(10), 29);
+  check(primes.between(2, 1e4).window(2).map(([p, q]) => q - p).topK(3), [36, 34, 34]);
+  try {
+    primes.topK(3);
+    check(false);
+  } catch (e) {
+    check(e.name, 'MaterializationError');
+  }
+});
+
+test('Order statistics: partialSort, sortedStream, runningMedian', ({check}) => {
+  const s = primaSet([5, 1, 9, 3, 7]);
+  check(s.partialSort(2), [1, 3, 5, 9, 7]);
+  check(s.partialSort(2).length, 5);
+  check(s.sortedStream(), [1, 3, 5, 7, 9]);
+  check(s.sortedStream(x => -x).take(2), [9, 7]);
+  check(s.runningMedian(), [5, 3, 5, 4, 5]);
+  check(N().runningMedian().take(4), [1, 1.5, 2, 2.5]);
+});
+
+// ============================================================================
+//  MULTI-PASS
+// ============================================================================
+
+// Counts how many values the source produced
+const counted = (n) => {
+  const src = { pulled: 0 };
+  src.set = primaSet(function* () { for (let i = 1; i <= n; i++) { src.pulled++; yield i; } });
+  return src;
+};
+
+test('Multi-pass: multiReduce computes several aggregates in one pass', ({check}) => {
+  const src = counted(100);
+  const r = src.set.multiReduce({ sum, max, count, mean: true, spread: 'stddev', evens: [(n, x) => n + (x % 2 === 0), 0] });
+  check(r, { sum: 5050, max: 100, count: 100, mean: 50.5, spread: 29.011491975882016, evens: 50 });
+  check(src.pulled, 100);
+  check(primaSet([3, 9, 4]).multiReduce({ biggest: (a, b) => a > b ? a : b, first: true, last: true }), { biggest: 9, first: 3, last: 4 });
+  check(primaSet([1, 2]).multiReduce(['min', 'variance']), { min: 1, variance: 0.5 });
+  check(primaSet([1n, 2n, 3n]).multiReduce(['variance', 'stddev']), { variance: 1, stddev: 1 });
+  check(primaSet([1n, 2, 3n]).multiReduce(['variance']), { variance: 1 });
+  check(primaSet([]).multiReduce(['sum', 'mean']), { sum: 0, mean: 0 });
+});
+
+test('Multi-pass: tee shares one pass between branches', ({check}) => {
+  const src = counted(500);
+  const [a, b] = src.set.tee();
+  const ia = a[Symbol.iterator](), ib = b[Symbol.iterator]();
+  let total = 0;
+  for (let k = 0; k < 500; k++) total += ia.next().value - ib.next().value;
+  check(total, 0);
+  check(src.pulled, 500);  // Not 1000
+  check(ia.next().done, true);
+  const [x, y, z] = primes.take(4).tee(3);
+  check(x, [2, 3, 5, 7]);
+  check(z, [2, 3, 5, 7]);
+  check(y.count(), 4);
+  const [p, q] = primes.fork();
+  check(p.cardinality(), 'infinite');
+  check(q.isOrdered(), true);
+});
+
+test('Multi-pass: tee buffer limit', ({check}) => {
+  const [a] = N().tee(2, { maxBuffer: 10 });
+  try {
+    a.take(20).toArray();
+    check(false);
+  } catch (e) {
+    check(e.name, 'MaterializationError');
+  }
+});
+
+// ============================================================================
+//  INTROSPECTION
+// ============================================================================
+
+test('Introspection: explain returns the stage tree', ({check}) => {
+  const s = N().map(x => x * 2).filter(x => x % 3 === 1).take(5);
+  const tree = s.explain();
+  check(tree.op, 'take');
+  check(tree.args, ['5']);
+  check(tree.size, 5);
+  check(tree.from[0].op, 'filter');
+  check(tree.from[0].from[0].args, ['x => x * 2']);
+  check(tree.from[0].from[0].from[0], { op: 'N', source: true, args: [], cardinality: 'infinite', ordered: true, memo: false, from: [] });
+  check(primaSet([1, 2], { name: 'pair' }).explain().op, 'pair');
+  check(primaSet(new Int32Array(3)).explain().op, 'Int32Array(3)');
+});
+
+test('Introspection: binary stages have two parents', ({check}) => {
+  const text = primaSet([1, 2, 3]).union(primaSet([3, 4])).sq().explain({ format: 'text' });
+  check(text, [
+    'sq()  [finite]',
+    '└─ union(array(2))  [finite, ordered]',
+    '   ├─ array(3)  [finite, ordered]',
+    '   └─ array(2)  [finite, ordered]'
+  ].join('\n'));
+  const [a] = primes.tee();
+  check(a.explain().op, 'tee');
+  check(a.explain().from[0].op, 'primes');
+  check(primes.explain().from, []);  // Existing sets keep their lineage
+});
+
+test('Introspection: profile counts items per stage', ({check}) => {
+  const gaps = primes.between(2, 1000).window(2).map(([p, q]) => q - p);
+  const report = gaps.profile();
+  check(report.items, 167);
+  check(report.from[0].op, 'window');
+  check(report.from[0].items, 167);
+  check(report.from[0].from[0].items, 168);
+  check(report.ms >= report.from[0].ms, true);
+  check(report.selfMs >= 0, true);
+  check(gaps._probe, null);  // Probes removed after the run
+  check(N().sq().profile({ limit: 10 }).items, 10);
+  check(N().sq().profile({ limit: 10, format: 'text' }).includes('10 items'), true);
+  try {
+    N().profile();
+    check(false);
+  } catch (e) {
+    check(e.name, 'MaterializationError');
+  }
+});
+
 // ============================================================================
 //  CYCLE & CONCAT
 // ============================================================================
@@ -0,0 +1,230 @@
+/**
+ * PrimaParallel - Worker-thread map/filter/reduce for PrimaSet
+ * Chunks of the source go to workers (node:worker_threads or Web Workers), stages run there as one loop
+ */
+
+import { primaSet } from './primaset.mjs'
+import { PrimaError } from './errors.mjs'
+
+// ============================================================================
+// Function references - what can cross to a worker
+// ============================================================================
+
+// A self-contained function travels as source; anything else as { module, name } (absolute path or URL)
+const refOf = (fn) => {
+  if (typeof fn === 'function') {
+    const src = fn.toString()
+    try {
+      if (typeof new Function(`return (${src})`)() !== 'function') throw new SyntaxError(src)
+    } catch {
+      throw new PrimaError(`Cannot send '${fn.name || 'anonymous'}' to a worker: use an arrow or function expression, or a module reference`, 'PARALLEL_FN', { src })
+    }
+    return { src }
+  }
+  if (fn && typeof fn === 'object' && fn.module) return { module: String(fn.module), name: fn.name ?? 'default' }
+  throw new PrimaError('Parallel stages take a function or a { module, name } reference', 'PARALLEL_FN', { fn })
+}
+
+// ============================================================================
+// runTask - One chunk through the stages; also the body of every worker
+// ============================================================================
+
+// Self-contained on purpose: its source is the worker script, so it only uses its arguments
+async function runTask({ stages, values, reduce }, load) {
+  const fns = await Promise.all(stages.map(s => load(s.fn)))
+  const out = []
+  next: for (let x of values) {
+    for (let k = 0; k < stages.length; k++) {
+      if (stages[k].op === 'map') x = fns[k](x)
+      else if (!fns[k](x)) continue next
+    }
+    out.push(x)
+  }
+  if (!reduce) return out
+  const f = await load(reduce.fn)
+  let acc = reduce.init
+  for (const x of out) acc = f(acc, x)
+  return acc
+}
+
+const workerSource = `
+const port = typeof require === 'function' ? require('node:worker_threads').parentPort : self
+const onMessage = (f) => port.on ? port.on('message', f) : port.addEventListener('message', e => f(e.data))
+const loaded = new Map()
+const load = async (ref) => {
+  const key = ref.src ?? ref.module + '#' + ref.name
+  if (!loaded.has(key)) loaded.set(key, ref.src ? new Function('return (' + ref.src + ')')() : (await import(ref.module))[ref.name])
+  return loaded.get(key)
+}
+${runTask.toString()}
+onMessage(async (task) => {
+  try {
+    port.postMessage({ id: task.id, result: await runTask(task, load) })
+  } catch (e) {
+    port.postMessage({ id: task.id, error: { name: e?.name, message: e?.message ?? String(e) } })
+  }
+})
+`
+
+// ============================================================================
+// workers - Node worker_threads, Web Workers, or the calling thread
+// ============================================================================
+
+const isNode = !!globalThis.process?.versions?.node
+
+// Node built-ins, imported once on first use (browsers never reach them)
+const builtins = new Map()
+const builtin = (name) => builtins.get(name) ?? builtins.set(name, import(`node:${name}`)).get(name)
+let nodeWorker = null   // worker_threads.Worker, set by kind()
+
+const workers = {
+  // Hardware threads minus the one running the caller
+  async available() {
+    if (globalThis.navigator?.hardwareConcurrency) return Math.max(1, globalThis.navigator.hardwareConcurrency - 1)
+    if (!isNode) return 1
+    const os = await builtin('os')
+    return Math.max(1, (os.availableParallelism?.() ?? os.cpus().length) - 1)
+  },
+
+  // worker_threads in Node, Worker in browsers; no silent fallback to the calling thread (that is workers: 0)
+  async kind() {
+    if (isNode) {
+      try {
+        nodeWorker = (await builtin('worker_threads')).Worker
+        return 'worker_threads'
+      } catch (e) {
+        throw new PrimaError(`Cannot load node:worker_threads: ${e.message}; use workers: 0 to run on this thread`, 'PARALLEL_WORKERS', { cause: e })
+      }
+    }
+    if (typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL?.createObjectURL === 'function') return 'web'
+    throw new PrimaError('No workers in this environment; use workers: 0 to run on this thread', 'PARALLEL_WORKERS')
+  },
+
+  // { post, stop } around one worker; onMessage gets { id, result | error }
+  spawn(kind, onMessage, onError) {
+    if (kind === 'worker_threads') {
+      const w = new nodeWorker(workerSource, { eval: true })
+      w.on('message', onMessage)
+      w.on('error', onError)
+      return { post: (task) => w.postMessage(task), stop: () => w.terminate() }
+    }
+    if (kind === 'web') {
+      const url = URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' }))
+      const w = new Worker(url, { type: 'module' })
+      w.addEventListener('message', e => onMessage(e.data))
+      w.addEventListener('error', onError)
+      return { post: (task) => w.postMessage(task), stop: () => { w.terminate(); URL.revokeObjectURL(url) } }
+    }
+    // No workers (or workers: 0): same protocol, run on this thread
+    const loaded = new Map()
+    const load = async (ref) => ref.fn ?? (loaded.get(ref) ?? loaded.set(ref, import(ref.module).then(m => m[ref.name])).get(ref))
+    return {
+      post: (task) => runTask(task, load).then(result => onMessage({ id: task.id, result }), error => onMessage({ id: task.id, error })),
+      stop: () => {}
+    }
+  }
+}
+
+// ============================================================================
+// ParallelSet - Lazy stages, async terminals
+// ============================================================================
+
+class ParallelSet {
+  // workers defaults to the hardware threads left over, counted when the set runs
+  constructor(source, { workers: count, chunk = 1024, ordered = true } = {}, stages = []) {
+    if (!(chunk >= 1)) throw new PrimaError(`chunk must be at least 1, got ${chunk}`, 'PARALLEL_OPTIONS', { chunk })
+    this.source = source
+    this.opts = { workers: count, chunk, ordered }
+    this.stages = stages
+  }
+
+  // Stages are recorded, and run in the workers as one loop
+  map(fn) { return new ParallelSet(this.source, this.opts, [...this.stages, { op: 'map', fn }]) }
+  filter(fn) { return new ParallelSet(this.source, this.opts, [...this.stages, { op: 'filter', fn }]) }
+
+  // Chunks of results, in source order when ordered (the default), as workers finish otherwise
+  async *chunks(reduce = null) {
+    const { chunk, ordered } = this.opts
+    const count = this.opts.workers ?? await workers.available()
+    const kind = count > 0 ? await workers.kind() : 'inline'
+    const inline = kind === 'inline'
+    // Inline runs keep the functions themselves: no serialization, closures allowed
+    const ship = (fn) => inline && typeof fn === 'function' ? { fn } : refOf(fn)
+    const stages = this.stages.map(s => ({ op: s.op, fn: ship(s.fn) }))
+    const reducer = reduce && { fn: ship(reduce.fn), init: reduce.init }
+
+    const done = new Map()    // id -> { result } | { error }
+    let wake = null
+    const settle = (msg) => { done.set(msg.id, msg); wake?.(); }
+    const fail = (error) => settle({ id: -1, error })
+    // Workers start on demand: a short source does not pay for the whole pool
+    const size = inline ? 1 : Math.min(count, 64)
+    const pool = [], idle = []
+    const busy = new Map()    // id -> worker
+
+    const it = this.source[Symbol.iterator]()
+    let sent = 0, next = 0, exhausted = false
+    const send = () => {
+      while (!exhausted && (idle.length || pool.length < size)) {
+        const values = []
+        for (let r; values.length < chunk && !(r = it.next()).done;) values.push(r.value)
+        if (values.length < chunk) exhausted = true
+        if (!values.length) break
+        const worker = idle.pop() ?? pool[pool.push(workers.spawn(kind, settle, fail)) - 1]
+        busy.set(sent, worker)
+        worker.post({ id: sent++, stages, values, reduce: reducer })
+      }
+    }
+
+    try {
+      send()
+      while (next < sent) {
+        if (done.has(-1)) throw done.get(-1).error
+        const id = ordered ? next : [...done.keys()][0]
+        if (id === undefined || !done.has(id)) {
+          await new Promise(resolve => { wake = resolve })
+          continue
+        }
+        const { result, error } = done.get(id)
+        done.delete(id)
+        if (error) throw new PrimaError(`Parallel stage failed: ${error.message}`, 'PARALLEL', { name: error.name, chunk: id })
+        idle.push(busy.get(id))
+        busy.delete(id)
+        next++
+        send()
+        yield result
+      }
+    } finally {
+      it.return?.()
+      await Promise.all(pool.map(w => w.stop()))
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for await (const values of this.chunks()) yield* values
+  }
+
+  // Partial results per chunk, merged here with combine (default: fn - fine when fn is associative and init neutral)
+  async reduce(fn, init, combine = fn) {
+    let acc = init
+    for await (const partial of this.chunks({ fn, init })) acc = combine(acc, partial)
+    return acc
+  }
+
+  async toArray() {
+    const result = []
+    for await (const values of this.chunks()) for (const x of values) result.push(x)
+    return result
+  }
+
+  async count() {
+    let n = 0
+    for await (const values of this.chunks()) n += values.length
+    return n
+  }
+
+  // The rest of the async vocabulary (take, first, zip...) on the results
+  toAsync() { return primaSet.async(this) }
+}
+
+export { ParallelSet, workers as parallelWorkers }
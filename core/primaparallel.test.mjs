@@ -0,0 +1,58 @@
+// primaparallel.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { parallelWorkers } from './primaparallel.mjs'
+
+const range = (n) => primaSet(function* () { for (let i = 1; i <= n; i++) yield i }, { size: n })
+
+// Stages in workers
+test('🧪 primaparallel.test.mjs - map/filter run in workers, in source order', async ({check}) => {
+  const squares = range(40).parallel({ workers: 2, chunk: 7 }).map(x => x * x).filter(x => x % 2)
+  check(await squares.toArray(), range(40).map(x => x * x).filter(x => x % 2).toArray())
+  check(await squares.count(), 20)
+  check(await range(3).parallel({ workers: 2 }).toArray(), [1, 2, 3])
+  check(await primaSet([]).parallel({ workers: 2 }).map(x => x).toArray(), [])
+})
+
+test('parallel - reduce merges per-chunk partials', async ({check}) => {
+  const p = range(1000).parallel({ workers: 2, chunk: 64 })
+  check(await p.reduce((a, b) => a + b, 0), 500500)
+  check(await p.reduce((n, x) => n + 1, 0, (a, b) => a + b), 1000)  // Not associative: combine merges counts
+  check(await p.filter(x => x % 10 === 0).reduce((a, b) => Math.max(a, b), -Infinity), 1000)
+})
+
+test('parallel - module references and unordered results', async ({check}) => {
+  const isPrime = { module: new URL('./primaset.mjs', import.meta.url).href, name: 'isPrime' }
+  check(await range(100).parallel({ workers: 2, chunk: 25 }).filter(isPrime).count(), 25)
+  const any = await range(200).parallel({ workers: 2, chunk: 10, ordered: false }).map(x => 2 * x).toArray()
+  check(any.length, 200)
+  check(any.sort((a, b) => a - b)[199], 400)
+})
+
+test('parallel - infinite sources stop with the consumer', async ({check}) => {
+  const naturals = primaSet(function* () { let n = 1; while (true) yield n++ })
+  const sevens = []
+  for await (const x of naturals.parallel({ workers: 2, chunk: 10 }).filter(x => x % 7 === 0)) {
+    sevens.push(x)
+    if (sevens.length === 3) break
+  }
+  check(sevens, [7, 14, 21])
+  check(await naturals.parallel({ workers: 1, chunk: 5 }).map(x => -x).toAsync().take(2).toArray(), [-1, -2])
+})
+
+test('parallel - closures need workers: 0, errors come back as PrimaError', async ({check}) => {
+  const k = 3
+  check(await range(4).parallel({ workers: 0 }).map(x => x * k).toArray(), [3, 6, 9, 12])
+  const failed = (p) => p.then(() => null, e => e)
+  const e1 = await failed(range(4).parallel({ workers: 1 }).map(x => x * k).toArray())
+  check(e1.code, 'PARALLEL')
+  check(e1.message.includes('k is not defined'), true)
+  const e2 = await failed(range(4).parallel({ workers: 1 }).map(Math.sqrt).toArray())
+  check(e2.code, 'PARALLEL_FN')
+  const e3 = await failed(range(4).parallel({ workers: 0 }).filter(x => { if (x > 2) throw new Error('boom'); return true }).toArray())
+  check(e3.message, 'Parallel stage failed: boom')
+  // Node always gets real workers, imported as node:worker_threads (no fallback to the calling thread)
+  if (globalThis.process?.versions?.node) check(await parallelWorkers.kind(), 'worker_threads')
+  check(await parallelWorkers.available() >= 1, true)
+})
@@ -0,0 +1,151 @@
+/**
+ * PrimaPipe - Step protocol for pipe() and compose()
+ * Each step says what it does with the value it gets: transform, reduce, tap, branch, short-circuit, catch, retry
+ */
+
+import { PrimaError } from './errors.mjs'
+
+// ============================================================================
+// Values - Sets (sync, async), arrays and iterables, or anything else
+// ============================================================================
+
+const isSet = (x) => x != null && typeof x === 'object' &&
+  (typeof x[Symbol.iterator] === 'function' || typeof x[Symbol.asyncIterator] === 'function')
+
+const isThenable = (x) => typeof x?.then === 'function'
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// ============================================================================
+// step - Constructors; a step stays a plain function of the value
+// ============================================================================
+
+// Declared types: 'set' | 'value' | 'any'; out may also be 'same' (whatever came in)
+const stepTypes = ['set', 'value', 'any']
+
+const make = (kind, fn, { in: from = 'any', out = 'any', ...meta } = {}) => {
+  if (!stepTypes.includes(from) || !(stepTypes.includes(out) || out === 'same')) {
+    throw new PrimaError(`Unknown step types ${from} -> ${out}`, 'PIPE_STEP', { in: from, out, expected: stepTypes })
+  }
+  return Object.assign((x) => fn(x), { step: kind, in: from, out, ...meta })
+}
+
+const step = {
+  // fn(value) -> next value; plain functions in a pipeline are transforms
+  transform: (fn, types) => make('transform', fn, types),
+
+  // A set to one value: reduce(f, init) of sync and async sets, arrays
+  reduce: (fn, init) => make('reduce', x => x.reduce(fn, init), { in: 'set', out: 'value' }),
+
+  // Side effect, value unchanged: per item on sets (lazily, like on), once on anything else
+  tap: (fn) => make('tap', x => {
+    if (!isSet(x)) return (fn(x), x)
+    if (typeof x.on === 'function') return x.on(fn)
+    for (const v of x) fn(v)
+    return x
+  }, { out: 'same' }),
+
+  // then(v) where pred(v), otherwise(v) elsewhere: per item on sets, on the value itself otherwise
+  branch: (pred, then, otherwise = (v) => v) => {
+    const one = (v) => pred(v) ? then(v) : otherwise(v)
+    return make('branch', x => isSet(x) && typeof x.map === 'function' ? x.map(v => one(v)) : one(x), { out: 'same', pred, then, otherwise })
+  },
+
+  // Stops the pipeline when pred(value): it returns result(value) and skips the steps after it
+  shortCircuit: (pred, result = (x) => x) => make('shortCircuit', x => pred(x) ? result(x) : x, { out: 'same', pred, result }),
+
+  // Picks up a failure of an earlier step: handler(error, input) becomes the value; passes values through
+  catchError: (handler) => make('catch', x => x, { out: 'same', handler }),
+
+  // Runs a step again when it throws or rejects, up to times more, delay ms apart (a delay makes it async)
+  retry: (inner, { times = 2, delay = 0, when = () => true } = {}) => {
+    if (typeof inner !== 'function') throw new PrimaError('retry() takes a step or a function', 'PIPE_STEP', { step: inner })
+    const attempt = (x, n) => {
+      const again = (error) => {
+        if (n >= times || !when(error)) throw error
+        return delay ? sleep(delay).then(() => attempt(x, n + 1)) : attempt(x, n + 1)
+      }
+      let out
+      try {
+        out = inner(x)
+      } catch (error) {
+        return again(error)
+      }
+      return isThenable(out) ? out.then(undefined, again) : out
+    }
+    return make('retry', x => attempt(x, 0), { in: inner.in ?? 'any', out: inner.out ?? 'any', times, delay })
+  }
+}
+
+// ============================================================================
+// run - Steps in order; failures skip ahead to the next catchError
+// ============================================================================
+
+// A step that returns a Promise makes the rest of the pipeline wait for it: the result is a Promise then
+const run = (steps, value, from = 0, failed = null) => {
+  if (!failed && isThenable(value)) return value.then(v => run(steps, v, from), error => run(steps, undefined, from, { error }))
+  for (let i = from; i < steps.length; i++) {
+    const s = steps[i]
+    const input = value
+    try {
+      if (s.step === 'catch') {
+        if (!failed) continue
+        value = s.handler(failed.error, failed.input)
+        failed = null
+      } else if (failed) {
+        continue
+      } else if (s.step === 'shortCircuit') {
+        if (s.pred(value)) return s.result(value)
+      } else {
+        value = s(value)
+      }
+    } catch (error) {
+      failed = { error, input: failed?.input ?? input }
+      continue
+    }
+    if (isThenable(value)) {
+      return value.then(v => run(steps, v, i + 1), error => run(steps, undefined, i + 1, { error, input }))
+    }
+  }
+  if (failed) throw failed.error
+  return value
+}
+
+// ============================================================================
+// pipe / compose - Build a pipeline once, run it on any value
+// ============================================================================
+
+const checkSteps = (fns) => fns.forEach((f, index) => {
+  if (typeof f !== 'function') throw new PrimaError(`Pipeline step ${index} is not a function`, 'PIPE_STEP', { index, step: f })
+})
+
+// pipe(...steps)(value); pipe(...steps)() calls the first step with no arguments - a source like N
+const pipe = (...fns) => {
+  checkSteps(fns)
+  return function pipeline(...args) {
+    if (args.length || !fns.length) return run(fns, args[0])
+    const [source, ...rest] = fns
+    return run([() => source(), ...rest], undefined)
+  }
+}
+
+// Type of what leaves the steps, given what enters; throws at the first step that cannot take it
+const flow = (fns, type = 'any') => fns.reduce((type, f, index) => {
+  const from = f.in ?? 'any', out = f.out ?? 'any'
+  if (type !== 'any' && from !== 'any' && from !== type) {
+    const name = f.step ?? (f.name || 'anonymous')
+    throw new PrimaError(`Pipeline step ${index} (${name}) takes a ${from}, but gets a ${type}`, 'PIPE_TYPES', { index, expected: from, got: type })
+  }
+  return out === 'same' ? type : out
+}, type)
+
+// pipe() with the declared types checked when it is built; the result is a step itself, so it nests
+const compose = (...fns) => {
+  checkSteps(fns)
+  const out = flow(fns)
+  return Object.assign(pipe(...fns), { step: 'transform', in: fns[0]?.in ?? 'any', out, steps: fns })
+}
+
+const { catchError, retry } = step
+
+export { step, pipe, compose, catchError, retry }
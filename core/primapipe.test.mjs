@@ -0,0 +1,119 @@
+// primapipe.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { pipe, compose, step, catchError, retry } from './primapipe.mjs'
+
+const { take, sum } = primaSet
+const N = () => primaSet(function* () { let n = 1; while (true) yield n++ }, { size: Infinity })
+
+// Steps
+test('🧪 primapipe.test.mjs - plain functions are transforms', ({check}) => {
+  check(pipe(take(4), s => s.map(x => x * 10), sum)(N()), 100)
+  check(pipe(N, take(3))(), [1, 2, 3])              // No input: the first step is a source
+  check(pipe()(5), 5)
+  try {
+    pipe(take(2), 'sum')
+    check(false)
+  } catch (e) {
+    check(e.code, 'PIPE_STEP')
+  }
+})
+
+test('reduce, tap and branch', ({check}) => {
+  check(pipe(take(4), step.reduce((a, b) => a * b, 1))(N()), 24)
+  const seen = []
+  const out = pipe(take(3), step.tap(x => seen.push(x)))(N())
+  check(seen, [])                                   // Lazy on sets: nothing pulled yet
+  check(out, [1, 2, 3])
+  check(seen, [1, 2, 3])
+  let once = null
+  check(pipe(step.tap(x => { once = x }), x => x + 1)(41), 42)
+  check(once, 41)
+  const clamp = step.branch(x => x > 2, () => 2)
+  check(pipe(take(4), clamp)(N()), [1, 2, 2, 2])
+  check(clamp(7), 2)                                // Steps are plain functions too
+  check(pipe(step.branch(x => x % 2, x => -x, x => x * 10))([1, 2, 3]), [-1, 20, -3])
+})
+
+test('shortCircuit - skips the rest of the pipeline', ({check}) => {
+  let later = 0
+  const safeMean = pipe(step.shortCircuit(s => s.length === 0, () => 0), s => { later++; return s.sum() / s.length })
+  check(safeMean([]), 0)
+  check(later, 0)
+  check(safeMean(primaSet([2, 4])), 3)
+  check(later, 1)
+})
+
+// Errors
+test('catchError - failures skip to the handler', ({check}) => {
+  const skipped = []
+  const parse = pipe(
+    x => JSON.parse(x),
+    x => { skipped.push(x); return x },
+    catchError((error, input) => ({ error: error.name, input })),
+    x => ({ ...x, done: true })
+  )
+  check(parse('{"a":1}'), { a: 1, done: true })
+  check(parse('{'), { error: 'SyntaxError', input: '{', done: true })
+  check(skipped.length, 1)
+  try {
+    pipe(() => { throw new RangeError('no handler') }, x => x)(1)
+    check(false)
+  } catch (e) {
+    check(e.name, 'RangeError')
+  }
+})
+
+test('retry - runs a failing step again', ({check}) => {
+  let calls = 0
+  const flaky = () => { if (++calls < 3) throw new Error('flaky'); return 'ok' }
+  check(pipe(retry(flaky, { times: 2 }))(0), 'ok')
+  check(calls, 3)
+  calls = -10
+  try {
+    pipe(retry(flaky, { times: 1 }))(0)
+    check(false)
+  } catch (e) {
+    check(e.message, 'flaky')
+  }
+  calls = 0
+  const never = retry(flaky, { times: 5, when: e => e.message !== 'flaky' })
+  check(pipe(never, catchError(() => 'gave up'))(0), 'gave up')
+  check(calls, 1)
+})
+
+// Async
+test('async steps - the rest waits, the result is a Promise', async ({check}) => {
+  const later = (x) => new Promise(resolve => setTimeout(() => resolve(x), 1))
+  check(await pipe(x => later(x + 1), x => x * 2)(1), 4)
+  check(await pipe(take(3), async s => s.toArray(), a => a.length)(N()), 3)
+  const failed = pipe(async () => { throw new Error('late') }, () => 'skipped', catchError(e => e.message))
+  check(await failed(0), 'late')
+  let calls = 0
+  const remote = async () => { if (++calls < 2) throw new Error('busy'); return 'data' }
+  check(await pipe(retry(remote, { times: 3, delay: 1 }))(0), 'data')
+  check(await pipe(step.reduce((a, b) => a + b, 0))(primaSet.async([1, 2, 3])), 6)
+})
+
+// compose
+test('compose - checks declared types when built', ({check}) => {
+  const total = step.reduce((a, b) => a + b, 0)
+  const asSet = step.transform(x => primaSet([x]), { in: 'value', out: 'set' })
+  const ok = compose(take(3), total, asSet, total)
+  check(ok(N()), 6)
+  check([ok.in, ok.out], ['any', 'value'])
+  try {
+    compose(take(3), total, total)
+    check(false)
+  } catch (e) {
+    check([e.code, e.context.index, e.context.got], ['PIPE_TYPES', 2, 'value'])
+  }
+  // A composed pipeline is a step: its types are checked where it is used
+  const sumOf = compose(total)
+  check(sumOf.in, 'set')
+  check(caught(() => compose(sumOf, sumOf))?.code, 'PIPE_TYPES')
+  check(compose(step.tap(() => {}), catchError(() => 0)).out, 'any')
+})
+
+const caught = (fn) => { try { fn() } catch (e) { return e } return null }
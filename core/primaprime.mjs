@@ -0,0 +1,225 @@
+/**
+ * PrimaPrime - Primality by magnitude: Miller-Rabin with fixed bases up to 2^64, Baillie-PSW past it
+ * isProbablePrime(n, { rounds }) draws its bases at random; nextPrime / prevPrime walk the odd numbers
+ */
+
+import { PrimaError } from './errors.mjs'
+import { randomOf } from './primarandom.mjs'
+
+// ============================================================================
+// Modular arithmetic - BigInt, and Numbers below 2^32 without leaving 2^53
+// ============================================================================
+
+const powMod = (b, e, m) => {
+  let result = 1n
+  b %= m
+  for (; e > 0n; e >>= 1n, b = b * b % m) if (e & 1n) result = result * b % m
+  return result
+}
+
+// Integer square root (Newton)
+const isqrt = (n) => {
+  if (n < 2n) return n
+  let x = BigInt(Math.floor(Math.sqrt(Number(n))))
+  while (x * x > n) x = (x + n / x) / 2n
+  while ((x + 1n) * (x + 1n) <= n) x++
+  return x
+}
+
+// a·b mod m for m < 2^32: b in 16-bit halves keeps every product below 2^49
+const mulMod32 = (a, b, m) => ((a * (b >>> 16)) % m * 65536 + a * (b & 0xffff)) % m
+
+const powMod32 = (b, e, m) => {
+  let result = 1
+  b %= m
+  for (; e > 0; e = Math.floor(e / 2), b = mulMod32(b, b, m)) if (e % 2) result = mulMod32(result, b, m)
+  return result
+}
+
+// ============================================================================
+// Tests - strong probable prime to base a, strong Lucas
+// ============================================================================
+
+const smallPrimes = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37]
+
+// n - 1 = d·2^s with d odd
+const oddPart = (n) => {
+  let d = n - 1n, s = 0
+  while (!(d & 1n)) { d >>= 1n; s++ }
+  return { d, s }
+}
+
+const strong32 = (n, a) => {
+  let d = n - 1, s = 0
+  while (d % 2 === 0) { d /= 2; s++ }
+  let x = powMod32(a, d, n)
+  if (x === 1 || x === n - 1) return true
+  for (let r = 1; r < s; r++) {
+    x = mulMod32(x, x, n)
+    if (x === n - 1) return true
+  }
+  return false
+}
+
+const strong = (n, a, { d, s } = oddPart(n)) => {
+  a %= n
+  if (a === 0n) return true
+  let x = powMod(a, d, n)
+  if (x === 1n || x === n - 1n) return true
+  for (let r = 1; r < s; r++) {
+    x = x * x % n
+    if (x === n - 1n) return true
+  }
+  return false
+}
+
+// Jacobi symbol (a/n), n odd and positive
+const jacobi = (a, n) => {
+  a %= n
+  if (a < 0n) a += n
+  let result = 1
+  while (a) {
+    while (!(a & 1n)) {
+      a >>= 1n
+      const r = n & 7n
+      if (r === 3n || r === 5n) result = -result
+    }
+    [a, n] = [n, a]
+    if ((a & 3n) === 3n && (n & 3n) === 3n) result = -result
+    a %= n
+  }
+  return n === 1n ? result : 0
+}
+
+// Strong Lucas probable prime, Selfridge's parameters: D in 5, -7, 9, -11... with (D/n) = -1, P = 1, Q = (1 - D) / 4
+const strongLucas = (n) => {
+  const root = isqrt(n)
+  if (root * root === n) return false   // No such D for squares
+  let D = 5n
+  for (;;) {
+    const j = jacobi(D, n)
+    if (j === -1) break
+    if (j === 0) return false   // D shares a factor with n (n is past 2^64, so it is not D itself)
+    D = D > 0n ? -D - 2n : -D + 2n
+  }
+  const Q = (1n - D) / 4n
+  const mod = (x) => ((x % n) + n) % n
+  const half = (x) => (x & 1n ? x + n : x) / 2n   // x / 2 mod n, for x in [0, n)
+  let d = n + 1n, s = 0
+  while (!(d & 1n)) { d >>= 1n; s++ }
+  // U_k, V_k and Q^k for k = the leading bits of d, one bit at a time
+  let U = 1n, V = 1n, Qk = mod(Q)
+  for (let i = d.toString(2).length - 2; i >= 0; i--) {
+    U = U * V % n
+    V = mod(V * V - 2n * Qk)
+    Qk = Qk * Qk % n
+    if ((d >> BigInt(i)) & 1n) {
+      [U, V] = [half(mod(U + V)), half(mod(D * U + V))]
+      Qk = mod(Qk * Q)
+    }
+  }
+  if (U === 0n || V === 0n) return true
+  for (let r = 1; r < s; r++) {
+    V = mod(V * V - 2n * Qk)
+    if (V === 0n) return true
+    Qk = Qk * Qk % n
+  }
+  return false
+}
+
+// ============================================================================
+// isPrime - Exact for every size
+// ============================================================================
+
+// Bases that make Miller-Rabin deterministic: below 4759123141 (Jaeschke), below 2^64 (Sinclair)
+const bases32 = [2, 7, 61]
+const bases64 = [2n, 325n, 9375n, 28178n, 450775n, 9780504n, 1795265022n]
+const TWO64 = 1n << 64n
+
+// BigInts: Miller-Rabin with fixed bases up to 2^64, Baillie-PSW (base 2 + strong Lucas) past it
+const isPrimeBig = (n) => {
+  if (n < 2n) return false
+  for (const p of smallPrimes) if (n % BigInt(p) === 0n) return n === BigInt(p)
+  if (n < 1369n) return true   // 37²
+  if (n < 4294967296n) return isPrime(Number(n))
+  const odd = oddPart(n)
+  if (n < TWO64) return bases64.every(a => strong(n, a, odd))
+  return strong(n, 2n, odd) && strongLucas(n)
+}
+
+const isPrime = (n) => {
+  if (typeof n === 'bigint') return isPrimeBig(n)
+  if (!Number.isInteger(n) || n < 2) return false
+  if (n >= 4294967296) return isPrimeBig(BigInt(n))
+  for (const p of smallPrimes) if (n % p === 0) return n === p
+  if (n < 1369) return true
+  return bases32.every(a => strong32(n, a))
+}
+
+// ============================================================================
+// isProbablePrime - Miller-Rabin with random bases: a composite passes with probability < 4^-rounds
+// ============================================================================
+
+// Uniform enough BigInt in [0, m): 32 spare bits make the modulo bias negligible
+const randomBelow = (rng, m) => {
+  let x = 0n
+  for (let bits = m.toString(2).length + 32; bits > 0; bits -= 32) x = (x << 32n) | BigInt(rng.uint32())
+  return x % m
+}
+
+const isProbablePrime = (n, { rounds = 20, ...opts } = {}) => {
+  if (typeof n === 'number' && !Number.isInteger(n)) return false
+  n = BigInt(n)
+  if (n < 2n) return false
+  for (const p of smallPrimes) if (n % BigInt(p) === 0n) return n === BigInt(p)
+  if (n < 1369n) return true
+  const rng = randomOf(opts), odd = oddPart(n)
+  for (let r = 0; r < rounds; r++) if (!strong(n, 2n + randomBelow(rng, n - 3n), odd)) return false
+  return true
+}
+
+// ============================================================================
+// nextPrime / prevPrime - Numbers while exact, BigInts past MAX_SAFE_INTEGER (and for BigInt n)
+// ============================================================================
+
+const checkInput = (op, n) => {
+  if (typeof n === 'bigint' || (typeof n === 'number' && !Number.isNaN(n) && Number.isFinite(n))) return n
+  throw new PrimaError(`${op}() takes a finite number or a BigInt`, 'PRIME_INPUT', { op, n })
+}
+
+const fit = (x) => x <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(x) : x
+
+// Smallest prime > n
+const nextPrime = (n) => {
+  checkInput('nextPrime', n)
+  if (typeof n === 'bigint') {
+    if (n < 2n) return 2n
+    let c = n & 1n ? n + 2n : n + 1n
+    while (!isPrimeBig(c)) c += 2n
+    return c
+  }
+  const m = Math.floor(n)
+  if (m < 2) return 2
+  if (m >= Number.MAX_SAFE_INTEGER) return nextPrime(BigInt(m))
+  for (let c = m % 2 ? m + 2 : m + 1; c <= Number.MAX_SAFE_INTEGER; c += 2) if (isPrime(c)) return c
+  return nextPrime(BigInt(Number.MAX_SAFE_INTEGER))
+}
+
+// Largest prime < n; null when there is none (n <= 2)
+const prevPrime = (n) => {
+  checkInput('prevPrime', n)
+  if (typeof n === 'bigint') {
+    if (n <= 3n) return n === 3n ? 2n : null
+    let c = n & 1n ? n - 2n : n - 1n
+    while (!isPrimeBig(c)) c -= 2n
+    return c
+  }
+  const m = Math.ceil(n)
+  if (m <= 3) return m === 3 ? 2 : null
+  if (m > Number.MAX_SAFE_INTEGER) return fit(prevPrime(BigInt(m)))
+  let c = m % 2 ? m - 2 : m - 1
+  while (!isPrime(c)) c -= 2
+  return c
+}
+
+export { isPrime, isProbablePrime, nextPrime, prevPrime, powMod, isqrt, jacobi }
@@ -0,0 +1,64 @@
+// primaprime.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { isPrime, isProbablePrime, nextPrime, prevPrime } from './primaprime.mjs'
+
+const trial = (n) => {
+  if (n < 2) return false
+  for (let d = 2; d * d <= n; d++) if (n % d === 0) return false
+  return true
+}
+
+// isPrime
+test('🧪 primaprime.test.mjs - isPrime agrees with trial division', ({check}) => {
+  let wrong = 0
+  for (let n = -2; n < 20000; n++) if (isPrime(n) !== trial(n)) wrong++
+  check(wrong, 0)
+  check([isPrime(2.5), isPrime(NaN), isPrime(1e9 + 7), isPrime(1e9 + 9 + 2)], [false, false, true, false])
+})
+
+test('isPrime - strong pseudoprimes to the usual bases are caught', ({check}) => {
+  // 2047: base 2; 3215031751: bases 2, 3, 5, 7; 3825123056546413051n: the first 9 prime bases
+  check([2047, 3215031751, 4759123141, 3825123056546413051n, 318665857834031151167461n].map(isPrime), [false, false, false, false, false])
+  check(isPrime(999999999999989), true)                 // 15 digits
+  check(isPrime(999999999999991), false)                // 653 · 1531393568147
+  check(isPrime(18446744073709551557n), true)           // Largest prime below 2^64
+})
+
+test('isPrime - Baillie-PSW past 2^64', ({check}) => {
+  const mersenne = [89n, 107n, 127n, 521n].map(p => 2n ** p - 1n)
+  check(mersenne.map(isPrime), [true, true, true, true])
+  check(mersenne.map(m => isPrime(m * 3n)), [false, false, false, false])
+  check(isPrime((2n ** 61n - 1n) * (2n ** 89n - 1n)), false)
+  check(isPrime((2n ** 89n - 1n) ** 2n), false)         // Squares have no Selfridge D
+  check(primaSet([2n ** 127n - 1n, 2n ** 127n + 1n]).isPrime(), [true, false])
+})
+
+// isProbablePrime
+test('isProbablePrime - random bases, seeded', ({check}) => {
+  check(isProbablePrime(2n ** 127n - 1n), true)
+  check(isProbablePrime(2n ** 127n + 1n, { rounds: 5, seed: 1 }), false)
+  check(isProbablePrime(97), true)
+  check(isProbablePrime(2.5), false)
+  let agree = 0
+  for (let n = 10n ** 20n + 1n; n < 10n ** 20n + 401n; n += 2n) if (isProbablePrime(n, { rounds: 8, seed: 3 }) === isPrime(n)) agree++
+  check(agree, 200)
+  check(primaSet([91, 97]).isProbablePrime({ rounds: 4, seed: 2 }), [false, true])
+})
+
+// nextPrime / prevPrime
+test('nextPrime and prevPrime', ({check}) => {
+  check([nextPrime(-5), nextPrime(2), nextPrime(13), nextPrime(13.5), nextPrime(1e12)], [2, 3, 17, 17, 1000000000039])
+  check([prevPrime(2), prevPrime(3), prevPrime(10), prevPrime(10.5), prevPrime(1e12)], [null, 2, 7, 7, 999999999989])
+  check(nextPrime(10n ** 18n) === 1000000000000000003n, true)
+  check(prevPrime(2n ** 64n) === 18446744073709551557n, true)
+  check(nextPrime(Number.MAX_SAFE_INTEGER) === 9007199254740997n, true)   // A BigInt past MAX_SAFE_INTEGER
+  check(primaSet([10, 20, 30]).nextPrime(), [11, 23, 31])
+  try {
+    nextPrime(Infinity)
+    check(false)
+  } catch (e) {
+    check(e.code, 'PRIME_INPUT')
+  }
+})
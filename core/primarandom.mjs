@@ -0,0 +1,135 @@
+/**
+ * PrimaRandom - Seeded pseudo-random generators
+ * One shared generator (primaSet.random(seed) seeds it) and independent ones for per-call seeds
+ */
+
+import { PrimaError } from './errors.mjs'
+
+// ============================================================================
+// Algorithms - seed (uint32) -> () => uint32; add your own by name
+// ============================================================================
+
+// SplitMix32: spreads one seed over the state words, so nearby seeds give unrelated streams
+const splitmix32 = (seed) => () => {
+  seed = (seed + 0x9e3779b9) | 0
+  let z = seed
+  z = Math.imul(z ^ (z >>> 16), 0x21f0aaad)
+  z = Math.imul(z ^ (z >>> 15), 0x735a2d97)
+  return (z ^ (z >>> 15)) >>> 0
+}
+
+const algorithms = {
+  // xoshiro128** - 128-bit state, period 2^128 - 1; the default
+  xoshiro128(seed) {
+    const init = splitmix32(seed)
+    let a = init(), b = init(), c = init(), d = init()
+    if ((a | b | c | d) === 0) a = 1   // The all-zero state is a fixed point
+    return () => {
+      const r = Math.imul(rotl(Math.imul(b, 5), 7), 9) >>> 0
+      const t = b << 9
+      c ^= a; d ^= b; b ^= c; a ^= d
+      c ^= t
+      d = rotl(d, 11)
+      return r
+    }
+  },
+
+  // Mulberry32 - 32-bit state: tiny and fast, period 2^32
+  mulberry32(seed) {
+    return () => {
+      seed = (seed + 0x6d2b79f5) | 0
+      let z = Math.imul(seed ^ (seed >>> 15), seed | 1)
+      z ^= z + Math.imul(z ^ (z >>> 7), z | 61)
+      return (z ^ (z >>> 14)) >>> 0
+    }
+  },
+
+  splitmix32
+}
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k))
+
+// Numbers, BigInts and strings to a uint32 (FNV-1a over the text); null or undefined draws one from Math.random
+const seedOf = (seed) => {
+  if (seed == null) return Math.floor(Math.random() * 2 ** 32)
+  if (typeof seed === 'number' && Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32) return seed
+  if (!['number', 'bigint', 'string'].includes(typeof seed)) {
+    throw new PrimaError('A seed is a number, a BigInt or a string', 'RANDOM_SEED', { seed })
+  }
+  let h = 0x811c9dc5
+  for (const ch of String(seed)) h = Math.imul(h ^ ch.codePointAt(0), 0x01000193)
+  return h >>> 0
+}
+
+// ============================================================================
+// Random (Class) - A generator and the draws built on it
+// ============================================================================
+
+class Random {
+  // algorithm: a name in algorithms, or seed => () => uint32
+  constructor(seed, { algorithm = 'xoshiro128' } = {}) {
+    this.algorithm = typeof algorithm === 'function' ? algorithm : algorithms[algorithm]
+    if (typeof this.algorithm !== 'function') {
+      throw new PrimaError(`Unknown random algorithm '${algorithm}'`, 'RANDOM_ALGORITHM', { algorithm, expected: Object.keys(algorithms) })
+    }
+    this.seed(seed)
+  }
+
+  // Restart the sequence from a seed; returns the generator
+  seed(seed) {
+    this.initial = seedOf(seed)
+    this.uint32 = this.algorithm(this.initial)
+    return this
+  }
+
+  // [0, 1) with 53 random bits, like Math.random
+  float() {
+    return ((this.uint32() >>> 5) * 67108864 + (this.uint32() >>> 6)) / 9007199254740992
+  }
+
+  // Integer in [lo, hi), or [0, lo) with one argument
+  int(lo, hi) {
+    if (hi === undefined) [lo, hi] = [0, lo]
+    return lo + Math.floor(this.float() * (hi - lo))
+  }
+
+  pick(array) {
+    return array.length ? array[this.int(array.length)] : undefined
+  }
+
+  // Fisher-Yates, in place
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = this.int(i + 1)
+      ;[array[i], array[j]] = [array[j], array[i]]
+    }
+    return array
+  }
+
+  // An independent generator, seeded from this one (reproducible when this one is)
+  fork() {
+    return new Random(this.uint32(), { algorithm: this.algorithm })
+  }
+}
+
+// ============================================================================
+// Shared generator and per-call options
+// ============================================================================
+
+const shared = new Random()
+
+// random() draws from the shared generator; random(seed) seeds it (null: unseeded again) and returns it
+const random = (...args) => args.length ? shared.seed(args[0]) : shared.float()
+
+// An independent generator
+const rng = (seed, opts) => new Random(seed, opts)
+
+// { seed } or { random } (a Random, or a () => [0, 1) function like Math.random) of a call; the shared generator otherwise
+const randomOf = ({ seed, random } = {}) => {
+  if (random instanceof Random) return random
+  if (typeof random === 'function') return new Random(0, { algorithm: () => () => Math.floor(random() * 2 ** 32) })
+  if (random !== undefined) throw new PrimaError('random is a Random or a function', 'RANDOM_SEED', { random })
+  return seed === undefined ? shared : new Random(seed)
+}
+
+export { Random, random, rng, randomOf, algorithms }
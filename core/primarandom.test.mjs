@@ -0,0 +1,99 @@
+// primarandom.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { Random, random, rng, algorithms } from './primarandom.mjs'
+
+const N = () => primaSet(function* () { let n = 0; while (true) yield n++ }, { size: Infinity })
+const draws = (r, k) => Array.from({ length: k }, () => r.float())
+
+// Generators
+test('🧪 primarandom.test.mjs - same seed, same sequence', ({check}) => {
+  check(draws(rng(42), 5), draws(rng(42), 5))
+  check(draws(rng('experiment-1'), 3), draws(rng('experiment-1'), 3))   // Strings and BigInts hash to a seed
+  check(draws(rng(1), 3)[0] !== draws(rng(2), 3)[0])
+  const r = rng(3)
+  const first = draws(r, 4)
+  check(draws(r.seed(3), 4), first)                 // seed() restarts the sequence
+  check(draws(r, 1000).every(x => x >= 0 && x < 1))
+  check(Array.from({ length: 1000 }, () => r.int(2, 5)).every(x => [2, 3, 4].includes(x)))
+  check(r.pick([]) === undefined)
+})
+
+test('algorithms - by name or pluggable', ({check}) => {
+  check(Object.keys(algorithms).includes('xoshiro128'), true)
+  const m = new Random(9, { algorithm: 'mulberry32' })
+  check(m.float() !== rng(9).float())
+  check(draws(new Random(9, { algorithm: 'mulberry32' }), 3), draws(new Random(9, { algorithm: 'mulberry32' }), 3))
+  let state = 0
+  const counter = new Random(0, { algorithm: () => () => (state += 2 ** 30) >>> 0 })
+  check(counter.uint32(), 2 ** 30)
+  try {
+    rng(1, { algorithm: 'dice' })
+    check(false)
+  } catch (e) {
+    check(e.code, 'RANDOM_ALGORITHM')
+  }
+  // Forks are independent, and reproducible from the parent's seed
+  check(rng(5).fork().float(), rng(5).fork().float())
+})
+
+test('random - shared generator, seeded globally', ({check}) => {
+  check(primaSet.random === random, true)
+  random(2024)
+  const run = [random(), random(), primaSet([1, 2, 3, 4, 5]).sample(2).toArray()]
+  random(2024)
+  check([random(), random(), primaSet([1, 2, 3, 4, 5]).sample(2).toArray()], run)
+  random(null)                                       // Unseeded again
+})
+
+// Sampling
+test('sample and shuffle - per-call seeds', ({check}) => {
+  const s = primaSet([1, 2, 3, 4, 5, 6, 7, 8, 9, 10])
+  check(s.sample(4, { seed: 1 }).toArray(), s.sample(4, { seed: 1 }).toArray())
+  check(new Set(s.sample(10, { seed: 1 })).size, 10)
+  const shuffled = s.shuffle({ seed: 'deck' }).toArray()
+  check(shuffled, s.shuffle({ seed: 'deck' }).toArray())
+  check([...shuffled].sort((a, b) => a - b), s.toArray())
+  // Unknown length: reservoir, one pass
+  const gen = primaSet(function* () { for (let i = 0; i < 100; i++) yield i })
+  const picked = gen.sample(5, { seed: 3 }).toArray()
+  check(picked.length, 5)
+  check(picked, gen.sample(5, { seed: 3 }).toArray())
+  check(s.sample(3, { random: Math.random }).count(), 3)
+})
+
+test('sample - weighted', ({check}) => {
+  const s = primaSet(['a', 'b', 'c'])
+  check(s.sample(2, { weights: [1, 0, 1], seed: 4 }).toArray().sort(), ['a', 'c'])   // Weight 0: never picked
+  const r = rng(11), counts = { a: 0, b: 0, c: 0 }
+  for (let i = 0; i < 4000; i++) counts[s.sample(1, { weights: [1, 2, 7], random: r }).first()]++
+  check(Math.abs(counts.c / 4000 - 0.7) < 0.05)
+  check(Math.abs(counts.a / 4000 - 0.1) < 0.03)
+  check(primaSet([1, 2, 3, 4]).sample(2, { weights: x => x, seed: 1 }).count(), 2)
+  try {
+    s.sample(1, { weights: [1, -1, 1] })
+    check(false)
+  } catch (e) {
+    check(e instanceof RangeError, true)
+  }
+})
+
+test('reservoir - running sample of an infinite set', ({check}) => {
+  const runs = N().reservoir(3, { seed: 8 })
+  const later = runs.get(999)
+  check(later.length, 3)
+  check(later.every(x => x >= 0 && x < 1000))
+  check(later, N().reservoir(3, { seed: 8 }).get(999))
+  check(N().reservoir(3).take(3).toArray(), [[0], [0, 1], [0, 1, 2]])
+  // Unchanged reservoir: the same frozen array
+  const [a, b] = N().reservoir(1, { seed: 1 }).skip(500).take(2).toArray()
+  check(Object.isFrozen(a), true)
+  check(a === b || a[0] !== b[0])
+  try {
+    N().sample(2)
+    check(false)
+  } catch (e) {
+    check(e.context.op, 'sample')
+  }
+})
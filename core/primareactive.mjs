@@ -0,0 +1,358 @@
+/**
+ * PrimaReactive - Push-based sets: subjects, event sources and time operators
+ * Values arrive when the source emits them; toAsync() and fromEvents() connect them to pull-based sets
+ */
+
+import { primaSet } from './primaset.mjs'
+import { PrimaError } from './errors.mjs'
+import { keyOf } from './primaops.mjs'
+
+// ============================================================================
+// ReactiveSet (Class) - Cold: each subscription starts its own run of the source
+// ============================================================================
+
+class ReactiveSet {
+  // source(observer) starts emitting to observer.next / error / complete and returns its teardown
+  constructor(source) {
+    this.source = source
+  }
+
+  // subscribe(next, error, complete) or subscribe({ start, next, error, complete }) -> { unsubscribe, closed }
+  // start(subscription) runs first, so a source that emits right away can still be stopped
+  subscribe(next, error, complete) {
+    const observer = typeof next === 'object' && next !== null ? next : { next, error, complete }
+    let closed = false, teardown = null
+    const stop = () => {
+      closed = true
+      const t = teardown
+      teardown = null
+      t?.()
+    }
+    const sink = {
+      next: (value) => { if (!closed) observer.next?.(value) },
+      // Without an error callback the error goes to whoever made the source emit
+      error: (e) => {
+        if (closed) return
+        stop()
+        if (!observer.error) throw e
+        observer.error(e)
+      },
+      complete: () => {
+        if (closed) return
+        stop()
+        observer.complete?.()
+      },
+      get closed() { return closed }
+    }
+    const subscription = { unsubscribe: () => { if (!closed) stop() }, get closed() { return closed } }
+    observer.start?.(subscription)
+    if (closed) return subscription
+    try {
+      teardown = this.source(sink) ?? null
+    } catch (e) {
+      sink.error(e)
+    }
+    if (closed) stop()   // Finished while starting: its teardown only exists now
+    return subscription
+  }
+
+  // Operators: a new ReactiveSet that subscribes to this one, with the same error and complete by default
+  // next(sink, x, state); start(sink) makes the state of one subscription, stop(state) cleans it up
+  lift(next, { complete, start, stop } = {}) {
+    return new ReactiveSet(sink => {
+      const state = start?.(sink)
+      let upstream = null
+      this.subscribe({
+        start: (sub) => { upstream = sub },
+        next: (x) => {
+          // A throwing map / filter / scan function errors the stream
+          try {
+            next(sink, x, state)
+          } catch (e) {
+            return sink.error(e)
+          }
+          if (sink.closed) upstream.unsubscribe()   // take(n) done: stop the source too
+        },
+        error: (e) => sink.error(e),
+        complete: () => complete ? complete(sink, state) : sink.complete()
+      })
+      return () => { upstream.unsubscribe(); stop?.(state) }
+    })
+  }
+
+  // ============================================================================
+  // Transformation
+  // ============================================================================
+
+  map(f) { return this.lift((sink, x) => sink.next(f(x))) }
+  filter(p) { return this.lift((sink, x) => { if (p(x)) sink.next(x) }) }
+  on(f) { return this.lift((sink, x) => { f(x); sink.next(x) }) }
+
+  take(n) {
+    if (n <= 0) return new ReactiveSet(sink => sink.complete())
+    return this.lift((sink, x, state) => {
+      sink.next(x)
+      if (++state.count >= n) sink.complete()
+    }, { start: () => ({ count: 0 }) })
+  }
+
+  // Running fold: emits every accumulated value
+  scan(f, seed) {
+    return this.lift((sink, x, state) => {
+      state.acc = state.seeded ? f(state.acc, x) : x
+      state.seeded = true
+      sink.next(state.acc)
+    }, { start: () => ({ acc: seed, seeded: seed !== undefined }) })
+  }
+
+  // Drops values equal to the previous one (by key, points by coordinates - same as unique)
+  distinctUntilChanged(key = keyOf) {
+    return this.lift((sink, x, state) => {
+      const k = key(x)
+      if (state.any && k === state.last) return
+      state.any = true
+      state.last = k
+      sink.next(x)
+    }, { start: () => ({ any: false, last: undefined }) })
+  }
+
+  // ============================================================================
+  // Time
+  // ============================================================================
+
+  // The last value after ms without a new one; a pending value is flushed on complete
+  debounce(ms) {
+    return this.lift((sink, x, state) => {
+      clearTimeout(state.timer)
+      state.pending = { x }
+      state.timer = setTimeout(() => { state.pending = null; sink.next(x) }, ms)
+    }, {
+      start: () => ({ timer: null, pending: null }),
+      complete: (sink, state) => {
+        clearTimeout(state.timer)
+        if (state.pending) sink.next(state.pending.x)
+        sink.complete()
+      },
+      stop: (state) => clearTimeout(state.timer)
+    })
+  }
+
+  // At most one value per ms: the first at once (leading), the last of the period at its end (trailing)
+  throttle(ms, { leading = true, trailing = true } = {}) {
+    const open = (sink, state) => {
+      state.timer = setTimeout(() => {
+        state.timer = null
+        if (trailing && state.pending) {
+          const { x } = state.pending
+          state.pending = null
+          sink.next(x)
+          open(sink, state)
+        }
+      }, ms)
+    }
+    return this.lift((sink, x, state) => {
+      if (state.timer) {
+        state.pending = { x }
+        return
+      }
+      if (leading) sink.next(x)
+      else state.pending = { x }
+      open(sink, state)
+    }, {
+      start: () => ({ timer: null, pending: null }),
+      complete: (sink, state) => {
+        clearTimeout(state.timer)
+        if (trailing && state.pending) sink.next(state.pending.x)
+        sink.complete()
+      },
+      stop: (state) => clearTimeout(state.timer)
+    })
+  }
+
+  // Arrays of values: buffer(n) every n values, buffer({ time }) every time ms, both - whichever comes first
+  buffer(spec) {
+    const { count = Infinity, time } = typeof spec === 'number' ? { count: spec } : spec ?? {}
+    if (!(count >= 1) || (time !== undefined && !(time > 0)) || (count === Infinity && time === undefined)) {
+      throw new PrimaError('buffer() takes a count, { time } or { time, count }', 'REACTIVE_OPTIONS', { spec })
+    }
+    const flush = (sink, state) => {
+      if (!state.values.length) return
+      const values = state.values
+      state.values = []
+      sink.next(values)
+    }
+    return this.lift((sink, x, state) => {
+      state.values.push(x)
+      if (state.values.length >= count) flush(sink, state)
+    }, {
+      start: (sink) => {
+        const state = { values: [], timer: null }
+        if (time !== undefined) state.timer = setInterval(() => flush(sink, state), time)
+        return state
+      },
+      complete: (sink, state) => {
+        clearInterval(state.timer)
+        flush(sink, state)
+        sink.complete()
+      },
+      stop: (state) => clearInterval(state.timer)
+    })
+  }
+
+  // ============================================================================
+  // Combination
+  // ============================================================================
+
+  merge(...others) { return merge(this, ...others) }
+  combineLatest(...others) { return combineLatest(this, ...others) }
+
+  // ============================================================================
+  // Consumers and pull-based bridges
+  // ============================================================================
+
+  // Resolve on complete, reject on error
+  forEach(fn) {
+    return new Promise((resolve, reject) => this.subscribe({ next: fn, error: reject, complete: () => resolve() }))
+  }
+
+  async toArray() {
+    const values = []
+    await this.forEach(x => values.push(x))
+    return values
+  }
+
+  // Async set fed by this stream; it buffers what the consumer has not pulled yet, and unsubscribes when it stops
+  toAsync({ highWaterMark = Infinity } = {}) {
+    const stream = this
+    return primaSet.async(async function* () {
+      const ch = primaSet.channel(highWaterMark)
+      const sub = stream.subscribe({ next: x => { ch.push(x) }, error: e => ch.error(e), complete: () => ch.end() })
+      try {
+        yield* ch.set
+      } finally {
+        sub.unsubscribe()
+      }
+    })
+  }
+}
+
+// ============================================================================
+// Subject (Class) - Hot: next(x) goes to every current subscriber
+// ============================================================================
+
+class Subject extends ReactiveSet {
+  constructor() {
+    super(sink => {
+      if (this.done) return this.done.error ? sink.error(this.done.error) : sink.complete()
+      this.sinks.add(sink)
+      return () => this.sinks.delete(sink)
+    })
+    this.sinks = new Set()
+    this.done = null
+  }
+
+  next(value) {
+    if (!this.done) for (const sink of [...this.sinks]) sink.next(value)
+  }
+
+  error(error) {
+    if (this.done) return
+    this.done = { error }
+    for (const sink of [...this.sinks]) sink.error(error)
+  }
+
+  complete() {
+    if (this.done) return
+    this.done = {}
+    for (const sink of [...this.sinks]) sink.complete()
+  }
+}
+
+// ============================================================================
+// Sources
+// ============================================================================
+
+// Pull-based sources pushed as fast as they iterate: sync sets and iterables at once, async ones as they resolve
+const reactive = (src) => {
+  if (src instanceof ReactiveSet) return src
+  return new ReactiveSet(sink => {
+    let stopped = false
+    if (typeof src?.then === 'function') {
+      src.then(x => { sink.next(x); sink.complete() }, e => sink.error(e))
+    } else if (typeof src?.[Symbol.asyncIterator] === 'function') {
+      (async () => {
+        try {
+          for await (const x of src) {
+            if (stopped) return
+            sink.next(x)
+          }
+          sink.complete()
+        } catch (e) {
+          sink.error(e)
+        }
+      })()
+    } else {
+      for (const x of primaSet(src)) {
+        if (sink.closed) return
+        sink.next(x)
+      }
+      sink.complete()
+    }
+    return () => { stopped = true }
+  })
+}
+
+// DOM EventTarget (WebSocket included), Node EventEmitter, or anything with on/off (memo windows)
+const fromEvents = (target, type, { map = (x) => x } = {}) => {
+  if (!target) throw new PrimaError('fromEvents() needs a target', 'REACTIVE_SOURCE', { type })
+  return new ReactiveSet(sink => {
+    const listener = (...args) => sink.next(map(...args))
+    if (typeof target.addEventListener === 'function') {
+      target.addEventListener(type, listener)
+      return () => target.removeEventListener(type, listener)
+    }
+    if (typeof target.on === 'function') {
+      target.on(type, listener)
+      return () => (target.off ?? target.removeListener)?.call(target, type, listener)
+    }
+    throw new PrimaError(`Cannot listen to '${type}' on this target`, 'REACTIVE_SOURCE', { type })
+  })
+}
+
+const subject = () => new Subject()
+
+// ============================================================================
+// Combination - merge, combineLatest
+// ============================================================================
+
+// Values of all sources as they come; completes when all have
+const merge = (...sources) => new ReactiveSet(sink => {
+  let active = sources.length
+  if (!active) return sink.complete()
+  const subs = sources.map(src => reactive(src).subscribe({
+    next: x => sink.next(x),
+    error: e => sink.error(e),
+    complete: () => { if (--active === 0) sink.complete() }
+  }))
+  return () => subs.forEach(sub => sub.unsubscribe())
+})
+
+// [latest of each] on every value, once all sources have one; completes when all have
+const combineLatest = (...sources) => new ReactiveSet(sink => {
+  const latest = new Array(sources.length)
+  const seen = new Set()
+  let active = sources.length
+  if (!active) return sink.complete()
+  const subs = sources.map((src, i) => reactive(src).subscribe({
+    next: x => {
+      latest[i] = x
+      seen.add(i)
+      if (seen.size === sources.length) sink.next([...latest])
+    },
+    error: e => sink.error(e),
+    complete: () => { if (--active === 0) sink.complete() }
+  }))
+  return () => subs.forEach(sub => sub.unsubscribe())
+})
+
+export { ReactiveSet, Subject, reactive, subject, fromEvents, merge, combineLatest }
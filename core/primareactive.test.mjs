@@ -0,0 +1,132 @@
+// primareactive.test.mjs
+
+import { EventEmitter } from 'node:events'
+import { test } from '../test/test.mjs'
+import { primaSet } from './primaset.mjs'
+import { ReactiveSet, reactive, subject, fromEvents, merge, combineLatest } from './primareactive.mjs'
+
+const N = () => primaSet(function* () { let n = 1; while (true) yield n++ }, { size: Infinity })
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Sources
+test('🧪 primareactive.test.mjs - pull-based sets pushed through operators', async ({check}) => {
+  check(await reactive(N()).map(x => x * 2).filter(x => x % 3).take(3).toArray(), [2, 4, 8])  // take stops the source
+  check(await reactive([1, 1, 2, 2, 3, 1]).distinctUntilChanged().toArray(), [1, 2, 3, 1])
+  check(await reactive([1, 2, 3]).scan((a, b) => a + b, 0).toArray(), [1, 3, 6])
+  check(await reactive(primaSet.async([4, 5])).toArray(), [4, 5])
+  check(await reactive(Promise.resolve(7)).toArray(), [7])
+  check(reactive([1]) instanceof ReactiveSet, true)
+})
+
+test('subject - hot: subscribers get what comes after they subscribe', ({check}) => {
+  const s = subject()
+  const a = [], b = []
+  s.subscribe(x => a.push(x))
+  s.next(1)
+  const sub = s.subscribe(x => b.push(x))
+  s.next(2)
+  sub.unsubscribe()
+  s.next(3)
+  let done = false
+  s.subscribe({ complete: () => { done = true } })
+  s.complete()
+  s.next(4)
+  check([a, b, done], [[1, 2, 3], [2], true])
+  check(s.sinks.size, 0)
+})
+
+test('errors - error callback, or thrown to the emitter', ({check}) => {
+  const s = subject()
+  let caught = null
+  s.map(x => { if (x > 1) throw new Error('too big'); return x }).subscribe({ next: () => {}, error: e => { caught = e.message } })
+  s.next(1)
+  s.next(2)
+  check(caught, 'too big')
+  const t = subject()
+  t.subscribe(() => {})
+  try {
+    t.error(new RangeError('unhandled'))
+    check(false)
+  } catch (e) {
+    check(e.name, 'RangeError')
+  }
+})
+
+// Time
+test('debounce and throttle', async ({check}) => {
+  const s = subject(), debounced = [], throttled = []
+  s.debounce(15).subscribe(x => debounced.push(x))
+  s.throttle(15).subscribe(x => throttled.push(x))
+  s.next(1); s.next(2); s.next(3)
+  await wait(40)
+  s.next(4)
+  s.complete()                       // Pending values are flushed
+  check(debounced, [3, 4])
+  check(throttled, [1, 3, 4])
+})
+
+test('buffer - by count, by time', async ({check}) => {
+  check(await reactive([1, 2, 3, 4, 5]).buffer(2).toArray(), [[1, 2], [3, 4], [5]])
+  const s = subject()
+  const out = s.buffer({ time: 10 }).toArray()
+  s.next(1); s.next(2)
+  await wait(25)
+  s.next(3)
+  s.complete()
+  check(await out, [[1, 2], [3]])
+  try {
+    s.buffer({})
+    check(false)
+  } catch (e) {
+    check(e.code, 'REACTIVE_OPTIONS')
+  }
+})
+
+// Combination
+test('merge and combineLatest', async ({check}) => {
+  check(await merge([1, 2], reactive(primaSet.async([3]))).toArray(), [1, 2, 3])
+  const a = subject(), b = subject()
+  const latest = combineLatest(a, b).toArray()
+  a.next(1)
+  b.next('x')
+  a.next(2)
+  a.complete()
+  b.next('y')
+  b.complete()
+  check(await latest, [[1, 'x'], [2, 'x'], [2, 'y']])
+  const c = subject()
+  const both = c.merge(subject()).take(1).toArray()
+  c.next('first')
+  check(await both, ['first'])
+})
+
+// Bridges
+test('toAsync - pull-based consumer, unsubscribes when it stops', async ({check}) => {
+  const s = subject()
+  const head = s.toAsync().take(2).toArray()
+  await wait(0)
+  s.next(5); s.next(6); s.next(7)
+  check(await head, [5, 6])
+  check(s.sinks.size, 0)
+})
+
+test('fromEvents - EventTarget, EventEmitter, memo windows', async ({check}) => {
+  const target = new EventTarget()
+  const types = []
+  const sub = fromEvents(target, 'ping', { map: e => e.type }).subscribe(x => types.push(x))
+  target.dispatchEvent(new Event('ping'))
+  sub.unsubscribe()
+  target.dispatchEvent(new Event('ping'))
+  check(types, ['ping'])
+  const emitter = new EventEmitter()
+  const two = fromEvents(emitter, 'data').take(2).toArray()
+  emitter.emit('data', 1); emitter.emit('data', 2); emitter.emit('data', 3)
+  check(await two, [1, 2])
+  check(emitter.listenerCount('data'), 0)
+  const cached = primaSet(function* () { let n = 0; while (true) yield n++ }, { cache: 20, windowSize: 10 })
+  const windows = []
+  cached.memoEvents().subscribe(w => windows.push(w.size))
+  cached[25]
+  check(windows.length > 0)
+  check(primaSet([1]).memoEvents(), null)
+})
@@ -1,53 +1,7 @@
 // primaset.mjs v4 - Consistent naming, Array/String plugins, on() as transformer
 
-import { ProxyError, handleError } from './errors.mjs'
-
-// ============================================================================
-// SlidingWindowCache (Class)
-// ============================================================================
-
-class SlidingWindowCache {
-  constructor(maxSize = 1000, windowSize = 100) {
-    this.maxSize = maxSize
-    this.windowSize = windowSize
-    this.cache = []
-    this.start = 0
-    this.events = []
-  }
-
-  get(index) {
-    const actualIndex = index - this.start
-    return actualIndex >= 0 && actualIndex < this.cache.length ? this.cache[actualIndex] : undefined
-  }
-
-  push(value) {
-    this.cache.push(value)
-    if (this.cache.length > this.maxSize) {
-      const removeCount = this.cache.length - this.maxSize
-      this.cache.splice(0, removeCount)
-      this.start += removeCount
-    }
-    if (this.cache.length % this.windowSize === 0) {
-      this.emit('window', { size: this.cache.length, start: this.start })
-    }
-  }
-
-  on(event, handler) {
-    if (!this.events[event]) this.events[event] = []
-    this.events[event].push(handler)
-  }
-
-  emit(event, data) {
-    this.events[event]?.forEach(handler => handler(data))
-  }
-
-  clear() {
-    this.cache = []
-    this.start = 0
-  }
-
-  get length() { return this.cache.length }
-}
+import { PrimaError, ProxyError, handleError, hasBudget, checkBudget } from './errors.mjs'
+import { MemoStore, memory, typed } from './primamemo.mjs'
 
 // ============================================================================
 // generator (factory) - Transform any input to generator
@@ -62,6 +16,24 @@ const generator = src => {
   return function* () { yield src }
 }
 
+// ============================================================================
+// budget (factory) - Guard generator with signal / maxItems / maxMs
+// ============================================================================
+
+const budget = (gen, opts) => {
+  if (!hasBudget(opts)) return gen
+  return function* () {
+    const start = Date.now()
+    let count = 0
+    checkBudget({ signal: opts.signal }, count, start)
+    for (const value of gen()) {
+      checkBudget(opts, count, start)
+      count++
+      yield value
+    }
+  }
+}
+
 // ============================================================================
 // singleton (factory) - Detect singleton, cached
 // ============================================================================
@@ -72,6 +44,11 @@ const singleton = (target) => {
     target._isSingleton = target._sourceArray.length === 1
     return target._isSingleton
   }
+  // Known size: no need to pull
+  if (target._card?.size !== undefined) {
+    target._isSingleton = target._card.size === 1
+    return target._isSingleton
+  }
   const it = target[Symbol.iterator]()
   const first = it.next()
   if (first.done) {
@@ -88,32 +65,17 @@ const singleton = (target) => {
 // Base Prototype
 // ============================================================================
 
+const iterate = (self) => {
+  if (self._sourceArray) return self._sourceArray[Symbol.iterator]()
+  // Memo mode: kept values first, the source only for what is missing
+  if (self._opts.memo) return self._memo.iterate()
+  return self._gen()
+}
+
 const baseProto = {
   [Symbol.iterator]: function () {
-    const self = this
-    if (self._sourceArray) return self._sourceArray[Symbol.iterator]()
-    
-    // For memo mode, materialize on first iteration and cache
-    if (self._memoized) {
-      // If already materialized, return cached array iterator
-      if (self._memoized.length > 0) {
-        return self._memoized[Symbol.iterator]()
-      }
-      
-      // First iteration: materialize and cache
-      if (!self._genIterator) {
-        self._genIterator = self._gen()
-      }
-      while (true) {
-        const { value, done } = self._genIterator.next()
-        if (done) break
-        self._memoized.push(value)
-      }
-      return self._memoized[Symbol.iterator]()
-    }
-    
-    // Non-memo mode: use generator directly
-    return self._gen()
+    // profile() hooks every stage here, like on() would
+    return this._probe ? probed(iterate(this), this._probe) : iterate(this)
   },
 
   valueOf() {
@@ -134,99 +96,28 @@ const baseProto = {
 const accessHandler = (target) => ({
   getIndex(index) {
     if (target._sourceArray) return target._sourceArray[index]
-    
-    // Initialize generator iterator if needed
-    if (!target._genIterator) {
-      target._genIterator = target._gen()
-    }
-    
-    // Determine materialization strategy (use stored sizes if available)
-    const memoSize = target._opts?._memoSize ?? 
-                     (typeof target._opts?.memo === 'number' ? target._opts.memo : 
-                      target._opts?.memo === true ? 1000 : 0)
-    const cacheSize = target._opts?._cacheSize ?? 
-                      (typeof target._opts?.cache === 'number' ? target._opts.cache : 
-                       target._opts?.cache === true ? 1000 : 0)
-    
-    // Initialize memoized array if needed
-    if (memoSize > 0 && !target._memoized) {
-      target._memoized = []
-    }
-    
-    // Initialize cache if needed
-    if (cacheSize > 0 && !target._cache) {
-      target._cache = new SlidingWindowCache(cacheSize, target._opts?.windowSize || 100)
-      if (target._opts?.onWindow) target._cache.on('window', target._opts.onWindow)
-    }
-    
-    // OPTIMIZATION: Eager materialization for memo mode
-    // For primes and expensive sequences, pre-materialize first chunk on first access
-    if (memoSize > 0 && target._memoized.length === 0) {
-      // Eager materialization: pre-materialize first chunk (min 100, up to memoSize)
-      // For larger indices, materialize more aggressively
-      const eagerSize = index < 100 ? 100 : Math.min(memoSize, Math.max(index + 1, 500))
-      while (target._memoized.length < eagerSize) {
-        const { value, done } = target._genIterator.next()
-        if (done) break
-        target._memoized.push(value)
-      }
-      // Return directly from materialized array (bypasses further checks)
-      if (index < target._memoized.length) {
-        return target._memoized[index]
-      }
-    }
-    
-    // Check if already materialized (fast path)
-    if (target._memoized && index < target._memoized.length) {
-      return target._memoized[index]
-    }
-    
-    // Check cache (for cache mode without memo)
-    if (target._cache && !target._memoized) {
-      const cached = target._cache.get(index)
-      if (cached !== undefined) {
-        return cached
+    // Closed form: O(1), no iteration
+    if (target._seek) return seek.at(target, index)
+
+    const memo = target._memo
+    if (memo) {
+      // Eager materialization for memo mode: pre-materialize a first chunk on first access
+      if (target._opts.memo && memo.frontier === 0) {
+        memo.fill(Math.min(memo.size, index < 100 ? 100 : Math.max(index + 1, 500)))
       }
+      return memo.at(index)
     }
-    
-    // Materialize up to index
-    let currentIndex = target._memoized ? target._memoized.length : 0
-    
-    // For large indices (like primes), materialize in chunks to avoid blocking
-    const chunkSize = index > 1000 ? 100 : index + 1
-    const targetIndex = Math.min(index, currentIndex + chunkSize)
-    
-    while (currentIndex <= targetIndex) {
-      const { value, done } = target._genIterator.next()
-      if (done) break
-      if (target._memoized) {
-        target._memoized.push(value)
-        // For memo mode, don't need cache (redundant)
-        if (target._cache && !memoSize) {
-          target._cache.push(value)
-        }
-      } else if (target._cache) {
-        target._cache.push(value)
-      }
-      currentIndex++
-    }
-    
-    // Return value if materialized
-    if (target._memoized && index < target._memoized.length) {
-      return target._memoized[index]
-    }
-    
-    // Return from cache if available
-    if (target._cache) {
-      return target._cache.get(index)
-    }
-    
+
+    // No memo: walk a fresh generator up to index
+    let i = 0
+    for (const value of target._gen()) if (i++ === index) return value
     return undefined
   },
 
   getProperty(prop) {
     if (target.hasOwnProperty(prop)) return target[prop]
-    if (prop in baseProto) return baseProto[prop]
+    const { proto } = target._scope
+    if (prop in proto) return proto[prop]
     return undefined
   }
 })
@@ -235,11 +126,13 @@ const accessHandler = (target) => ({
 // operationHandler (factory) - Handle operations, favor transformation
 // ============================================================================
 
-const operationHandler = (target) => ({
+const operationHandler = (target, primaSet = target._scope.primaSet) => ({
   applyUnary(fn, isSingleton) {
-    return isSingleton ? fn(target.valueOf()) : primaSet(function* () {
-      for (const x of target) yield fn(x)
-    })
+    if (isSingleton) return fn(target.valueOf())
+    const result = primaSet(function* () { for (const x of target) yield fn(x) })
+    result._card = target._card
+    result._seek = target._seek && seek.map(target._seek, fn)
+    return result
   },
 
   applyBinary(fn, other, isSingleton, otherIsSingleton) {
@@ -247,13 +140,19 @@ const operationHandler = (target) => ({
     if (isSingleton && otherIsSingleton) return fn(target.valueOf(), otherSet.valueOf())
     if (isSingleton) {
       const val = target.valueOf()
-      return primaSet(function* () { for (const x of otherSet) yield fn(val, x) })
+      const result = primaSet(function* () { for (const x of otherSet) yield fn(val, x) })
+      result._card = otherSet._card
+      result._seek = otherSet._seek && seek.map(otherSet._seek, x => fn(val, x))
+      return result
     }
     if (otherIsSingleton) {
       const val = otherSet.valueOf()
-      return primaSet(function* () { for (const x of target) yield fn(x, val) })
+      const result = primaSet(function* () { for (const x of target) yield fn(x, val) })
+      result._card = target._card
+      result._seek = target._seek && seek.map(target._seek, x => fn(x, val))
+      return result
     }
-    return primaSet(function* () {
+    const result = primaSet(function* () {
       const it1 = target[Symbol.iterator](), it2 = otherSet[Symbol.iterator]()
       while (true) {
         const a = it1.next(), b = it2.next()
@@ -261,6 +160,8 @@ const operationHandler = (target) => ({
         yield fn(a.value, b.value)
       }
     })
+    result._card = card.shorter(target._card, otherSet._card)
+    return result
   },
 
   applyVariadic(fn, args) {
@@ -280,6 +181,17 @@ const operationHandler = (target) => ({
 // handler (factory) - Proxy handler, transformation over type enforcement
 // ============================================================================
 
+// Digits only, as /^\d+$/ but without the regex
+const isIndex = (prop) => {
+  const n = prop.length
+  if (n === 0) return false
+  for (let i = 0; i < n; i++) {
+    const c = prop.charCodeAt(i)
+    if (c < 48 || c > 57) return false
+  }
+  return true
+}
+
 const handler = () => ({
   get(target, prop) {
     try {
@@ -287,11 +199,19 @@ const handler = () => ({
       if (prop === Symbol.iterator) return baseProto[Symbol.iterator].bind(target)
       
       // Numeric index - OPTIMIZATION: Direct access bypass for materialized arrays
-      if (typeof prop === 'string' && /^\d+$/.test(prop)) {
-        const index = parseInt(prop, 10)
-        // Fast path: Direct access to materialized array (bypasses Proxy overhead)
-        if (target._memoized && index < target._memoized.length) {
-          return target._memoized[index]
+      // (digits checked by char code: cached reads are dominated by this test, a regex costs more than the read)
+      if (typeof prop === 'string' && isIndex(prop)) {
+        const index = +prop
+        // Fast path: Direct access to the kept memo window (bypasses store bookkeeping)
+        const memo = target._memo
+        const kept = memo?.window
+        if (kept) {
+          const value = kept.get(index)
+          if (value !== undefined || kept.has(index)) {
+            memo.counts.hits++
+            memo.lastUse = ++memory.tick
+            return value
+          }
         }
         // Fast path: Direct access to source array
         if (target._sourceArray && index < target._sourceArray.length) {
@@ -301,29 +221,43 @@ const handler = () => ({
         return accessHandler(target).getIndex(index)
       }
 
-      // Length
-      if (prop === 'length') return target._sourceArray?.length
+      // Length - real value whenever the cardinality is known
+      if (prop === 'length') return target._sourceArray?.length ?? target._card.size
 
       // Direct property
       const direct = accessHandler(target).getProperty(prop)
       if (direct !== undefined) {
-        // If it's a GeneratorFunction, bind and wrap
+        // If it's a GeneratorFunction, bind and wrap (with its cardinality transform, if any)
         if (typeof direct === 'function' && direct.constructor?.name === 'GeneratorFunction') {
           return function(...args) {
             const genFn = direct.bind(target)
-            return primaSet(function* () { yield* genFn(...args) })
+            // Chained map/filter/skip/on run as one loop over the first set that is not one of them
+            const fused = direct.fuse ? fusion.chain(prop, args, target) : null
+            const result = target._scope.primaSet(fused
+              ? function* () { yield* fusion.paused ? genFn(...args) : fusion.run(fused.base, fused.plan) }
+              : function* () { yield* genFn(...args) })
+            result._fused = fused
+            result._card = direct.card ? direct.card(target._card, ...args) : card.unknown()
+            result._ordered = direct.ordered ? order.get(target) : null
+            result._seek = direct.seek && target._seek ? direct.seek(target._seek, ...args) : null
+            result._lineage = lineage.step(prop, args, target)
+            return result
           }
         }
         // If it's a regular function that might return a GeneratorFunction, wrap it
         if (typeof direct === 'function') {
           return function(...args) {
+            const before = lineage.serial
             const result = direct.apply(target, args)
             // If result is a GeneratorFunction, bind it to target and execute
             if (typeof result === 'function' && result.constructor?.name === 'GeneratorFunction') {
               const genFn = result.bind(target)
-              return primaSet(function* () { yield* genFn() })
+              return lineage.attach(target._scope.primaSet(function* () { yield* genFn() }), prop, args, target, before)
             }
-            return result
+            // Sets built by the method (take, union, tee branches...) record it as their stage
+            const own = (r) => lineage.attach(r, prop, args, target, before)
+            if (Array.isArray(result)) result.forEach(own)
+            return own(result)
           }
         }
         return direct
@@ -340,25 +274,27 @@ const handler = () => ({
       }
 
       // Operations
-      const op = primaSet.ops[prop]
+      const op = target._scope.ops[prop]
       if (!op) return undefined
 
-      const arity = op.length
-      const isVariadic = arity === 0 || (arity > 1 && /\[native code\]/.test(op.toString()))
-      
+      const { arity, variadic: isVariadic } = opShape(target._scope, prop, op)
+
       return (...args) => {
         const opHandler = operationHandler(target)
         const isSingleton = singleton(target)
-        
-        if (isVariadic && !args.length) return opHandler.applyVariadic(op, args)
-        if (!args.length && (arity === 0 || arity === 1)) {
-          return opHandler.applyUnary(op, isSingleton)
-        }
-        if (arity === 2 && args.length === 1) {
-          const otherIsSingleton = singleton(primaSet(args[0]))
-          return opHandler.applyBinary(op, args[0], isSingleton, otherIsSingleton)
+        const before = lineage.serial
+        const apply = () => {
+          if (isVariadic && !args.length) return opHandler.applyVariadic(op, args)
+          if (!args.length && (arity === 0 || arity === 1)) {
+            return opHandler.applyUnary(op, isSingleton)
+          }
+          if (arity === 2 && args.length === 1) {
+            const otherIsSingleton = singleton(target._scope.primaSet(args[0]))
+            return opHandler.applyBinary(op, args[0], isSingleton, otherIsSingleton)
+          }
+          return isSingleton ? op(target.valueOf(), ...args) : opHandler.applyUnary(x => op(x, ...args), false)
         }
-        return isSingleton ? op(target.valueOf(), ...args) : opHandler.applyUnary(x => op(x, ...args), false)
+        return lineage.attach(apply(), prop, args, target, before)
       }
     } catch (error) {
       throw handleError(new ProxyError(error.message, prop, target, { error }))
@@ -366,48 +302,66 @@ const handler = () => ({
   }
 })
 
+// The set a method runs on, as a proxy again (plugins with receiver: 'arg')
+const setOf = (target) => new Proxy(target, handler())
+
 // ============================================================================
-// primaSet (factory) - Returns PrimaSet proxy
+// memoOptions (factory) - Normalize memo / cache options for MemoStore
 // ============================================================================
 
-const primaSet = (src, opts = {}) => {
-  const gen = generator(src)
-  const obj = Object.create(baseProto)
+// memo: true (unbounded) | N (N most recently used) | { size, evict, every, resume, store, path }
+// cache: true | N - sliding window of index access (cacheSize, windowSize, onWindow)
+const memoOptions = (opts, resume) => {
+  const { memo, cache } = opts
+  if (memo) {
+    const spec = typeof memo === 'number' ? { size: memo } : memo === true ? {} : memo
+    const size = spec.size ?? Infinity
+    return { evict: size === Infinity ? 'window' : 'lru', resume, ...spec, size }
+  }
+  if (cache) {
+    const size = typeof cache === 'number' ? cache : opts.cacheSize || 1000
+    return { size, evict: 'window', windowSize: opts.windowSize || 100, onWindow: opts.onWindow }
+  }
+  return null
+}
+
+// ============================================================================
+// createSet (factory) - Returns PrimaSet proxy of a scope
+// ============================================================================
+
+const createSet = (scope, src, opts = {}) => {
+  // Async sources (async generators, streams, promises) get the async variant
+  if (isAsyncSource(src)) return asyncSet(src, opts, scope)
+
+  // Budgets wrap the generator, so iteration, memo and index access all honor them
+  const guarded = hasBudget(opts)
+  // dtype: values are coerced, array sources and memo windows are typed arrays
+  const dtype = opts.dtype ?? typed.of(src) ?? (src?._gen ? src._dtype : null)
+  const gen = typed.gen(budget(generator(src), opts), dtype)
+  const obj = Object.create(scope.proto)
   
+  obj._scope = scope
   obj._gen = gen
-  obj._sourceArray = Array.isArray(src) ? src : null
-  
-  // For memo mode, create a single generator iterator that we'll reuse
-  // This avoids recreating generators and recomputing values
-  obj._genIterator = null  // Lazy initialization - only create when needed
+  obj._dtype = dtype
+  obj._sourceArray = guarded ? null
+    : dtype && (Array.isArray(src) || ArrayBuffer.isView(src)) ? typed.from(src, dtype)
+    : Array.isArray(src) ? src : null
   
-  // Normalize options: support both {memo: true} and {memo: N}
-  const memoSize = typeof opts.memo === 'number' ? opts.memo : 
-                   opts.memo === true ? 1000 : 0
-  const cacheSize = typeof opts.cache === 'number' ? opts.cache : 
-                    opts.cache === true ? (opts.cacheSize || 1000) : 0
-  
-  // Initialize memoized array if memo is enabled
-  if (memoSize > 0) {
-    obj._memoized = []  // Initialize memoized array for fast access
-    obj._cache = null  // Don't use cache when memoized (redundant)
-  } else if (cacheSize > 0) {
-    // Cache mode without memo
-    obj._cache = new SlidingWindowCache(cacheSize, opts.windowSize || 100)
-    if (opts.onWindow) obj._cache.on('window', opts.onWindow)
-    obj._memoized = null
-  } else {
-    obj._cache = null
-    obj._memoized = null
-  }
-  
-  // Store normalized options
-  obj._opts = {
-    ...opts,
-    memo: memoSize > 0 ? (memoSize === 1000 ? true : memoSize) : false,
-    cache: cacheSize > 0 ? (cacheSize === 1000 ? true : cacheSize) : false
-  }
+  // Memo and cache modes share one store: memo also serves iteration, cache only index access
+  // resume(value, index): continue the sequence after a known value (declared, or from a primaSet source)
+  obj._resume = opts.resume ?? (src?._gen ? src._resume : null)
+  const memo = memoOptions(opts, obj._resume)
+  obj._memo = memo ? new MemoStore(gen, { ...memo, dtype }) : null
+  obj._cache = obj._memo?.window ?? null
+  obj._opts = { ...opts, memo: !!opts.memo && memo, cache: !opts.memo && memo }
   
+  obj._card = card.of(src, opts)
+  obj._ordered = order.of(src, opts)
+  obj._seek = seek.of(src, opts)
+  obj._lineage = lineage.of(src, opts)
+  obj._id = ++lineage.serial
+  obj._probe = null
+  obj._fused = null
   obj._it = null
   obj._isSingleton = undefined
   obj._isEmpty = undefined
@@ -419,12 +373,12 @@ const primaSet = (src, opts = {}) => {
 // freeFunction (factory) - Create free function from method
 // ============================================================================
 
-const freeFunction = (name) => (...args) => {
+const freeFunction = ({ proto, primaSet }, name) => (...args) => {
   if (args.length === 0) return (...moreArgs) => primaSet(...moreArgs)[name]()
  
   // Check if method supports currying (take, map, filter, etc.)
   // These methods accept (set, arg) or can be curried as (arg) => (set) => result
-  const method = baseProto[name]
+  const method = proto[name]
   if (method && method.length === 1) {
     // Method takes one arg - support currying: take(5) returns function
     const [firstArg, ...rest] = args
@@ -440,71 +394,239 @@ const freeFunction = (name) => (...args) => {
 }
 
 // ============================================================================
-// Plugin System - Functions as POJOs
+// Plugin System - Descriptors: what each name is and how it is called
 // ============================================================================
 
-primaSet.ops = {}
-primaSet.listOps = () => Object.keys(primaSet.ops)
+// op: element-wise, broadcast over sets | method: runs on the set | generator: lazy, returns a set
+// terminal: method that needs a finite set
+const pluginKinds = ['op', 'method', 'generator', 'terminal']
 
-primaSet.plugin = function(functions) {
-  if (typeof functions === 'function') {
-    const name = functions.name || 'anonymous'
-    const isGenerator = functions.constructor?.name === 'GeneratorFunction'
-    const isMethod = isGenerator || /\bthis\b/.test(functions.toString())
-    
-    if (isMethod) {
-      baseProto[name] = functions
-      primaSet[name] = freeFunction(name)
-    } else {
-      primaSet.ops[name] = functions
-      primaSet[name] = (...args) => {
-        const [first, ...rest] = args
-        if (first == null) return primaSet(null)
-        if (rest.length && functions.length === 0) return functions(first, ...rest)
-        return primaSet(first)[name](...rest)
-      }
+const isGeneratorFn = (fn) => ['GeneratorFunction', 'AsyncGeneratorFunction'].includes(fn?.constructor?.name)
+const nativeVariadic = (fn) => fn.length === 0 || (fn.length > 1 && /\[native code\]/.test(fn.toString()))
+
+// Undeclared functions: generators and functions mentioning `this` are methods, the rest ops
+const inferKind = (fn) => isGeneratorFn(fn) ? 'generator' : /\bthis\b/.test(fn.toString()) ? 'method' : 'op'
+
+// Arity and variadic flag of an op: declared by its descriptor, read off the function otherwise
+const opShape = (scope, name, op) => {
+  const d = scope.plugins.get(name)?.at(-1)
+  return d?.kind === 'op' && d.fn === op ? d : { arity: op.length, variadic: nativeVariadic(op) }
+}
+
+// What gets installed: methods called with the set as this, or as first argument (receiver: 'arg')
+const implOf = (d) => {
+  const { fn, kind, name } = d
+  const byArg = d.receiver === 'arg'
+  if (kind === 'op' || fn.constructor?.name === 'AsyncGeneratorFunction') return fn
+  if (kind === 'generator') {
+    if (!byArg && d.card === undefined && d.ordered === undefined) return fn
+    const gen = byArg ? function* (...args) { yield* fn(setOf(this), ...args) } : function* (...args) { yield* fn.apply(this, args) }
+    return Object.assign(gen, { card: d.card ?? fn.card, ordered: d.ordered ?? fn.ordered, seek: fn.seek })
+  }
+  if (kind === 'method' && !byArg) return fn
+  const method = function (...args) {
+    if (kind === 'terminal') card.assertFinite(this, String(name))
+    return byArg ? fn(setOf(this), ...args) : fn.apply(this, args)
+  }
+  return Object.defineProperty(method, 'length', { value: byArg ? Math.max(0, d.arity - 1) : d.arity })
+}
+
+// Free functions go on the factory too, except over its own API (plugin, pipe, create...)
+const install = (scope, key, d) => {
+  const { primaSet } = scope
+  const free = !factoryApi.includes(key)
+  if (d.kind === 'op') {
+    scope.ops[key] = d.fn
+    if (free) primaSet[key] = (...args) => {
+      const [first, ...rest] = args
+      if (first == null) return primaSet(null)
+      if (rest.length && d.arity === 0) return d.fn(first, ...rest)
+      return primaSet(first)[key](...rest)
     }
-    return primaSet
+  } else if (d.impl.constructor?.name === 'AsyncGeneratorFunction') {
+    scope.asyncProto[key] = d.impl
+  } else {
+    scope.proto[key] = d.impl
+    if (free) primaSet[key] = freeFunction(scope, key)
   }
+}
 
-  if (typeof functions === 'object' && functions !== null) {
-    const names = Object.getOwnPropertyNames(functions)
-    const symbols = Object.getOwnPropertySymbols(functions)
-    const methodsToAdd = {}
-    const opsToAdd = {}
-
-    for (const key of [...names, ...symbols]) {
-      const fn = functions[key]
-      if (typeof fn === 'function') {
-        const isGenerator = fn.constructor?.name === 'GeneratorFunction'
-        const isMethod = isGenerator || /\bthis\b/.test(fn.toString())
-        if (isMethod) methodsToAdd[key] = fn
-        else opsToAdd[key] = fn
-      }
+const uninstall = (scope, key, d) => {
+  if (d.kind === 'op') delete scope.ops[key]
+  else if (d.impl.constructor?.name === 'AsyncGeneratorFunction') return void delete scope.asyncProto[key]
+  else delete scope.proto[key]
+  if (!factoryApi.includes(key)) delete scope.primaSet[key]
+}
+
+// Check a descriptor and fill in its defaults; override: (previous) => fn wraps what it replaces
+const normalize = (d, previous) => {
+  const { name } = d
+  if (typeof name === 'symbol' ? false : typeof name !== 'string' || !name) {
+    throw new PrimaError('Plugin descriptor needs a name', 'PLUGIN', { descriptor: d })
+  }
+  if (!pluginKinds.includes(d.kind)) {
+    throw new PrimaError(`Unknown plugin kind '${d.kind}' for '${String(name)}'`, 'PLUGIN', { kind: d.kind, expected: pluginKinds })
+  }
+  const fn = typeof d.override === 'function' ? d.override(previous?.impl) : d.fn
+  if (typeof fn !== 'function') throw new PrimaError(`Plugin '${String(name)}' needs a function`, 'PLUGIN', { descriptor: d })
+  const arity = d.arity ?? fn.length
+  const desc = {
+    ...d, name, fn, arity,
+    variadic: d.variadic ?? (d.kind === 'op' && arity === 0),
+    receiver: d.receiver ?? 'this',
+    pure: !!d.pure,
+    types: d.types ?? null,
+    namespace: d.namespace ?? null
+  }
+  return { ...desc, impl: implOf(desc) }
+}
+
+// Registers under name and namespace.name. A taken name needs override (or last-wins legacy plugins);
+// namespaced plugins never take one - they stay reachable as namespace.name
+const register = (scope, d, { legacy = false } = {}) => {
+  const { plugins } = scope
+  const desc = normalize(d, plugins.get(d.name)?.at(-1))
+  const keys = desc.namespace && typeof desc.name === 'string' ? [`${desc.namespace}.${desc.name}`, desc.name] : [desc.name]
+  for (const key of keys) {
+    const stack = plugins.get(key) ?? []
+    if (stack.length && !legacy && !d.override) {
+      if (key === desc.name && desc.namespace) continue
+      const prev = stack.at(-1)
+      throw new PrimaError(`'${String(key)}' is already registered as ${prev.kind}${prev.namespace ? ' from ' + prev.namespace : ''}; use override or a namespace`, 'PLUGIN_CONFLICT', { name: key })
     }
+    stack.push(desc)
+    plugins.set(key, stack)
+    install(scope, key, desc)
+  }
+  return scope.primaSet
+}
 
-    Object.assign(primaSet.ops, opsToAdd)
-    for (const [name, fn] of Object.entries(opsToAdd)) {
-      primaSet[name] = (...args) => {
-        const [first, ...rest] = args
-        if (first == null) return primaSet(null)
-        if (rest.length && fn.length === 0) return fn(first, ...rest)
-        return primaSet(first)[name](...rest)
-      }
+// Descriptors for each function of an object; options.kind makes them declared, not inferred
+const entriesOf = (functions, options) => {
+  const keys = [...Object.getOwnPropertyNames(functions), ...Object.getOwnPropertySymbols(functions)]
+  return keys.filter(key => typeof functions[key] === 'function').map(key => {
+    const fn = functions[key]
+    if (!options.kind) return { ...options, name: key, fn, kind: inferKind(fn), variadic: nativeVariadic(fn), inferred: true }
+    return { ...options, name: key, fn, kind: options.kind === 'method' && isGeneratorFn(fn) ? 'generator' : options.kind }
+  })
+}
+
+const pluginOptions = ['kind', 'namespace', 'override', 'pure', 'types', 'receiver']
+
+// plugin(fn) / plugin({ ...fns }) read each function's kind and replace existing names;
+// plugin(descriptor | descriptors) and plugin({ ...fns }, { kind, namespace, override }) declare it
+const plugin = (scope, functions, options = {}) => {
+  const opts = Object.fromEntries(pluginOptions.filter(k => options?.[k] !== undefined).map(k => [k, options[k]]))
+  const legacy = !opts.kind
+  if (Array.isArray(functions)) {
+    for (const d of functions) register(scope, d)
+    return scope.primaSet
+  }
+  if (typeof functions === 'function') {
+    const fn = functions
+    const kind = opts.kind ?? inferKind(fn)
+    return register(scope, { ...opts, name: fn.name || 'anonymous', fn, kind, ...(legacy ? { variadic: nativeVariadic(fn), inferred: true } : {}) }, { legacy })
+  }
+  if (typeof functions === 'object' && functions !== null) {
+    if (typeof functions.kind === 'string' && (typeof functions.name === 'string' || typeof functions.name === 'symbol')) {
+      return register(scope, functions)
     }
+    // Namespace objects (Math) keep their functions reachable as Math.min once our min replaces min
+    const namespace = opts.namespace ?? functions[Symbol.toStringTag]
+    for (const d of entriesOf(functions, { ...opts, ...(namespace ? { namespace } : {}) })) register(scope, d, { legacy })
+    return scope.primaSet
+  }
+  throw new PrimaError('plugin() expects a function, an object of functions or descriptors', 'PLUGIN', { type: typeof functions })
+}
 
-    Object.assign(baseProto, methodsToAdd)
-    for (const name of Object.getOwnPropertyNames(methodsToAdd))
-      primaSet[name] = freeFunction(name)
-    for (const symbol of Object.getOwnPropertySymbols(methodsToAdd))
-      primaSet[symbol] = freeFunction(symbol)
+// Removes the active registration of a name and restores the one it replaced
+const unregister = (scope, name) => {
+  const { plugins } = scope
+  const stack = plugins.get(name)
+  const d = stack?.pop()
+  if (!d) return false
+  uninstall(scope, name, d)
+  // Ops and methods of one name live side by side (min is both): replay what is left
+  for (const e of stack) install(scope, name, e)
+  if (!stack.length) plugins.delete(name)
+  // namespace.name goes with its short name while that one is still the same plugin
+  if (d.namespace && name !== d.name && plugins.get(d.name)?.at(-1) === d) unregister(scope, d.name)
+  return true
+}
 
-    return primaSet
+// Tooling: what a name is - kind, arity, variadic, pure, types, namespace; all of them without a name
+const describe = (scope, name) => {
+  const { plugins } = scope
+  if (name === undefined) return [...plugins.keys()].map(key => describe(scope, key))
+  const stack = plugins.get(name)
+  if (!stack?.length) return null
+  const { fn, impl, override, name: own, kind, ...info } = stack.at(-1)
+  return { key: name, name: own, kind, ...info, inferred: !!info.inferred, shadows: stack.length - 1 }
+}
+
+// ============================================================================
+// Scopes - Each factory has its own prototype, op table and plugin registry
+// ============================================================================
+
+// What a factory is made of, so plugin free functions never replace it
+const factoryApi = ['ops', 'listOps', 'plugin', 'register', 'unregister', 'describe', 'create', 'pipe', 'compose', 'step', 'async', 'channel', 'pure', 'memory', 'random']
+
+// A child scope starts as a copy of its parent: plugins added to either stay there
+const newScope = (parent = null) => {
+  const copy = (obj) => Object.defineProperties({}, Object.getOwnPropertyDescriptors(obj))
+  const scope = {
+    parent,
+    proto: parent ? copy(parent.proto) : baseProto,
+    ops: parent ? { ...parent.ops } : {},
+    asyncProto: parent ? copy(parent.asyncProto) : asyncMethods,
+    plugins: new Map(parent ? [...parent.plugins].map(([key, stack]) => [key, [...stack]]) : [])
   }
+  const primaSet = (src, opts) => createSet(scope, src, opts)
+  scope.primaSet = primaSet
+  // What else the parent carries (primaSet.primes...) comes along; free functions of plugins are rebuilt below
+  if (parent) for (const [key, value] of Object.entries(parent.primaSet)) if (!scope.plugins.has(key)) primaSet[key] = value
+  Object.assign(primaSet, {
+    ops: scope.ops,
+    listOps: () => Object.keys(scope.ops),
+    plugin: (functions, options) => plugin(scope, functions, options),
+    register: (descriptors) => plugin(scope, [descriptors].flat()),
+    unregister: (name) => unregister(scope, name),
+    describe: (name) => describe(scope, name),
+    // primaSet.create({ plugins }): an isolated factory for a library or an app
+    create: ({ plugins = [] } = {}) => {
+      const child = newScope(scope).primaSet
+      for (const p of [plugins].flat()) child.plugin(p)
+      return child
+    },
+    // Pipelines of steps (see primapipe.mjs): the same in every scope
+    pipe,
+    compose,
+    step,
+    // Async variant: primaSet.async(src) forces it, primaSet.channel() bridges push sources
+    async: (src, opts) => asyncSet(src, opts, scope),
+    channel: (highWaterMark) => channel(highWaterMark, scope),
+    // Side-effect free functions let the fused loop reorder stages: map(pure(f)), filter(pure(p, { invariant: true }))
+    pure: fusion.pure,
+    memory: memoryBudget,
+    // Shared seeded generator (see primarandom.mjs): random() draws, random(seed) makes runs reproducible
+    random
+  })
+  for (const [key, stack] of scope.plugins) for (const d of stack) install(scope, key, d)
+  return scope
+}
 
-  throw new Error('plugin() expects function or object of functions')
+// Global memo budget, shared by all scopes: least recently used sets evict first once maxBytes is reached
+const memoryBudget = ({ maxBytes } = {}) => {
+  if (maxBytes !== undefined) {
+    memory.maxBytes = maxBytes ?? Infinity
+    if (memory.bytes > memory.maxBytes) memory.enforce()
+  }
+  return memory.stats()
 }
 
+const root = newScope()
+const primaSet = root.primaSet
+
 // Load standard namespaces
 primaSet.plugin(Math)
 primaSet.plugin(Number)
@@ -525,119 +647,33 @@ primaSet.plugin({
   raw: (template, ...substitutions) => primaSet(String.raw(template, ...substitutions))
 })
 
-// Export pipe as part of primaSet
-primaSet.pipe = (...fns) => {
-  return (x) => {
-    // If no argument and first function is a generator function, call it
-    let startIdx = 0
-    if (x === undefined && fns.length > 0) {
-      const firstFn = fns[0]
-      if (typeof firstFn === 'function') {
-        x = firstFn()
-        startIdx = 1 // Skip first function in reduce since we already called it
-      }
-    }
-    const remainingFns = fns.slice(startIdx)
-    const remainingLength = remainingFns.length
-    return remainingFns.reduce((v, f, idx) => {
-      // iif (if-then-else) pattern: shortCircuit is actually iif
-      // - undefined: short-circuit (stop iteration)
-      // - null: transform data and short-circuit
-      // - function: transform and continue
-      if (f?.shortCircuit || f?.iif) {
-        const it = (v?.[Symbol.iterator] ? v : primaSet(v))[Symbol.iterator]()
-        const result = []
-        for (const x of it) {
-          if (f.pred(x)) {
-            const transformed = f.then(x)
-            if (transformed === undefined) break  // Short-circuit: stop
-            if (transformed === null) {
-              result.push(x)  // Transform: use original value
-              break  // Short-circuit after transform
-            }
-            result.push(transformed)  // Transform and continue
-            if (f.else === undefined) break  // No else = short-circuit after then
-          } else {
-            if (f.else === undefined) {
-              result.push(x)  // No else: pass through
-            } else if (f.else === null) {
-              break  // null else: short-circuit
-            } else {
-              const transformed = f.else(x)
-              if (transformed === undefined) break  // Short-circuit
-              if (transformed === null) {
-                result.push(x)  // Transform: use original
-                break
-              }
-              result.push(transformed)  // Transform and continue
-            }
-          }
-        }
-        return primaSet(result)
-      }
-      // Handle functions - operations, methods, or free functions
-      if (typeof f === 'function') {
-        // Check if this is a curried function call (function returned from partial application)
-        // If f(v) returns a function, it's likely curried - call it with v
-        let vSet = v
-        if (v != null && typeof v === 'object' && (v[Symbol.iterator] || v.toArray)) {
-          vSet = v // Already a primaSet or iterable
-        } else if (v != null && typeof v !== 'object') {
-          vSet = v // Number or primitive, pass as-is
-        } else {
-          vSet = primaSet(v) // Wrap null/undefined/other
-        }
-        
-        // Call the function - curried functions like take(10) are already functions
-        const result = f(vSet)
-        
-        // For variadic free functions (length === 0) like sum, mean, etc.
-        // If called with a primaSet, always use the method instead
-        const isLast = idx === remainingLength - 1
-        const isVariadic = f.length === 0
-        // For last variadic function on primaSet, always use method call
-        if (isVariadic && vSet?.toArray && isLast && typeof vSet.sum === 'function') {
-          return vSet.sum()
-        }
-        
-        // Fallback: if result is wrong, try method call
-        if (isLast && vSet?.toArray && isVariadic && typeof vSet.sum === 'function') {
-          const arr = vSet.toArray()
-          if (arr.length > 0) {
-            const isEmpty = Array.isArray(result) && result.length === 0
-            const isZero = result === 0
-            const isNullPrimaSet = result?.toArray && result.toArray().length === 0
-            if (isEmpty || isZero || isNullPrimaSet) {
-              return vSet.sum()
-            }
-          }
-        }
-        return result
-      }
-      return f(v)
-    }, x)
-  }
-}
 
-
-import { operations, methods, generators } from './primaops.mjs'
-// Register plugins synchronously - methods available immediately
-// Store pipe before plugins (in case plugins overwrite it)
-const pipeBackup = primaSet.pipe
-primaSet.plugin(operations)
-primaSet.plugin(methods)
-primaSet.plugin(generators)
-// Restore pipe if it was overwritten
-if (primaSet.pipe !== pipeBackup) {
-  primaSet.pipe = pipeBackup
-}
+import { operations, methods, generators, card, order, seek, lineage, probed, fusion } from './primaops.mjs'
+import { asyncSet, asyncMethods, channel, isAsyncSource } from './primaasync.mjs'
+import { pipe, compose, step } from './primapipe.mjs'
+import { random } from './primarandom.mjs'
+// Register plugins synchronously - methods available immediately (free functions never replace pipe)
+primaSet.plugin(operations, { kind: 'op', override: true })
+primaSet.plugin(methods, { kind: 'method', override: true })
+primaSet.plugin(generators, { kind: 'method', override: true })
 
 // Export methods for direct access
-export { primaSet, operations, methods, generators }
+export { primaSet, operations, methods, generators, opShape, root }
+// Export async sets
+export { asyncSet, channel } from './primaasync.mjs'
 // Export all operations as standalone functions (destructure from primaSet - handles both numbers and PrimaSets)
-export const { sq, inv, neg, add, sub, mul, div, mod, mean, sum, min, max, clamp, sigmoid, factorial, gcd, lcm, firstDivisor, isPrime } = primaSet
-// Export pipe as standalone function
-export const pipe = primaSet.pipe
+export const { sq, inv, neg, add, sub, mul, div, mod, mean, sum, min, max, clamp, sigmoid, factorial, gcd, lcm, firstDivisor, isPrime, isProbablePrime, nextPrime, prevPrime, factorize, divisors, sigma, radical, isSquarefree, modPow, modInverse, legendre, jacobi, sqrtMod, primitiveRoot, discreteLog } = primaSet
+// order() as a free function (the name is taken here by the order model)
+const { order: orderOp } = primaSet
+export { orderOp as order }
+// Export pipe, compose and the step constructors as standalone functions
+export { pipe, compose, step, catchError, retry } from './primapipe.mjs'
+// Export the Chinese remainder theorem (whole lists, not element-wise)
+export { crt } from './primamod.mjs'
+// Export seeded random generators
+export { Random, random, rng } from './primarandom.mjs'
+// Export reactive (push-based) sets
+export { ReactiveSet, Subject, reactive, subject, fromEvents, merge, combineLatest } from './primareactive.mjs'
 // Export point structures (unified architecture)
 export { point, complex, quaternion, octonion, vector } from './point.mjs'
 
@@ -183,6 +183,245 @@ test('memo - caches iteration', ({check}) => {
   check(calls, callsBefore);  // Cached - no additional calls
 });
 
+// cardinality - before the plugin tests below replace map/filter globally
+const endless = () => primaSet(function* () { let n = 1; while (true) yield n++; }, { size: Infinity });
+
+test('cardinality - sources', ({check}) => {
+  check(primaSet([1, 2, 3]).cardinality(), 'finite');
+  check(primaSet([1, 2, 3]).length, 3);
+  check(primaSet(7).length, 1);
+  check(primaSet(null).length, 0);
+  check(primaSet(new Set([1, 2])).length, 2);
+  check(primaSet(function* () { yield 1; }).cardinality(), 'unknown');
+  check(primaSet(function* () { yield 1; }, { size: 1 }).length, 1);
+  check(endless().cardinality(), 'infinite');
+  check(endless().length, Infinity);
+});
+
+test('cardinality - propagates through lazy methods', ({check}) => {
+  const s = primaSet([1, 2, 3, 4, 5]);
+  check(s.map(x => x * 2).length, 5);
+  check(s.skip(2).length, 3);
+  check(s.chunk(2).length, 3);
+  check(s.window(2).length, 4);
+  check(s.zip([1, 2]).length, 2);
+  check(s.concat([6, 7]).length, 7);
+  check(s.filter(x => x > 2).cardinality(), 'finite');
+  check(s.filter(x => x > 2).length, 'undefined');
+  check(s.sq().length, 5);
+  check(endless().map(x => x).skip(3).cardinality(), 'infinite');
+  check(endless().filter(x => x < 3).cardinality(), 'unknown');
+  check(endless().zip([1, 2, 3]).length, 3);
+  check(endless().take(4).length, 4);
+  check(endless().add([1, 2]).length, 2);
+});
+
+test('cardinality - terminals fail fast on infinite sets', ({check}) => {
+  for (const op of ['count', 'sort', 'toArray', 'sum', 'groupBy', 'cycle']) {
+    let error = null;
+    try { endless()[op](x => x); } catch (e) { error = e; }
+    check(error?.name, 'MaterializationError');
+    check(error.context.op, op === 'sum' ? 'reduce' : op);
+  }
+  try { endless().sample(2); check(false); } catch (e) { check(e.context.op, 'sample'); }
+});
+
+test('cardinality - bounded sets keep working', ({check}) => {
+  check(primaSet([1, 2]).cycle().cardinality(), 'infinite');
+  check(primaSet([1, 2]).cycle().take(5), [1, 2, 1, 2, 1]);
+  check(primaSet([]).cycle().take(3), []);
+  check(primaSet(function* () {}).cycle().cardinality(), 'unknown');   // Nothing to repeat, as far as anyone knows
+  check(primaSet(function* () {}).cycle().take(3), []);
+  check(endless().toString(3), '1,2,3');
+  check(primaSet(function* () { yield 1; yield 2; }, { size: 2 }).count(), 2);
+});
+
+// Set algebra
+test('algebra - union/intersect/difference/symDiff on finite sets', ({check}) => {
+  const a = primaSet([1, 2, 3, 4]), b = primaSet([3, 4, 5]);
+  check(a.union(b), [1, 2, 3, 4, 5]);
+  check(a.intersect(b), [3, 4]);
+  check(a.difference(b), [1, 2]);
+  check(a.symDiff(b), [1, 2, 5]);
+  check(primaSet([1, 1, 2]).union([2, 2]), [1, 2]);
+});
+
+test('algebra - isSubsetOf / isDisjoint', ({check}) => {
+  check(primaSet([1, 2]).isSubsetOf([3, 2, 1]), true);
+  check(primaSet([1, 4]).isSubsetOf([1, 2, 3]), false);
+  check(primaSet([1, 2]).isDisjoint([3, 4]), true);
+  check(primaSet([1, 2]).isDisjoint([2, 3]), false);
+  check(primaSet([2, 3]).isSubsetOf(endless()), true);
+});
+
+test('algebra - key functions and points by coordinates', async ({check}) => {
+  const { point } = await import('./point.mjs');
+  const pts = primaSet([point(0, 0), point(1, 2)]);
+  check(pts.intersect([point(1, 2), point(5, 5)]).map(p => p.coords), [[1, 2]]);
+  check(pts.union([point(0, 0)]).count(), 2);
+  const users = primaSet([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+  check(users.difference([{ id: 2, name: 'B' }], u => u.id).map(u => u.name), ['a']);
+  check(primaSet(['A', 'b']).intersect(['a'], { key: s => s.toLowerCase() }), ['A']);
+  check(primaSet([{ x: 1 }, { x: 1 }, { x: 2 }]).unique(o => o.x).count(), 2);
+});
+
+test('algebra - infinite operands', ({check}) => {
+  check(endless().union([-1, -2]).take(4), [1, -1, 2, -2]);
+  check(endless().intersect([5, 3, 99]).take(2), [3, 5]);
+  check(endless().intersect([5, 3]).take(3), [3, 5]);   // Stops once the finite side is used up
+  check(endless().map(x => -x).intersect([-2]).toArray(), [-2]);
+  check(endless().difference([1, 3]).take(3), [2, 4, 5]);
+  check(endless().union([1]).cardinality(), 'infinite');
+  try { endless().symDiff([1]).toArray(); check(false); } catch (e) { check(e.name, 'MaterializationError'); }
+  try { primaSet([1]).difference(endless()).toArray(); check(false); } catch (e) { check(e.context.op, 'difference'); }
+});
+
+test('algebra - ordered sets merge lazily', ({check}) => {
+  const sq = primaSet(function* () { let n = 1; while (true) { yield n * n; n++; } }, { size: Infinity, ordered: true });
+  const cubes = primaSet(function* () { let n = 1; while (true) { yield n ** 3; n++; } }, { size: Infinity, ordered: true });
+  check(sq.intersect(cubes).take(3), [1, 64, 729]);
+  check(sq.union(cubes).take(5), [1, 4, 8, 9, 16]);
+  check(sq.difference(cubes).take(3), [4, 9, 16]);
+  check(sq.isDisjoint(primaSet([2, 3, 5], { ordered: true })), true);
+  try { sq.isDisjoint([5, 3, 2]); check(false); } catch (e) { check(e.context.op, 'isDisjoint'); }
+  check(primaSet([3, 1], { ordered: (a, b) => b - a }).union(primaSet([2, 1], { ordered: (a, b) => b - a })), [3, 2, 1]);
+});
+
+// Ordered sets
+test('ordered - declared, inferred from arrays, propagated', ({check}) => {
+  check(primaSet([1, 2, 2, 5]).isOrdered(), true);
+  check(primaSet([3, 1]).isOrdered(), false);
+  check(primaSet(['a', 'b']).isOrdered(), true);
+  check(primaSet([1, 'b']).isOrdered(), false);
+  const sq = primaSet(function* () { let n = 1; while (true) yield n * n++; }, { size: Infinity, ordered: true });
+  check(sq.filter(x => x % 2).isOrdered(), true);
+  check(sq.skip(2).isOrdered(), true);
+  check(sq.take(3).isOrdered(), true);
+  check(sq.map(x => -x).isOrdered(), false);
+  check(primaSet([3, 1], { ordered: false }).isOrdered(), false);
+});
+
+test('ordered - includes/indexOf stop past the target', ({check}) => {
+  let pulled = 0;
+  const sq = primaSet(function* () { let n = 1; while (true) { pulled++; yield n * n++; } }, { size: Infinity, ordered: true });
+  check(sq.includes(49), true);
+  check(sq.indexOf(49), 6);
+  pulled = 0;
+  check(sq.includes(50), false);
+  check(pulled, 8);
+  check(sq.indexOf(50), -1);
+  try { endless().includes(0); check(false); } catch (e) { check(e.context.op, 'includes'); }
+  check(primaSet([4, 1, 3]).indexOf(3), 2);
+  check(primaSet([1, 3, 3, 8]).indexOf(3), 1);
+  check(primaSet([1, 3, 3, 8]).indexOf(3, 2), 2);
+});
+
+test('ordered - between and takeWhile on infinite sets', ({check}) => {
+  const sq = primaSet(function* () { let n = 1; while (true) yield n * n++; }, { size: Infinity, ordered: true });
+  check(sq.between(10, 50), [16, 25, 36, 49]);
+  check(sq.between(10, 50).count(), 4);
+  check(sq.takeWhile(x => x < 10), [1, 4, 9]);
+  check(primaSet([5, 1, 9, 3]).between(2, 5), [5, 3]);
+  check(primaSet([1, 3, 5, 9]).between(2, 5), [3, 5]);
+});
+
+test('ordered - binary search on the memoized prefix', ({check}) => {
+  let pulled = 0;
+  const sq = primaSet(function* () { let n = 1; while (true) { pulled++; yield n * n++; } }, { memo: true, ordered: true });
+  check(sq[99], 10000);
+  const before = pulled;
+  check(sq.indexOf(2500), 49);
+  check(sq.includes(2501), false);
+  check(pulled, before);
+  check(sq.includes(10201), true);
+  check(pulled, before + 1);
+  check(sq.between(9000, 10000), [9025, 9216, 9409, 9604, 9801, 10000]);
+});
+
+// Closed forms
+test('seek - declared at(i) makes index access O(1)', ({check}) => {
+  let pulled = 0;
+  const sq = primaSet(function* () { let n = 0; while (true) { pulled++; yield n * n++; } },
+    { size: Infinity, at: i => i * i, indexOf: v => Number.isInteger(Math.sqrt(v)) ? Math.sqrt(v) : -1 });
+  check(sq[1e6], 1e12);
+  check(sq.get(12), 144);
+  check(sq.indexOf(144), 12);
+  check(sq.includes(145), false);
+  check(pulled, 0);
+});
+
+test('seek - map, ops, skip, take and slice use the closed form', ({check}) => {
+  let pulled = 0;
+  const nat = primaSet(function* () { let n = 0; while (true) { pulled++; yield n++; } }, { size: Infinity, at: i => i, indexOf: v => v });
+  check(nat.map(x => 2 * x)[1e9], 2e9);
+  check(nat.add(1)[10], 11);
+  check(nat.skip(1e9)[0], 1e9);
+  check(nat.skip(5).indexOf(7), 2);
+  check(nat.skip(1e9).take(3), [1e9, 1e9 + 1, 1e9 + 2]);
+  check(nat.slice(1e6, 1e6 + 2), [1e6, 1e6 + 1]);
+  check(pulled, 0);
+  const five = primaSet(function* () { yield* [0, 1, 2, 3, 4]; }, { size: 5, at: i => i });
+  check(five[7] === undefined, true);
+  check(five.slice(3, 10), [3, 4]);
+  check(five.slice(-2), [3, 4]);
+});
+
+test('slice - generators without closed form', ({check}) => {
+  check(endless().slice(2, 5), [3, 4, 5]);
+  check(primaSet([1, 2, 3, 4]).slice(1, 3), [2, 3]);
+  check(primaSet(function* () { yield 1; yield 2; yield 3; })[1], 2);
+});
+
+// Fusion - chained map/filter/skip/on run as one loop
+test('fusion - chained stages share one loop, same results', ({check}) => {
+  const log = [];
+  const s = primaSet([1, 2, 3, 4, 5, 6, 7, 8])
+    .map(x => { log.push(`m${x}`); return x * 3; })
+    .filter(x => x % 2)
+    .skip(1)
+    .on(x => log.push(`o${x}`))
+    .map(x => x + 1);
+  check(s._fused.stages.map(st => st.op), ['map', 'filter', 'skip', 'on', 'map']);
+  check(s.toArray(), [10, 16, 22]);
+  check(log, ['m1', 'm2', 'm3', 'o9', 'm4', 'm5', 'o15', 'm6', 'm7', 'o21', 'm8']);  // Per item, in stage order
+  check(s.toArray(), [10, 16, 22]);  // Runs again from the base
+  check(primaSet([1, 2, 3]).skip().toArray(), []);
+  check(endless().map(x => x * x).filter(x => x % 2).take(3), [1, 9, 25]);
+});
+
+test('fusion - pure maps let skip and invariant filters run first', ({check}) => {
+  let calls = 0;
+  const double = primaSet.pure(x => { calls++; return 2 * x; });
+  check(endless().filter(x => x > 0).map(double).skip(95).take(3), [192, 194, 196]);
+  check(calls, 3);  // Skipped items never reach the map
+  calls = 0;
+  const shift = primaSet.pure(x => { calls++; return x + 10; });
+  const odd = primaSet.pure(x => x % 2 === 1, { invariant: true });  // x + 10 keeps parity
+  const s = primaSet([1, 2, 3, 4, 5]).map(shift).filter(odd);
+  check(s._fused.plan.map(st => st.op), ['filter', 'map']);
+  check(s.toArray(), [11, 13, 15]);
+  check(calls, 3);
+  check(primaSet([1, 2]).map(x => x).skip(1)._fused.plan.map(st => st.op), ['map', 'skip']);  // Not pure: kept in place
+  check(primaSet([1, 2]).map(shift).filter(x => x > 11)._fused.plan.map(st => st.op), ['map', 'filter']);
+  check(Object.keys(odd).length + ('pure' in shift), 0);  // Marks are not written on the function
+});
+
+test('fusion - sort then take selects without sorting everything', ({check}) => {
+  let compared = 0;
+  const values = Array.from({ length: 1000 }, (_, i) => (i * 7919) % 1009);
+  const s = primaSet(values).sortBy(x => { compared++; return -x; });
+  check(s.take(3), [1008, 1007, 1006]);
+  check(compared < 10000, true);
+  check(primaSet([5, 3, 9, 1, 3]).sort().take(3), [1, 3, 3]);
+  check(primaSet([5, 3, 9]).sort().take(10), [3, 5, 9]);
+  check(primaSet(['b', 'a']).sort().take(2), ['b', 'a']);  // a - b is NaN on strings: source order, as before
+  const sorted = primaSet([4, 2, 8]).sort();
+  check(sorted.length, 3);
+  check(sorted[0], 2);
+  check(sorted.isOrdered(), true);
+  check(sorted.take(2), [2, 4]);
+});
+
 // plugin
 test('plugin - unary', ({check}) => {
   primaSet.plugin({ sq: x => x * x });
@@ -296,6 +535,103 @@ test('Plugin - unified function detection', ({check}) => {
   check(primaSet(Math.PI/2).sin(), 1);
 });
 
+// Plugin descriptors
+test('register - declared kinds, no source reading', ({check}) => {
+  primaSet.register({ name: 'tripled', kind: 'op', fn: x => 3 * x, pure: true, types: ['number'] });
+  check(primaSet([1, 2]).tripled(), [3, 6]);
+  check(primaSet.tripled(4), 12);
+  // An arrow function can be a method: receiver 'arg' passes the set first
+  primaSet.register({ name: 'evensOf', kind: 'generator', receiver: 'arg', fn: function* (set) { for (const x of set) if (x % 2 === 0) yield x; } });
+  check(primaSet([1, 2, 3, 4]).evensOf(), [2, 4]);
+  primaSet.register({ name: 'total', kind: 'terminal', receiver: 'arg', fn: (set, start = 0) => set.reduce((a, b) => a + b, start) });
+  check(primaSet([1, 2, 3]).total(10), 16);
+  check(primaSet.total([5, 5]), 10);
+  const e = caught(() => primaSet(function* () { while (true) yield 1; }, { size: Infinity }).total());
+  check(e?.name, 'MaterializationError');  // Terminals need a finite set
+  check(caught(() => primaSet.register({ name: 'bad', kind: 'lazy', fn: x => x }))?.code, 'PLUGIN');
+  ['tripled', 'evensOf', 'total'].forEach(primaSet.unregister);
+  check(primaSet([1]).tripled === undefined, true);
+});
+
+test('register - conflicts, override and unregister', ({check}) => {
+  primaSet.register({ name: 'halved', kind: 'op', fn: x => x / 2 });
+  check(caught(() => primaSet.register({ name: 'halved', kind: 'op', fn: x => x }))?.code, 'PLUGIN_CONFLICT');
+  primaSet.register({ name: 'halved', kind: 'op', override: prev => x => prev(x) + 1 });  // Hook: wraps what it replaces
+  check(primaSet([4, 8]).halved(), [3, 5]);
+  check(primaSet.describe('halved').shadows, 1);
+  primaSet.unregister('halved');
+  check(primaSet([4, 8]).halved(), [2, 4]);  // The replaced one is back
+  check(primaSet.unregister('halved'), true);
+  check(primaSet.unregister('halved'), false);
+});
+
+test('register - namespaces keep both names reachable', ({check}) => {
+  check(primaSet.describe('Math.max').namespace, 'Math');
+  check(primaSet([3, 1, 2])['Math.max'](), 3);
+  primaSet.register({ name: 'sum', kind: 'method', namespace: 'ledger', fn: function () { return 'ledger'; } });
+  check(primaSet([1, 2]).sum(), 3);                 // Taken: the namespaced one does not replace it
+  check(primaSet([1, 2])['ledger.sum'](), 'ledger');
+  primaSet.plugin({ quarter: x => x / 4 }, { kind: 'op', namespace: 'ledger', pure: true });
+  check(primaSet([4, 8]).quarter(), [1, 2]);      // Free: both names
+  check(primaSet.describe('ledger.quarter').pure, true);
+  ['ledger.sum', 'ledger.quarter'].forEach(primaSet.unregister);
+  check(primaSet([4]).quarter === undefined, true);
+});
+
+test('describe - tooling view of the registry', ({check}) => {
+  const skip = primaSet.describe('skip');
+  check([skip.kind, skip.arity, skip.variadic, skip.inferred], ['generator', 1, false, false]);
+  check(primaSet.describe('sq').kind, 'op');
+  check(primaSet.describe('Math.sin').inferred, true);  // plugin(Math): read off the functions
+  check(primaSet.describe('nothing'), null);
+  check(primaSet.describe().some(d => d.key === 'Math.hypot'), true);
+});
+
+// Scopes
+test('create - plugins stay in their scope', ({check}) => {
+  const lib = primaSet.create({ plugins: { cube: x => x ** 3, *evens() { for (const x of this) if (x % 2 === 0) yield x; } } });
+  check(lib([1, 2]).cube(), [1, 8]);
+  check(lib.evens([1, 2, 3, 4]), [2, 4]);
+  check(primaSet([1, 2]).cube === undefined, true);
+  check(primaSet.evens === undefined, true);
+  check(primaSet.describe('cube'), null);
+  check(lib.describe('cube').kind, 'op');
+  // Global plugins added later do not reach the scope either
+  primaSet.register({ name: 'laterOne', kind: 'op', fn: x => x + 1 });
+  check(lib([1]).laterOne === undefined, true);
+  primaSet.unregister('laterOne');
+});
+
+test('create - sets built by methods keep the scope', ({check}) => {
+  const lib = primaSet.create({ plugins: { *evens() { for (const x of this) if (x % 2 === 0) yield x; } } });
+  check(lib([1, 2, 3, 4, 5, 6]).take(4).evens(), [2, 4]);
+  check(lib([6, 3, 4]).sort().evens(), [4, 6]);
+  check(lib([1, 2, 3, 4]).map(x => x + 1).evens(), [2, 4]);
+  check(lib([2, 3]).tee(2)[1].evens(), [2]);
+  check(lib([1, 2]).union([4]).shuffle({ seed: 7 }).topK(2).evens(), [4, 2]);
+  check(lib.pipe(s => s.skip(1), s => s.evens())(lib([1, 2, 3, 4])), [2, 4]);
+});
+
+test('create - nested scopes and overrides', ({check}) => {
+  const lib = primaSet.create({ plugins: [{ name: 'tenfold', kind: 'op', fn: x => 10 * x }] });
+  const app = lib.create();
+  app.register({ name: 'tenfold', kind: 'op', override: prev => x => prev(x) + 1 });
+  check(app([1, 2]).tenfold(), [11, 21]);
+  check(lib([1, 2]).tenfold(), [10, 20]);
+  check(app([1, 2, 3]).sum(), 6);  // Built-ins come along
+  // Factory API is never replaced by a plugin of the same name
+  app.plugin({ pipe() { return this.count() + 1; } });
+  check(app([1]).pipe(), 2);
+  check(typeof app.pipe(x => x), 'function');
+});
+
+test('create - async sets see the plugins of their scope', async ({check}) => {
+  const lib = primaSet.create({ plugins: { half: x => x / 2 } });
+  check(await lib.async([2, 4]).half().toArray(), [1, 2]);
+  check(await lib([6]).toAsync().half().toArray(), [3]);
+  check(primaSet.async([2]).half === undefined, true);
+});
+
 // Proxy unknown
 test('Proxy - undefined for unknown', ({check}) => {
   check(primaSet([1]).unknownProp, 'undefined');
@@ -330,4 +666,43 @@ test('Edge - error propagation', ({check}) => {
 test('Edge - large numbers', ({check}) => {
   const bigNum = 9007199254740991; // Number.MAX_SAFE_INTEGER
   check(primaSet(bigNum).valueOf(), bigNum);
-});
\ No newline at end of file
+});
+// Budgets - signal / maxItems / maxMs
+const naturals = () => primaSet(function* () { let n = 1; while (true) yield n++; });
+const caught = (fn) => { try { fn(); } catch (e) { return e; } return null; };
+
+test('budget - maxItems stops infinite toArray with partial count', ({check}) => {
+  const e = caught(() => primaSet(naturals(), { maxItems: 100 }).toArray());
+  check(e?.name, 'MaterializationError');
+  check(e.context.count, 100);
+  check(e.context.maxItems, 100);
+});
+
+test('budget - maxItems allows sets that fit', ({check}) => {
+  check(primaSet([1, 2, 3], { maxItems: 3 }).sum(), 6);
+  check(primaSet(naturals(), { maxItems: 10 }).take(5), [1, 2, 3, 4, 5]);
+});
+
+test('budget - maxMs throws InfiniteLoopError from any terminal', ({check}) => {
+  const slow = primaSet(naturals(), { maxMs: 20 }).filter(n => n % 7 === 0);
+  const e = caught(() => slow.sum());
+  check(e?.name, 'InfiniteLoopError');
+  check(e.context.maxMs, 20);
+  check(e.context.count > 0);
+});
+
+test('budget - AbortSignal cancels materialization', ({check}) => {
+  const controller = new AbortController();
+  const s = primaSet(naturals(), { signal: controller.signal })
+    .on(n => { if (n === 50) controller.abort(); });
+  const e = caught(() => s.sort());
+  check(e?.name, 'MaterializationError');
+  check(e.context.aborted, true);
+  check(e.context.count, 50);
+  check(caught(() => primaSet([1, 2], { signal: controller.signal }).count())?.context.count, 0);
+});
+
+test('budget - guard() wraps an existing pipeline', ({check}) => {
+  const e = caught(() => naturals().map(x => x * 2).guard({ maxItems: 5 }).count());
+  check(e?.context.count, 5);
+});
@@ -4,7 +4,8 @@
  * Architecture: Extends primageo.point, uses primaset for lazy operations
  */
 
-import { primaSet, point, vector } from '../core/primaset.mjs'
+import { primaSet, point, vector, random } from '../core/primaset.mjs'
+import { randomOf } from '../core/primarandom.mjs'
 
 // ============================================================================
 // VECTORS - Using vector from point.mjs (already extends point)
@@ -13,10 +14,13 @@ import { primaSet, point, vector } from '../core/primaset.mjs'
 // Vector is imported from @primalib/geo (point.mjs)
 // It already has: dot, cross, normalize, project, angle, normL1, normL2, normLinf
 
+// Coordinates of a vector: points, arrays, typed arrays, typed primaSets (zero-copy view)
+const coordsOf = (v) => v.coords || (v?.isTyped?.() ? v.toTypedArray() : v)
+
 // Free functions for vector operations
 const dotProduct = (v1, v2) => {
-  const c1 = v1.coords || v1
-  const c2 = v2.coords || v2
+  const c1 = coordsOf(v1)
+  const c2 = coordsOf(v2)
   return c1.reduce((sum, c, i) => sum + c * (c2[i] || 0), 0)
 }
 
@@ -56,17 +60,17 @@ const angleBetween = (v1, v2) => {
 }
 
 const normL1 = (v) => {
-  const c = v.coords || v
+  const c = coordsOf(v)
   return c.reduce((sum, x) => sum + Math.abs(x), 0)
 }
 
 const normL2 = (v) => {
-  const c = v.coords || v
+  const c = coordsOf(v)
   return Math.sqrt(c.reduce((sum, x) => sum + x * x, 0))
 }
 
 const normLinf = (v) => {
-  const c = v.coords || v
+  const c = coordsOf(v)
   return Math.max(...c.map(Math.abs))
 }
 
@@ -158,9 +162,11 @@ const diagonal = (diag) => {
   return matrix(data)
 }
 
-const randomMatrix = (m, n = m, min = 0, max = 1) => {
+// Uniform entries in [min, max): { seed } or { random } for reproducible ones, the shared generator otherwise
+const randomMatrix = (m, n = m, min = 0, max = 1, opts = {}) => {
+  const rng = randomOf(opts)
   const data = Array(m).fill(null).map(() => 
-    Array(n).fill(0).map(() => Math.random() * (max - min) + min)
+    Array(n).fill(0).map(() => rng.float() * (max - min) + min)
   )
   return matrix(data)
 }
@@ -689,7 +695,7 @@ const findRoots = (coeffs, initialGuess = null, maxIter = 100, tol = 1e-10) => {
   // Initial guesses on unit circle (real part only for now)
   let guesses = initialGuess || Array(n).fill(null).map((_, i) => {
     const angle = (2 * Math.PI * i) / n
-    return Math.cos(angle) + (Math.random() - 0.5) * 0.1
+    return Math.cos(angle) + (random() - 0.5) * 0.1
   })
   
   // Durand-Kerner iteration
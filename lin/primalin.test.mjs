@@ -123,6 +123,13 @@ test('Vector: norms (L1, L2, L∞)', ({check}) => {
   check(v.normLinf(), 4)
 })
 
+test('Vector: typed arrays and typed sets', ({check}) => {
+  const v = primaSet([3, -4], { dtype: 'f64' })
+  check(normL2(v), 5)
+  check(normL1(new Float64Array([3, -4])), 7)
+  check(dotProduct(v, primaSet([1, 2], { dtype: 'i32' })), -5)
+})
+
 test('Vector: compatibility with point', ({check}) => {
   const p = point(1, 2, 3)
   const v = vector(4, 5, 6)
@@ -200,6 +207,14 @@ test('Matrix: diagonal', ({check}) => {
   check(D.data[2], [0, 0, 5])
 })
 
+test('Matrix: randomMatrix (seeded)', ({check}) => {
+  const A = randomMatrix(2, 3, -1, 1, { seed: 7 })
+  check([A.rows, A.cols], [2, 3])
+  check(A.data.flat().every(x => x >= -1 && x < 1))
+  check(randomMatrix(2, 3, -1, 1, { seed: 7 }).data, A.data)
+  check(randomMatrix(2, 3, -1, 1, { seed: 8 }).data[0][0] !== A.data[0][0])
+})
+
 test('Matrix: transpose', ({check}) => {
   const m = matrix([[1, 2, 3], [4, 5, 6]])
   const mt = m.transpose()
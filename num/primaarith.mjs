@@ -0,0 +1,240 @@
+/**
+ * PrimaArith - Arithmetic functions: φ, μ, ω, Ω, λ and the divisor count d
+ * One linear sieve fills all of them up to a table limit (grown by doubling), segments continue past it
+ * Lazy sequences (phis, mus...), single values (phi(n)...) and sums (mertens(x), phiSum(x))
+ */
+
+import { primaSet } from '../core/primaset.mjs'
+import { PrimaError } from '../core/errors.mjs'
+import { primeFactors } from '../core/primafactor.mjs'
+import { basePrimes } from './primasieve.mjs'
+
+// ============================================================================
+// Linear sieve - Every n is crossed off once, by its smallest prime factor
+// ============================================================================
+
+// Largest table: ~20 bytes per n; segments take over past it
+const CAP = 1 << 21
+
+// Block of values for lo, lo + 1, ...: index i stands for n = lo + i
+const block = (lo, length) => ({
+  lo,
+  phi: new Float64Array(length),
+  mu: new Int8Array(length),
+  omega: new Uint8Array(length),
+  bigOmega: new Uint8Array(length),
+  tau: new Uint32Array(length)
+})
+
+const linearSieve = (limit) => {
+  const t = block(0, limit + 1)
+  const lp = new Int32Array(limit + 1), e = new Uint8Array(limit + 1), primes = []
+  t.phi[1] = 1
+  t.mu[1] = 1
+  t.tau[1] = 1
+  for (let i = 2; i <= limit; i++) {
+    if (!lp[i]) {
+      lp[i] = i
+      primes.push(i)
+      t.phi[i] = i - 1
+      t.mu[i] = -1
+      t.omega[i] = t.bigOmega[i] = e[i] = 1
+      t.tau[i] = 2
+    }
+    for (const p of primes) {
+      const j = i * p
+      if (p > lp[i] || j > limit) break
+      lp[j] = p
+      t.bigOmega[j] = t.bigOmega[i] + 1
+      if (p === lp[i]) {   // p already divides i
+        t.phi[j] = t.phi[i] * p
+        t.omega[j] = t.omega[i]
+        e[j] = e[i] + 1
+        t.tau[j] = t.tau[i] / (e[i] + 1) * (e[i] + 2)
+      } else {
+        t.phi[j] = t.phi[i] * (p - 1)
+        t.mu[j] = -t.mu[i]
+        t.omega[j] = t.omega[i] + 1
+        e[j] = 1
+        t.tau[j] = t.tau[i] * 2
+      }
+    }
+  }
+  return t
+}
+
+let table = linearSieve(1 << 10)
+
+// The table up to at least n (and at most CAP), doubling so repeated growth stays linear
+const tableUpTo = (n) => {
+  const limit = table.phi.length - 1
+  if (n > limit && limit < CAP) table = linearSieve(Math.min(CAP, Math.max(n, 2 * limit)))
+  return table
+}
+
+// ============================================================================
+// Segments - Past the table: divide the base primes out of lo..lo + length - 1
+// ============================================================================
+
+const isqrt = (n) => {
+  let r = Math.floor(Math.sqrt(n))
+  while (r * r > n) r--
+  while ((r + 1) * (r + 1) <= n) r++
+  return r
+}
+
+const segment = (lo, length) => {
+  const s = block(lo, length)
+  const rest = new Float64Array(length)
+  for (let i = 0; i < length; i++) {
+    rest[i] = lo + i
+    s.phi[i] = s.mu[i] = s.tau[i] = 1
+  }
+  const ps = basePrimes(isqrt(lo + length - 1))
+  for (const p of ps) {
+    if (p * p > lo + length - 1) break
+    for (let i = (p - lo % p) % p; i < length; i += p) {
+      let k = 0
+      while (rest[i] % p === 0) { rest[i] /= p; k++ }
+      s.phi[i] *= (p - 1) * p ** (k - 1)
+      s.mu[i] = k > 1 ? 0 : -s.mu[i]
+      s.omega[i]++
+      s.bigOmega[i] += k
+      s.tau[i] *= k + 1
+    }
+  }
+  // What is left past √n is one prime
+  for (let i = 0; i < length; i++) {
+    if (rest[i] === 1) continue
+    s.phi[i] *= rest[i] - 1
+    s.mu[i] = -s.mu[i]
+    s.omega[i]++
+    s.bigOmega[i]++
+    s.tau[i] *= 2
+  }
+  return s
+}
+
+// ============================================================================
+// Arithmetic functions - f(block, i), and f(p, e) to multiply over a factorization
+// ============================================================================
+
+const functions = {
+  phi: { pick: (b, i) => b.phi[i], each: (p, e) => (p - 1n) * p ** (e - 1n), sum: 'product' },
+  mu: { pick: (b, i) => b.mu[i], each: (p, e) => e > 1n ? 0 : -1, sum: 'product' },
+  omega: { pick: (b, i) => b.omega[i], each: () => 1, sum: 'add' },
+  bigOmega: { pick: (b, i) => b.bigOmega[i], each: (p, e) => Number(e), sum: 'add' },
+  liouville: { pick: (b, i) => b.bigOmega[i] % 2 ? -1 : 1, each: (p, e) => e % 2n ? -1 : 1, sum: 'product' },
+  divisorCount: { pick: (b, i) => b.tau[i], each: (p, e) => Number(e) + 1, sum: 'product' }
+}
+
+const fit = (x) => x <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(x) : x
+
+const checkInput = (op, n) => {
+  if ((typeof n === 'bigint' && n > 0n) || (Number.isInteger(n) && n > 0)) return n
+  throw new PrimaError(`${op}() takes a positive integer`, 'ARITH_INPUT', { op, n })
+}
+
+// f(n): from the table when it already covers n, otherwise from the factorization of n
+const valueOf = (name) => (n) => {
+  checkInput(name, n)
+  const { pick, each, sum } = functions[name]
+  if (typeof n === 'number' && n < table.phi.length) return pick(table, n)
+  const values = primeFactors(n, name).map(([p, e]) => each(BigInt(p), BigInt(e)))
+  if (sum === 'add') return values.reduce((a, b) => a + b, 0)
+  if (name !== 'phi') return values.reduce((a, b) => a * b, 1)
+  const result = values.reduce((a, b) => a * b, 1n)
+  return typeof n === 'bigint' ? result : fit(result)
+}
+
+const phi = valueOf('phi')
+const mu = valueOf('mu')
+const omega = valueOf('omega')
+const bigOmega = valueOf('bigOmega')
+const liouville = valueOf('liouville')
+const divisorCount = valueOf('divisorCount')
+
+// ============================================================================
+// Sequences - f(1), f(2), ...: the table while it can grow, then segments
+// ============================================================================
+
+const sequence = (name, key, value) => {
+  const { pick } = functions[key]
+  return primaSet(function* () {
+    let n = 1
+    for (; n <= CAP; n++) yield pick(n < table.phi.length ? table : tableUpTo(n), n)
+    for (let length = 1 << 12; ; n += length, length = Math.min(2 * length, 1 << 16)) {
+      const s = segment(n, length)
+      for (let i = 0; i < length; i++) yield pick(s, i)
+    }
+  }, { name, size: Infinity, at: i => value(i + 1) })
+}
+
+const phis = sequence('phis', 'phi', phi)
+const mus = sequence('mus', 'mu', mu)
+const omegas = sequence('omegas', 'omega', omega)
+const bigOmegas = sequence('bigOmegas', 'bigOmega', bigOmega)
+const liouvilles = sequence('liouvilles', 'liouville', liouville)
+const divisorCounts = sequence('divisorCounts', 'divisorCount', divisorCount)
+
+// ============================================================================
+// Summatory functions - M(x) = Σ μ(n) and Φ(x) = Σ φ(n) for n <= x
+// Sublinear: F(x) = G(x) - Σ_{d=2..x} F(x/d) over the distinct x/d, with F read from the table up to x^2/3
+// ============================================================================
+
+const checkBound = (op, x) => {
+  if (typeof x !== 'number' || Number.isNaN(x) || x < 0 || x > Number.MAX_SAFE_INTEGER) {
+    throw new PrimaError(`${op}(): x must be a number from 0 to Number.MAX_SAFE_INTEGER`, 'ARITH_INPUT', { op, x })
+  }
+  return Math.floor(x)
+}
+
+// F(x) from its prefix small[v] = F(v) (v <= L) and G(v) = Σ_{d<=v} F(v/d), in the arithmetic of `num`
+const summatory = (x, small, G, num) => {
+  const L = small.length - 1
+  if (x <= L) return num(small[x])
+  const count = Math.floor(x / (L + 1))   // i with x/i past the prefix
+  const large = new Array(count + 1)
+  for (let i = count; i >= 1; i--) {
+    const v = Math.floor(x / i)
+    let s = G(v)
+    for (let d = 2; d <= v;) {
+      const q = Math.floor(v / d), last = Math.floor(v / q)
+      s -= num(last - d + 1) * (q <= L ? num(small[q]) : large[i * d])
+      d = last + 1
+    }
+    large[i] = s
+  }
+  return large[1]
+}
+
+// Prefix sums of a table column up to x^2/3 (within CAP)
+const prefix = (x, column) => {
+  const L = Math.min(x, CAP, Math.max(1 << 10, Math.ceil(x ** (2 / 3))))
+  const values = tableUpTo(L)[column]
+  const small = new Float64Array(L + 1)
+  for (let v = 1; v <= L; v++) small[v] = small[v - 1] + values[v]
+  return small
+}
+
+// Mertens function M(x) = Σ μ(n), n <= x
+const mertens = (x) => {
+  x = checkBound('mertens', x)
+  if (x < 1) return 0
+  return summatory(x, prefix(x, 'mu'), () => 1, Number)
+}
+
+// Totient summatory Φ(x) = Σ φ(n), n <= x: a BigInt past MAX_SAFE_INTEGER (x past ~1.7e8)
+const phiSum = (x) => {
+  x = checkBound('phiSum', x)
+  if (x < 1) return 0
+  const small = prefix(x, 'phi')
+  if (x < small.length) return small[x]
+  return fit(summatory(x, small, (v) => BigInt(v) * BigInt(v + 1) / 2n, BigInt))
+}
+
+export {
+  phi, mu, omega, bigOmega, liouville, divisorCount,
+  phis, mus, omegas, bigOmegas, liouvilles, divisorCounts,
+  mertens, phiSum, linearSieve
+}
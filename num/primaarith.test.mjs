@@ -0,0 +1,74 @@
+// primaarith.test.mjs
+
+import { test } from '../test/test.mjs'
+import { phi, mu, omega, bigOmega, liouville, divisorCount, phis, mus, omegas, bigOmegas, liouvilles, divisorCounts, mertens, phiSum } from './primanum.mjs'
+import { histogram } from '../stat/primastat.mjs'
+import { factorize } from '../core/primaset.mjs'
+
+// Every function from the factorization, to compare against
+const direct = (n) => {
+  const f = Object.entries(factorize(n)).map(([p, e]) => [Number(p), e])
+  const big = f.reduce((a, [, e]) => a + e, 0)
+  return [
+    f.reduce((a, [p, e]) => a * (p - 1) * p ** (e - 1), 1),
+    f.some(([, e]) => e > 1) ? 0 : (-1) ** f.length,
+    f.length, big, big % 2 ? -1 : 1,
+    f.reduce((a, [, e]) => a * (e + 1), 1)
+  ]
+}
+const fns = [phi, mu, omega, bigOmega, liouville, divisorCount]
+
+// Single values
+test('🧪 primaarith.test.mjs - single values agree with the factorization', ({check}) => {
+  let wrong = 0
+  for (let n = 1; n < 3000; n++) direct(n).forEach((v, k) => { if (fns[k](n) !== v) wrong++ })
+  for (let n = 1e12; n < 1e12 + 100; n++) direct(n).forEach((v, k) => { if (fns[k](n) !== v) wrong++ })   // Past the table: factored
+  check(wrong, 0)
+  check([phi(36), mu(30), omega(72), bigOmega(72), liouville(12), divisorCount(36)], [12, -1, 2, 5, -1, 9])
+  check(phi(2n ** 64n + 1n) === 274176n * 67280421310720n, true)
+  check(mu(2n ** 64n + 1n), 1)
+  try {
+    phi(0)
+    check(false)
+  } catch (e) {
+    check(e.code, 'ARITH_INPUT')
+  }
+})
+
+// Sequences
+test('sequences - linear sieve, then segments', ({check}) => {
+  check(phis.take(10), [1, 1, 2, 2, 4, 2, 6, 4, 6, 4])
+  check(mus.take(10), [1, -1, -1, 0, -1, 1, -1, 0, 0, 1])
+  check(omegas.take(6), [0, 1, 1, 1, 1, 2])
+  check(bigOmegas.take(8), [0, 1, 1, 2, 1, 2, 1, 3])
+  check(liouvilles.take(6), [1, -1, -1, 1, -1, 1])
+  check(divisorCounts.take(12), [1, 2, 2, 3, 2, 4, 2, 4, 3, 4, 2, 6])
+  check(mus.take(1e6).filter(m => m === 0).count(), 392074)   // 10^6 minus the squarefree n
+  check([phis.get(35), divisorCounts[1e7 - 1]], [12, 64])        // Random access by factoring
+  // Across the end of the table (2^21), where segments take over
+  let n = 0, wrong = 0
+  for (const v of phis) {
+    if (++n > 2 ** 21 - 100 && v !== direct(n)[0]) wrong++
+    if (n === 2 ** 21 + 3000) break
+  }
+  check(wrong, 0)
+})
+
+test('sequences - distributions through stat', ({check}) => {
+  const counts = histogram(omegas.take(1000), 4).map(b => b.count)
+  check(counts, [1, 193, 508, 298])                    // ω = 0 (n = 1), 1 (prime powers), 2, and 3 or 4
+})
+
+// Summatory functions
+test('mertens and phiSum', ({check}) => {
+  let M = 0, P = 0, wrong = 0
+  for (let n = 1; n <= 30000; n++) {
+    M += mu(n)
+    P += phi(n)
+    if (n % 997 === 0 && (mertens(n) !== M || phiSum(n) !== P)) wrong++
+  }
+  check(wrong, 0)
+  check([mertens(0), mertens(1), mertens(10), mertens(1e6), mertens(1e9)], [0, 1, -1, 212, -222])
+  check(phiSum(1e6), 303963552392)
+  check(phiSum(1e9) === 303963551173008414n, true)   // A BigInt past MAX_SAFE_INTEGER
+})
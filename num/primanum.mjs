@@ -4,7 +4,9 @@
  *  Plugin <-> FreeFunction symmetry through composition
  */
 
-import { primaSet, operations, point, space, complex, quaternion, octonion } from "../core/primaset.mjs"
+import { primaSet, operations, point, space, complex, quaternion, octonion, crt } from "../core/primaset.mjs"
+import { sieve, primesBetween, primePi } from "./primasieve.mjs"
+import { phi, mu, omega, bigOmega, liouville, divisorCount, phis, mus, omegas, bigOmegas, liouvilles, divisorCounts, mertens, phiSum } from "./primaarith.mjs"
 
 // Remove validate helper - use type system instead
 // No more validate functions - rely on primaSet(typecheck)
@@ -13,25 +15,42 @@ import { primaSet, operations, point, space, complex, quaternion, octonion } fro
 // LAYER 0: FOUNDATION WITH HYBRID STRUCTURE
 // ============================================================================
 
+// Integer count of first, first+step, ... <= last (Infinity when unbounded)
+const stepCount = (first, last, step = 1) =>
+  last === Infinity ? Infinity : Math.max(0, Math.floor((last - first) / step) + 1)
+
+// Closed form of first, first+step, ... <= last: size, at(i) and its inverse
+const progression = (first, last, step = 1) => ({
+  size: stepCount(first, last, step),
+  at: i => first + i * step,
+  indexOf: v => {
+    const i = (v - first) / step
+    return typeof v === 'number' && Number.isInteger(i) && i >= 0 && v <= last ? i : -1
+  }
+})
+
 const N = (last = Infinity) => primaSet(function* () { 
   let n = 1
   while (n <= last) yield n++
-})
+}, { name: 'N', ...progression(1, last), ordered: true })
 
 const Z = (first = 0, last = Infinity) => primaSet(function* () { 
   let n = first
   while (n <= last) yield n++
-})
+}, { name: 'Z', ...progression(first, last), ordered: true })
 
 const R = (start = 0, end = 1, digits = 2) => {
   const step = 10 ** -digits
+  // Closed form start + i·step: no float drift, O(1) index access
+  const size = Math.max(0, Math.floor((end - start) / step + 1e-9) + 1)
+  const at = i => +(start + i * step).toFixed(digits)
+  const indexOf = v => {
+    const i = Math.round((v - start) / step)
+    return i >= 0 && i < size && at(i) === v ? i : -1
+  }
   return primaSet(function* () {
-    let x = start
-    while (x <= end + 1e-12) { 
-      yield +x.toFixed(digits)
-      x += step
-    }
-  })
+    for (let i = 0; i < size; i++) yield at(i)
+  }, { name: 'R', size, at, indexOf, ordered: true })
 }
 
 // =======================================================================
@@ -57,17 +76,17 @@ primaSet.plugin(Array, {
 const evens = (last = Infinity) => primaSet(function* () {
   let n = 2
   while (n <= last) { yield n; n += 2 }
-})
+}, { name: 'evens', ...progression(2, last, 2), ordered: true })
 
 const odds = (last = Infinity) => primaSet(function* () {
   let n = 1
   while (n <= last) { yield n; n += 2 }
-})
+}, { name: 'odds', ...progression(1, last, 2), ordered: true })
 
 const multiplesOf = (k) => (last = Infinity) => primaSet(function* () {
   let n = k
   while (n <= last) { yield n; n += k }
-})
+}, { name: `multiplesOf(${k})`, ...progression(k, last, k), ordered: k > 0 })
 
 // ============================================================================
 // LAYER 2: PRIME CONSTELLATIONS (defined after primes)
@@ -151,22 +170,8 @@ address.toNumber = (addr, k) => {
       P.push(p)
     }
   }
-  // Chinese Remainder Theorem reconstruction
-  let result = 0
-  const M = P.reduce((a, b) => a * b, 1)
-  for (let i = 0; i < P.length; i++) {
-    const mi = Math.floor(M / P[i])
-    // Find modular inverse: miInv such that (mi * miInv) % P[i] === 1
-    let miInv = 1
-    for (let x = 1; x < P[i]; x++) {
-      if ((mi * x) % P[i] === 1) {
-        miInv = x
-        break
-      }
-    }
-    result += addr[i] * mi * miInv
-  }
-  return result % M
+  // Chinese Remainder Theorem reconstruction: exact, a BigInt past MAX_SAFE_INTEGER
+  return crt(addr, P)
 }
 
 // ============================================================================
@@ -216,69 +221,35 @@ const twinComplex = (count = 50) => {
 // Cache for prime lists (memoized using primaSet pattern)
 const primeListCache = new Map()
 
-// Get primes up to limit (cached, using collection handling)
+// Get primes up to limit (cached, from the segmented sieve)
 const getPrimesUpTo = (limit) => {
   if (primeListCache.has(limit)) return primeListCache.get(limit)
-  const P = [...primes.filter(p => p <= limit)]
+  const P = [...sieve(2, limit)]
   primeListCache.set(limit, P)
   return P
 }
 
 // Count primes up to limit (cached)
-const countPrimesUpTo = (limit) => {
-  const P = getPrimesUpTo(limit)
-  return P.length
-}
+const countPrimesUpTo = (limit) => getPrimesUpTo(limit).length
 
-// Geometric sieve using CRT address with PrimaSet lazy evaluation
+// Primes of [start, end] - the segmented sieve crosses off multiples instead of dividing each candidate
+// options.k sieves with the first k primes only: fewer than π(√end) leaves composites in (a wheel over the range)
 const geometricSieve = (start = 1, end = 1000, options = {}) => {
-  const { k: customK } = options
   const sqrtEnd = Math.floor(Math.sqrt(end))
-  const k = customK || countPrimesUpTo(sqrtEnd)
-  const primeList = getPrimesUpTo(sqrtEnd)
-  
-  // Lazy candidate generation
-  const candidates = N(end).skip(start - 1)
-  
-  // Lazy address computation and filtering pipeline
+  const { k = countPrimesUpTo(sqrtEnd) } = options
+  if (k >= countPrimesUpTo(sqrtEnd)) return primesBetween(start, end)
+  const primeList = getPrimesUpTo(sqrtEnd).slice(0, k)
   return primaSet(function* () {
-    for (const n of candidates) {
-      if (n < 2) continue  // Skip 0 and 1
-      if (n === 2) {
-        yield n  // 2 is prime
-        continue
-      }
-      if (n % 2 === 0) continue  // Skip even numbers
-      
-      // For very small numbers, use Set lookup instead of if chain
-      const smallPrimes = new Set([3, 5, 7])
-      if (n < 10 && smallPrimes.has(n)) {
-        yield n
-        continue
-      }
-      
-      // Compute address with EARLY TERMINATION (critical optimization!)
-      // Check remainders one at a time, stop at first zero
-      const sqrtN = Math.floor(Math.sqrt(n))
-      let isPrime = true
-      
-      for (const p of primeList) {
-        if (p > sqrtN) break  // Only check up to sqrt(n)
-        if (n % p === 0) {
-          isPrime = false
-          break  // Early termination: found a divisor!
-        }
-      }
-      
-      if (isPrime) {
-        yield n  // Residual space = prime candidate
-      }
+    for (let n = Math.max(2, Math.ceil(start)); n <= end; n++) {
+      if (primeList.every(p => n === p || n % p !== 0)) yield n
     }
-  })
+  }, { finite: true, ordered: true })
 }
 
 // Optimized isPrime using geometric sieve with early termination
 const isPrimeGeometric = (n) => {
+  // Past 2^32 the prime list gets too long: Miller-Rabin / Baillie-PSW instead
+  if (typeof n === 'bigint' || n >= 4294967296) return operations.isPrime(n)
   // Use object mapping instead of if chain
   const smallPrimes = new Set([2, 3, 5, 7])
   if (n < 2) return false
@@ -471,18 +442,11 @@ const twinAdmissibility = (k, limit = 1000) => {
 // LAYER 10: PRIMES AND CONSTELLATIONS (must be defined before exports)
 // ============================================================================
 
-// Legacy compatibility exports - create primes generator if needed
-const createPrimes = () => {
-  const { isPrime } = operations
-  return primaSet(function* () {
-    yield 2; yield 3
-    let n = 5
-    while (true) {
-      if (isPrime(n)) yield n
-      n += 2
-    }
-  })
-}
+// Primes greater than p - lets memo files resume from their stored tail
+const primesAfter = (p) => sieve(Math.floor(p) + 1)
+
+// Infinite, lazy, ordered: backed by the segmented sieve (see primasieve.mjs)
+const createPrimes = () => primaSet(function* () { yield* sieve(2) }, { name: 'primes', size: Infinity, ordered: true, resume: primesAfter })  // Euclid
 const primes = createPrimes()
 
 // Attach primes to primaSet for global access
@@ -494,39 +458,51 @@ primes.primorial = (n) => {
   let count = 0
   for (const p of primes) {
     if (count++ >= n) break
-    result *= p
+    result = operations.mul(result, p)  // Exact: a BigInt past MAX_SAFE_INTEGER
   }
   return result
 }
 
 // Define prime constellations after primes is available
-const twins = primaSet(function* () {
-  let prev = 2
-  for (const p of primes) {
+const twinsAfter = function* (prev, ps) {
+  for (const p of ps) {
     if (p - prev === 2) yield [prev, p]
     prev = p
   }
+}
+const twins = primaSet(function* () { yield* twinsAfter(2, primes) }, {
+  name: 'twins',
+  resume: ([, p]) => twinsAfter(p, primesAfter(p))
 })
 primaSet.twins = twins
 
-const cousins = primaSet(function* () {
-  for (const p of primes) {
-    if (operations.isPrime(p + 4)) yield [p, p + 4]
+// Pairs (p, p + k) of primes among ps
+const pairsAt = (k) => function* (ps) {
+  for (const p of ps) {
+    if (operations.isPrime(p + k)) yield [p, p + k]
   }
+}
+
+const cousins = primaSet(function* () { yield* pairsAt(4)(primes) }, {
+  name: 'cousins',
+  resume: ([p]) => pairsAt(4)(primesAfter(p))
 })
 
-const sexy = primaSet(function* () {
-  for (const p of primes) {
-    if (operations.isPrime(p + 6)) yield [p, p + 6]
-  }
+const sexy = primaSet(function* () { yield* pairsAt(6)(primes) }, {
+  name: 'sexy',
+  resume: ([p]) => pairsAt(6)(primesAfter(p))
 })
 
-const primeGaps = primaSet(function* () {
-  let prev = 2
-  for (const p of primes) {
+const gapsAfter = function* (prev, ps) {
+  for (const p of ps) {
     if (prev > 2) yield { gap: p - prev, after: prev }
     prev = p
   }
+}
+const primeGaps = primaSet(function* () { yield* gapsAfter(2, primes) }, {
+  name: 'primeGaps',
+  size: Infinity,
+  resume: ({ gap, after }) => gapsAfter(after + gap, primesAfter(after + gap))
 })
 
 // Export all public functions individually
@@ -541,5 +517,9 @@ export {
   goldbachPairs, goldbachVectors, goldbachTable,
   primalPosition, primalDistance, twinDistances,
   dimensionStats, twinAdmissibility,
+  primesBetween, primePi,
+  phi, mu, omega, bigOmega, liouville, divisorCount,
+  phis, mus, omegas, bigOmegas, liouvilles, divisorCounts,
+  mertens, phiSum,
   primes
 }
\ No newline at end of file
@@ -4,6 +4,7 @@
  *  Run:  node this-file.js
 */
 
+import { tmpdir } from "node:os"
 import { test } from "../test/test.mjs"
 import { primaSet, pipe } from "../core/primaset.mjs"
 import { N, Z, R, primes, address } from "./primanum.mjs"
@@ -26,11 +27,75 @@ test('N — chaining', ({check}) => {
   check(N().take(4).reduce((a, b) => a + b, 0), 10)
 })
 
+test('N — cardinality: bounded length, infinite fails fast', ({check}) => {
+  check(N(10).length, 10)
+  check(N().cardinality(), 'infinite')
+  check(N().skip(5).length, Infinity)
+  let error = null
+  try { N().count() } catch (e) { error = e }
+  check(error?.name, 'MaterializationError')
+})
+
 // ------ Z Integers ---------
 test('Z(-2,2) — symmetric range', ({check}) => {
   check(Z(-2, 2), [-2, -1, 0, 1, 2])
   check(Z(-2, 2).count(), 5)
 })
+test('Z/primes — declared cardinality', ({check}) => {
+  check(Z(-2, 2).length, 5)
+  check(Z(3, 1).length, 0)
+  check(primes.cardinality(), 'infinite')
+  let error = null
+  try { primes.sort() } catch (e) { error = e }
+  check(error?.context.op, 'sort')
+})
+test('ordered sources — set algebra by sorted merge', ({check}) => {
+  check(evens().intersect(multiplesOf(3)()).take(3), [6, 12, 18])
+  check(primes.difference(odds()).take(1), [2])
+  check(evens(10).isSubsetOf(N()), true)
+  check(odds().union(evens()).take(5), [1, 2, 3, 4, 5])
+  check(primes.isDisjoint(multiplesOf(4)(100)), true)
+  check(primes.isDisjoint(evens(100)), false)
+})
+test('ordered sources — membership stops past the target', ({check}) => {
+  check(primes.includes(97), true)
+  check(primes.includes(91), false)
+  check(primes.indexOf(97), 24)
+  check(N().includes(1000), true)
+  check(primes.between(90, 110), [97, 101, 103, 107, 109])
+  check(primes.takeWhile(p => p < 20), [2, 3, 5, 7, 11, 13, 17, 19])
+})
+test('closed forms — O(1) index access', ({check}) => {
+  check(N()[1e9], 1e9 + 1)
+  check(evens()[1e8], 2e8 + 2)
+  check(odds()[10], 21)
+  check(multiplesOf(7)()[99], 700)
+  check(Z(-5)[5], 0)
+  check(N(10)[10] === undefined, true)
+  check(N().map(n => n * n)[999], 1e6)
+  check(N().indexOf(1e12), 1e12 - 1)
+  check(evens(100).indexOf(7), -1)
+  check(R(0, 1)[37], 0.37)
+  check(R(0, 1).length, 101)
+  check(R(0, 1).indexOf(0.5), 50)
+  check(N().skip(1e9).take(2), [1e9 + 1, 1e9 + 2])
+})
+test('file memo — primes and twins resume from the stored tail', ({check}) => {
+  const dir = tmpdir()
+  for (const [name, set, n] of [['primes', primes, 1000], ['twins', primaSet.twins, 100]]) {
+    const path = `${dir}/primanum-${process.pid}-${name}.pset`
+    const first = primaSet(set, { memo: { store: 'file', path } })
+    const expected = first[n + 10]
+    first.clearCache()
+    const partial = primaSet(set, { memo: { store: 'file', path } })
+    partial[n - 1]
+    partial.snapshot()
+    const reloaded = primaSet(set, { memo: { store: 'file', path } })
+    check(reloaded.stats().materialized, n)
+    check(reloaded[n + 10], expected)
+    reloaded.clearCache()
+  }
+})
 test('Z(5,10) — positive range', ({check}) => {
   check(Z(5, 10), [5, 6, 7, 8, 9, 10])
   check(Z(5, 10).count(), 6)
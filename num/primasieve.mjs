@@ -0,0 +1,146 @@
+/**
+ * PrimaSieve - Segmented Sieve of Eratosthenes
+ * Odd numbers only, pre-sieved with a 3·5·7·11·13 wheel; base primes grow with the range
+ * Backs primes, primesBetween(a, b) and the prime lists of the geometric sieve; primePi(x) counts without listing
+ */
+
+import { primaSet } from '../core/primaset.mjs'
+import { PrimaError } from '../core/errors.mjs'
+
+// ============================================================================
+// Wheel - Multiples of the first odd primes, copied in instead of crossed off
+// ============================================================================
+
+const wheel = [3, 5, 7, 11, 13]
+const period = 15015   // 3·5·7·11·13 odd numbers: the pattern repeats after 2·15015
+
+// pattern[i] = 1 when 2i + 1 is a multiple of a wheel prime
+const pattern = new Uint8Array(period)
+for (const q of wheel) for (let i = (q - 1) / 2; i < period; i += q) pattern[i] = 1
+
+// ============================================================================
+// Base primes - Plain sieve up to √(end of range), grown by doubling
+// ============================================================================
+
+let base = Int32Array.of(2, 3, 5, 7, 11, 13), baseLimit = 13
+
+const basePrimes = (limit) => {
+  if (limit <= baseLimit) return base
+  baseLimit = Math.max(limit, 2 * baseLimit)
+  const composite = new Uint8Array(Math.floor(baseLimit / 2) + 1)   // Odd numbers: i stands for 2i + 1
+  const found = [2]
+  for (let i = 1; 2 * i + 1 <= baseLimit; i++) {
+    if (composite[i]) continue
+    const p = 2 * i + 1
+    found.push(p)
+    for (let j = (p * p - 1) / 2; j < composite.length; j += p) composite[j] = 1
+  }
+  base = Int32Array.from(found)
+  return base
+}
+
+const isqrt = (n) => {
+  let r = Math.floor(Math.sqrt(n))
+  while (r * r > n) r--
+  while ((r + 1) * (r + 1) <= n) r++
+  return r
+}
+
+// ============================================================================
+// Segments - odd numbers lo, lo + 2, ... (lo odd); composite[i] = 1 unless lo + 2i is prime
+// ============================================================================
+
+const segment = (lo, length) => {
+  const composite = new Uint8Array(length)
+  for (let i = 0, offset = ((lo - 1) / 2) % period; i < length; offset = 0) {
+    const n = Math.min(period - offset, length - i)
+    composite.set(pattern.subarray(offset, offset + n), i)
+    i += n
+  }
+  const last = lo + 2 * (length - 1)
+  for (const q of wheel) if (q >= lo && q <= last) composite[(q - lo) / 2] = 0
+  if (lo === 1) composite[0] = 1
+  const ps = basePrimes(isqrt(last))
+  // Primes past the wheel: first odd multiple in the segment, at least p², then every other multiple
+  for (let k = wheel.length + 1; k < ps.length; k++) {
+    const p = ps[k]
+    if (p * p > last) break
+    let start = Math.max(p * p, Math.ceil(lo / p) * p)
+    if (start % 2 === 0) start += p
+    for (let i = (start - lo) / 2; i < length; i += p) composite[i] = 1
+  }
+  return composite
+}
+
+// Segments start small, so primes.take(5) stays cheap, and double up to this many odd numbers
+const minSegment = 1 << 10
+const maxSegment = 1 << 17
+
+// Primes of a segment: lo + 2i where composite[i] is 0
+const survivors = (lo, composite, n) => {
+  const found = []
+  for (let i = 0; i < n; i++) if (!composite[i]) found.push(lo + 2 * i)
+  return found
+}
+
+// Primes of [from, to], in ascending order, one segment at a time
+// The scan stays out of the generator: a small generator is optimized early and cheaply
+const sieve = function* (from = 2, to = Infinity) {
+  if (from <= 2 && to >= 2) yield 2
+  let lo = Math.max(3, Math.ceil(from))
+  if (lo % 2 === 0) lo++
+  for (let length = minSegment; lo <= to; length = Math.min(2 * length, maxSegment)) {
+    if (lo > Number.MAX_SAFE_INTEGER) {
+      throw new PrimaError('The sieve stops at Number.MAX_SAFE_INTEGER', 'SIEVE_RANGE', { from: lo, max: Number.MAX_SAFE_INTEGER })
+    }
+    const n = Math.min(length, Math.floor((Math.min(to, Number.MAX_SAFE_INTEGER) - lo) / 2) + 1)
+    yield* survivors(lo, segment(lo, n), n)
+    lo += 2 * n
+  }
+}
+
+const checkRange = (op, values) => {
+  for (const [name, value] of Object.entries(values)) {
+    if (typeof value !== 'number' || Number.isNaN(value) || value > Number.MAX_SAFE_INTEGER && value !== Infinity) {
+      throw new PrimaError(`${op}(): ${name} must be a number up to Number.MAX_SAFE_INTEGER`, 'SIEVE_RANGE', { op, [name]: value })
+    }
+  }
+}
+
+// ============================================================================
+// primesBetween / primePi
+// ============================================================================
+
+// Primes p with a <= p <= b, lazily: any window, e.g. primesBetween(1e12, 1e12 + 1e6)
+const primesBetween = (a, b) => {
+  checkRange('primesBetween', { a, b })
+  return primaSet(function* () { yield* sieve(a, b) }, { name: 'primesBetween', ordered: true, ...(b === Infinity ? { size: Infinity } : { finite: true }) })
+}
+
+// Number of primes <= x - Lucy Hedgehog's method, O(x^3/4) time and O(√x) memory (π(1e12) in seconds)
+// small[v] = π(v) and large[i] = π(x / i) while the primes up to √x are sieved out one by one
+const primePi = (x) => {
+  checkRange('primePi', { x })
+  if (x === Infinity) throw new PrimaError('primePi(): x must be finite', 'SIEVE_RANGE', { op: 'primePi', x })
+  x = Math.floor(x)
+  if (x < 2) return 0
+  const r = isqrt(x)
+  const small = new Float64Array(r + 1), large = new Float64Array(r + 1)
+  for (let v = 1; v <= r; v++) {
+    small[v] = v - 1
+    large[v] = Math.floor(x / v) - 1
+  }
+  for (let p = 2; p <= r; p++) {
+    if (small[p] === small[p - 1]) continue   // p is composite
+    const before = small[p - 1], p2 = p * p
+    const end = Math.min(r, Math.floor(x / p2))
+    for (let i = 1; i <= end; i++) {
+      const d = i * p
+      large[i] -= (d <= r ? large[d] : small[Math.floor(x / d)]) - before
+    }
+    for (let v = r; v >= p2; v--) small[v] -= small[Math.floor(v / p)] - before
+  }
+  return large[1]
+}
+
+export { sieve, primesBetween, primePi, basePrimes }
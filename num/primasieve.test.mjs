@@ -0,0 +1,56 @@
+// primasieve.test.mjs
+
+import { test } from '../test/test.mjs'
+import { primes, primesBetween, primePi, geometricSieve } from './primanum.mjs'
+import { sieve } from './primasieve.mjs'
+
+const trial = (n) => {
+  if (n < 2) return false
+  for (let d = 2; d * d <= n; d++) if (n % d === 0) return false
+  return true
+}
+
+// Sieve
+test('🧪 primasieve.test.mjs - segments agree with trial division', ({check}) => {
+  const found = new Set(sieve(0, 50000))
+  let wrong = 0
+  for (let n = 0; n <= 50000; n++) if (trial(n) !== found.has(n)) wrong++
+  check(wrong, 0)
+  check([...sieve(13, 31)], [13, 17, 19, 23, 29, 31])   // Wheel primes themselves are kept
+})
+
+test('primes - lazy, infinite and ordered, backed by the sieve', ({check}) => {
+  check(primes.take(10), [2, 3, 5, 7, 11, 13, 17, 19, 23, 29])
+  check(primes.filter(p => p % 10 === 3).take(4), [3, 13, 23, 43])
+  check(primes.get(9999), 104729)                       // The 10000th prime
+  check(primes.cardinality(), 'infinite')
+  check(primes.isOrdered(), true)
+  check(primes.between(90, 110), [97, 101, 103, 107, 109])
+})
+
+// Windows
+test('primesBetween - any window, inclusive', ({check}) => {
+  check(primesBetween(10, 30), [11, 13, 17, 19, 23, 29])
+  check(primesBetween(-5, 7), [2, 3, 5, 7])
+  check(primesBetween(24, 28).count(), 0)
+  check(primesBetween(1e12, 1e12 + 100), [1000000000039, 1000000000061, 1000000000063, 1000000000091])
+  check(primesBetween(1e12, 1e12 + 1e5).count(), 3614)
+  check(primesBetween(100, Infinity).take(2), [101, 103])
+  check(geometricSieve(100, 130), [101, 103, 107, 109, 113, 127])
+  check(geometricSieve(1, 50, { k: 2 }), [2, 3, 5, 7, 11, 13, 17, 19, 23, 25, 29, 31, 35, 37, 41, 43, 47, 49])
+  try {
+    primesBetween(0, 2 ** 60)
+    check(false)
+  } catch (e) {
+    check(e.code, 'SIEVE_RANGE')
+  }
+})
+
+// Counting
+test('primePi - counts without listing', ({check}) => {
+  check([0, 1, 2, 3, 10, 100].map(primePi), [0, 0, 1, 2, 4, 25])
+  check(primePi(30.5), 10)
+  check(primePi(1e6), 78498)
+  check(primePi(1e9), 50847534)
+  check(primePi(1e5), primesBetween(2, 1e5).count())
+})
@@ -9,23 +9,233 @@ export type PrimaSet<T = any> = Iterable<T> & {
   take(n: number, options?: { materialize?: boolean }): PrimaSet<T>
   reduce<U>(f: (acc: U, x: T) => U, init: U): U
   on(f: (x: T) => void): PrimaSet<T>  // Transformer: side effect + yield
-  sum(): number
+  sum(): number | bigint
   count(): number
   toArray(): T[]
+  toTypedArray(dtype?: DType): TypedStorage
+  isTyped(): boolean
+  mean(): number
+  min(): T
+  max(): T
   get(index: number): T | undefined
+  toAsync(): AsyncPrimaSet<T>
+  parallel(opts?: ParallelOptions): ParallelSet<T>
+  cardinality(): 'finite' | 'infinite' | 'unknown'
+  stats(): MemoStats | null
+  memoEvents(type?: 'window' | 'evict'): ReactiveSet<any> | null
+  clearCache(): PrimaSet<T>
+  snapshot(): PrimaSet<T>
+  readonly length: number | undefined
+  guard(opts: Pick<PrimaSetOptions, 'signal' | 'maxItems' | 'maxMs'>): PrimaSet<T>
+  isOrdered(): boolean
+  includes(x: T, from?: number): boolean
+  indexOf(x: T, from?: number): number
+  between(lo: T, hi: T): PrimaSet<T>
+  slice(start?: number, end?: number): PrimaSet<T>
+  topK(k: number, by?: (x: T) => any): PrimaSet<T>
+  bottomK(k: number, by?: (x: T) => any): PrimaSet<T>
+  kthSmallest(k: number, by?: (x: T) => any): T | undefined
+  partialSort(n: number, by?: (x: T) => any): PrimaSet<T>
+  sortedStream(by?: (x: T) => any): PrimaSet<T>
+  runningMedian(): PrimaSet<number>
+  sample(n: number, opts?: RandomOptions & { weights?: ((x: T, i: number) => number) | ArrayLike<number> }): PrimaSet<T>
+  shuffle(opts?: RandomOptions): PrimaSet<T>
+  reservoir(n: number, opts?: RandomOptions): PrimaSet<readonly T[]>
+  multiReduce<S extends Record<string, ReducerSpec<T>> | BuiltinReducer[]>(spec: S): Record<string, any>
+  tee(n?: number, opts?: { maxBuffer?: number }): PrimaSet<T>[]
+  fork(opts?: { maxBuffer?: number }): [PrimaSet<T>, PrimaSet<T>]
+  explain(opts?: { format?: 'tree' }): StageNode
+  explain(opts: { format: 'text' }): string
+  profile(opts?: { limit?: number, format?: 'tree' }): StageNode
+  profile(opts: { limit?: number, format: 'text' }): string
+  unique(key?: KeyFn<T>): PrimaSet<T>
+  union(other: any, by?: KeyBy<T>): PrimaSet<T>
+  intersect(other: any, by?: KeyBy<T>): PrimaSet<T>
+  difference(other: any, by?: KeyBy<T>): PrimaSet<T>
+  symDiff(other: any, by?: KeyBy<T>): PrimaSet<T>
+  isSubsetOf(other: any, by?: KeyBy<T>): boolean
+  isDisjoint(other: any, by?: KeyBy<T>): boolean
   [index: number]: T
 }
 
+// multiReduce reducers: a built-in by name, [fold, init], a seeded fold, or { init, step, done }
+export type BuiltinReducer = 'count' | 'sum' | 'product' | 'min' | 'max' | 'mean' | 'variance' | 'stddev' | 'first' | 'last'
+export type ReducerSpec<T = any> =
+  | BuiltinReducer | true | Function
+  | [(acc: any, x: T) => any, any]
+  | { init?: any, step: (acc: any, x: T, i: number) => any, done?: (acc: any) => any }
+
+// explain() / profile() stage tree; profile() adds items and timings
+export interface StageNode {
+  op: string
+  source?: true
+  args: string[]
+  cardinality: 'finite' | 'infinite' | 'unknown'
+  size?: number
+  ordered: boolean
+  memo: boolean
+  items?: number
+  ms?: number
+  selfMs?: number
+  from: StageNode[]
+}
+
+// Typed numeric storage
+export type DType = 'f64' | 'i32' | 'u32' | 'i64'
+export type TypedStorage = Float64Array | Int32Array | Uint32Array | BigInt64Array
+
+// Memo stores - eviction policies and accounting
+export interface MemoOptions {
+  size?: number
+  evict?: 'lru' | 'window' | 'checkpoint'
+  every?: number
+  resume?: (value: any, index: number) => Iterable<any>
+  store?: 'file'
+  path?: string
+  flush?: number
+}
+
+export interface MemoStats {
+  policy: 'lru' | 'window' | 'checkpoint'
+  size: number
+  hits: number
+  misses: number
+  recomputed: number
+  evicted: number
+  dtype: DType | null
+  materialized: number
+  stored: number
+  bytes: number
+}
+
+// Set algebra keys - default compares primitives by value, points by coordinates
+export type KeyFn<T = any> = (x: T) => any
+export type KeyBy<T = any> = KeyFn<T> | { key: KeyFn<T> }
+
+// Async variant - lazy pipelines, Promise-returning terminals
+export type AsyncPrimaSet<T = any> = AsyncIterable<T> & {
+  map<U>(f: (x: T) => U | Promise<U>): AsyncPrimaSet<U>
+  filter(p: (x: T) => boolean | Promise<boolean>): AsyncPrimaSet<T>
+  take(n: number): AsyncPrimaSet<T>
+  takeWhile(p: (x: T) => boolean | Promise<boolean>): AsyncPrimaSet<T>
+  skip(n: number): AsyncPrimaSet<T>
+  chunk(size: number): AsyncPrimaSet<T[]>
+  window(size: number): AsyncPrimaSet<T[]>
+  zip<U>(other: Iterable<U> | AsyncIterable<U>): AsyncPrimaSet<[T, U]>
+  on(f: (x: T) => void | Promise<void>): AsyncPrimaSet<T>
+  reduce<U>(f: (acc: U, x: T) => U | Promise<U>, init: U): Promise<U>
+  toArray(): Promise<T[]>
+  collect(): Promise<PrimaSet<T>>
+  forEach(fn: (x: T) => void | Promise<void>): Promise<void>
+  first(): Promise<T | undefined>
+  count(): Promise<number>
+  sum(): Promise<number>
+  [op: string]: any
+}
+
+// Worker-thread stages: self-contained functions or module references
+export interface ParallelOptions {
+  workers?: number
+  chunk?: number
+  ordered?: boolean
+}
+export type WorkerFn<A extends any[] = any[], R = any> = ((...args: A) => R) | { module: string | URL, name?: string }
+export interface ParallelSet<T = any> extends AsyncIterable<T> {
+  map<U = any>(fn: WorkerFn<[T], U>): ParallelSet<U>
+  filter(fn: WorkerFn<[T], boolean>): ParallelSet<T>
+  reduce<U>(fn: WorkerFn<[U, T], U>, init: U, combine?: (a: U, b: U) => U): Promise<U>
+  toArray(): Promise<T[]>
+  count(): Promise<number>
+  chunks(): AsyncIterable<T[]>
+  toAsync(): AsyncPrimaSet<T>
+}
+
+export interface Channel<T = any> {
+  push(value: T): Promise<boolean>
+  end(): void
+  error(err: any): void
+  set: AsyncPrimaSet<T>
+  readonly size: number
+}
+
+export declare function asyncSet<T>(src: any, opts?: object): AsyncPrimaSet<T>
+export declare function channel<T>(highWaterMark?: number): Channel<T>
+
 // primaSet factory - returns PrimaSet proxy
-export declare function primaSet<T>(src: T | T[] | Iterable<T> | null | undefined, opts?: { memo?: boolean; cache?: boolean; cacheSize?: number; windowSize?: number; onWindow?: (data: any) => void }): PrimaSet<T>
+export interface PrimaSetOptions {
+  memo?: boolean | number | MemoOptions
+  cache?: boolean | number
+  cacheSize?: number
+  windowSize?: number
+  onWindow?: (data: any) => void
+  signal?: AbortSignal
+  maxItems?: number
+  maxMs?: number
+  size?: number
+  finite?: boolean
+  ordered?: boolean | ((a: any, b: any) => number)
+  resume?: (value: any, index: number) => Iterable<any>
+  at?: (i: number) => any
+  indexOf?: (v: any) => number
+  dtype?: DType
+  name?: string
+}
+
+export declare function primaSet<T>(src: T | T[] | Iterable<T> | null | undefined, opts?: PrimaSetOptions): PrimaSet<T>
+
+// Plugin descriptors
+export type PluginKind = 'op' | 'method' | 'generator' | 'terminal'
+
+export interface PluginOptions {
+  kind?: PluginKind
+  namespace?: string
+  override?: boolean | ((previous: Function | undefined) => Function)
+  receiver?: 'this' | 'arg'
+  pure?: boolean
+  types?: string[]
+}
+
+export interface PluginDescriptor extends PluginOptions {
+  name: string
+  kind: PluginKind
+  fn?: Function
+  arity?: number
+  variadic?: boolean
+}
+
+export interface PluginInfo {
+  key: string
+  name: string
+  kind: PluginKind
+  arity: number
+  variadic: boolean
+  receiver: 'this' | 'arg'
+  pure: boolean
+  types: string[] | null
+  namespace: string | null
+  inferred: boolean
+  shadows: number
+}
 
 // primaSet constructor (same as factory)
 export declare const primaSet: {
   (src: any, opts?: any): PrimaSet<any>
   ops: Record<string, Function>
-  plugin(functions: Record<string, Function> | Function): typeof primaSet
+  memory(opts?: { maxBytes?: number }): { maxBytes: number, bytes: number, sets: number }
+  pure<F extends Function>(fn: F, opts?: { invariant?: boolean }): F & { pure: true, invariant?: true }
+  plugin(functions: Record<string, Function> | Function | PluginDescriptor | PluginDescriptor[], options?: PluginOptions): typeof primaSet
+  register(descriptor: PluginDescriptor | PluginDescriptor[]): typeof primaSet
+  unregister(name: string): boolean
+  describe(name: string): PluginInfo | null
+  describe(): PluginInfo[]
+  create(opts?: { plugins?: Record<string, Function> | PluginDescriptor | Array<Record<string, Function> | PluginDescriptor> }): typeof primaSet
   listOps(): string[]
-  pipe(...fns: Array<(x: any) => any>): (x: any) => any
+  pipe: typeof pipe
+  compose: typeof compose
+  step: typeof step
+  async<T>(src: any, opts?: object): AsyncPrimaSet<T>
+  channel<T>(highWaterMark?: number): Channel<T>
+  random: typeof random
 }
 
 // Number sequences
@@ -35,13 +245,51 @@ export declare function R(start?: number, end?: number, digits?: number): PrimaS
 
 // Primes
 export declare const primes: PrimaSet<number>
-export declare function isPrime(n: number): boolean
-export declare function firstDivisor(n: number): number
+export declare function primesBetween(a: number, b: number): PrimaSet<number>
+export declare function primePi(x: number): number
+export declare function geometricSieve(start?: number, end?: number, options?: { k?: number }): PrimaSet<number>
+
+// Arithmetic functions
+export declare function phi<T extends number | bigint>(n: T): T extends bigint ? bigint : number | bigint
+export declare function mu(n: number | bigint): -1 | 0 | 1
+export declare function omega(n: number | bigint): number
+export declare function bigOmega(n: number | bigint): number
+export declare function liouville(n: number | bigint): -1 | 1
+export declare function divisorCount(n: number | bigint): number
+export declare const phis: PrimaSet<number>
+export declare const mus: PrimaSet<number>
+export declare const omegas: PrimaSet<number>
+export declare const bigOmegas: PrimaSet<number>
+export declare const liouvilles: PrimaSet<number>
+export declare const divisorCounts: PrimaSet<number>
+export declare function mertens(x: number): number
+export declare function phiSum(x: number): number | bigint
+export declare function isPrime(n: number | bigint): boolean
+export declare function isProbablePrime(n: number | bigint, opts?: RandomOptions & { rounds?: number }): boolean
+export declare function nextPrime<T extends number | bigint>(n: T): T extends bigint ? bigint : number | bigint
+export declare function prevPrime<T extends number | bigint>(n: T): (T extends bigint ? bigint : number) | null
+export declare function firstDivisor<T extends number | bigint>(n: T): T
+export declare function factorize(n: number | bigint): Record<string, number>
+export declare function divisors<T extends number | bigint>(n: T): T extends bigint ? bigint[] : (number | bigint)[]
+export declare function sigma<T extends number | bigint>(n: T, k?: number): T extends bigint ? bigint : number | bigint
+export declare function radical<T extends number | bigint>(n: T): T extends bigint ? bigint : number | bigint
+export declare function isSquarefree(n: number | bigint): boolean
+
+// Modular arithmetic: a Number when every input is a Number
+export declare function modPow<T extends number | bigint>(b: T, e: T, m: T): T
+export declare function modInverse<T extends number | bigint>(a: T, m: T): T
+export declare function crt<T extends number | bigint>(residues: T[], moduli: T[]): T | null
+export declare function legendre(a: number | bigint, p: number | bigint): -1 | 0 | 1
+export declare function jacobi(a: number | bigint, n: number | bigint): -1 | 0 | 1
+export declare function sqrtMod<T extends number | bigint>(a: T, p: T): T | null
+export declare function order<T extends number | bigint>(a: T, m: T): T | null
+export declare function primitiveRoot<T extends number | bigint>(m: T): T | null
+export declare function discreteLog<T extends number | bigint>(a: T, b: T, m: T): T | null
 
 // Address system (CRT)
 export declare function address(n: number, dimensions?: number | null): number[]
 export declare namespace address {
-  function toNumber(rem: number[]): number
+  function toNumber(rem: number[]): number | bigint
   function isResidual(addr: number[]): boolean
 }
 
@@ -168,28 +416,127 @@ export declare function div(a: number | PrimaSet<number>, b: number | PrimaSet<n
 export declare function mod(a: number, b: number): number
 
 // Statistical
-export declare function sum(...args: number[]): number
-export declare function mean(...args: number[]): number
-export declare function min(...args: number[]): number
-export declare function max(...args: number[]): number
+// BigInt operands give exact BigInt results; safe integers are promoted past MAX_SAFE_INTEGER
+export type Integer = number | bigint
+export declare function sum(...args: Integer[]): Integer
+export declare function mean(...args: Integer[]): Integer
+export declare function min(...args: Integer[]): Integer
+export declare function max(...args: Integer[]): Integer
 
 // Utilities
-export declare function gcd(a: number, b: number): number
-export declare function lcm(a: number, b: number): number
-export declare function factorial(n: number): number | bigint
+export declare function gcd<T extends Integer>(a: T, b: T): T
+export declare function lcm(a: Integer, b: Integer): Integer
+export declare function factorial(n: Integer): Integer
 export declare function clamp(v: number, min: number, max: number): number
 
 // Plugin system
 export interface PrimaSetConstructor {
-  plugin(functions: Record<string, Function> | Function): PrimaSetConstructor
+  plugin(functions: Record<string, Function> | Function | PluginDescriptor | PluginDescriptor[], options?: PluginOptions): PrimaSetConstructor
+  register(descriptor: PluginDescriptor | PluginDescriptor[]): PrimaSetConstructor
+  unregister(name: string): boolean
+  describe(name: string): PluginInfo | null
+  create(opts?: { plugins?: Record<string, Function> | PluginDescriptor | Array<Record<string, Function> | PluginDescriptor> }): PrimaSetConstructor
   listOps(): string[]
   ops: Record<string, Function>
 }
 
 export declare const primaSet: PrimaSetConstructor & typeof primaSet
 
-// Pipe
-export declare function pipe<T>(...fns: Array<(x: any) => any>): (x: T) => any
+// Pipe - step protocol
+export type StepType = 'set' | 'value' | 'any'
+export type StepKind = 'transform' | 'reduce' | 'tap' | 'branch' | 'shortCircuit' | 'catch' | 'retry'
+
+export interface Step<I = any, O = any> {
+  (x: I): O
+  step: StepKind
+  in: StepType
+  out: StepType | 'same'
+}
+
+export declare const step: {
+  transform<I, O>(fn: (x: I) => O, types?: { in?: StepType, out?: StepType | 'same' }): Step<I, O>
+  reduce<T, A>(fn: (acc: A, x: T) => A, init: A): Step<Iterable<T> | AsyncPrimaSet<T>, A>
+  tap<T>(fn: (x: any) => void): Step<T, T>
+  branch<T>(pred: (x: T) => boolean, then: (x: T) => any, otherwise?: (x: T) => any): Step
+  shortCircuit<T>(pred: (x: T) => boolean, result?: (x: T) => any): Step
+  catchError(handler: (error: any, input: any) => any): Step
+  retry(step: ((x: any) => any) | Step, opts?: { times?: number, delay?: number, when?: (error: any) => boolean }): Step
+}
+
+export declare const catchError: typeof step.catchError
+export declare const retry: typeof step.retry
+export declare function pipe<T>(...fns: Array<((x: any) => any) | Step>): (x?: T) => any
+export declare function compose<T>(...fns: Array<((x: any) => any) | Step>): Step<T> & { steps: Array<((x: any) => any) | Step> }
+
+// Seeded random generators
+export type RandomAlgorithm = 'xoshiro128' | 'mulberry32' | 'splitmix32' | ((seed: number) => () => number)
+export type Seed = number | bigint | string | null
+
+export interface RandomOptions {
+  seed?: Seed
+  random?: Random | (() => number)
+}
+
+export declare class Random {
+  constructor(seed?: Seed, opts?: { algorithm?: RandomAlgorithm })
+  readonly initial: number
+  seed(seed?: Seed): this
+  uint32(): number
+  float(): number
+  int(lo: number, hi?: number): number
+  pick<T>(array: ArrayLike<T>): T | undefined
+  shuffle<T>(array: T[]): T[]
+  fork(): Random
+}
+
+export declare function random(): number
+export declare function random(seed: Seed): Random
+export declare function rng(seed?: Seed, opts?: { algorithm?: RandomAlgorithm }): Random
+
+// Reactive sets - push-based
+export interface Observer<T = any> {
+  start?(subscription: Subscription): void
+  next?(value: T): void
+  error?(error: any): void
+  complete?(): void
+}
+
+export interface Subscription {
+  unsubscribe(): void
+  readonly closed: boolean
+}
+
+export declare class ReactiveSet<T = any> {
+  constructor(source: (sink: Required<Omit<Observer<T>, 'start'>> & { readonly closed: boolean }) => (() => void) | void)
+  subscribe(observer: Observer<T>): Subscription
+  subscribe(next?: (value: T) => void, error?: (error: any) => void, complete?: () => void): Subscription
+  map<U>(f: (x: T) => U): ReactiveSet<U>
+  filter(p: (x: T) => any): ReactiveSet<T>
+  on(f: (x: T) => void): ReactiveSet<T>
+  take(n: number): ReactiveSet<T>
+  scan<A>(f: (acc: A, x: T) => A, seed?: A): ReactiveSet<A>
+  distinctUntilChanged(key?: (x: T) => any): ReactiveSet<T>
+  debounce(ms: number): ReactiveSet<T>
+  throttle(ms: number, opts?: { leading?: boolean, trailing?: boolean }): ReactiveSet<T>
+  buffer(spec: number | { time?: number, count?: number }): ReactiveSet<T[]>
+  merge(...others: any[]): ReactiveSet<any>
+  combineLatest(...others: any[]): ReactiveSet<any[]>
+  forEach(fn: (x: T) => void): Promise<void>
+  toArray(): Promise<T[]>
+  toAsync(opts?: { highWaterMark?: number }): AsyncPrimaSet<T>
+}
+
+export declare class Subject<T = any> extends ReactiveSet<T> {
+  next(value: T): void
+  error(error: any): void
+  complete(): void
+}
+
+export declare function reactive<T>(src: any): ReactiveSet<T>
+export declare function subject<T>(): Subject<T>
+export declare function fromEvents<T = any>(target: any, type: string, opts?: { map?: (...args: any[]) => T }): ReactiveSet<T>
+export declare function merge(...sources: any[]): ReactiveSet<any>
+export declare function combineLatest(...sources: any[]): ReactiveSet<any[]>
 
 // Error types
 export declare class PrimaError extends Error {
@@ -205,6 +552,8 @@ export declare class InfiniteLoopError extends PrimaError {
   timeout: number
 }
 
+export declare class MaterializationError extends PrimaError {}
+
 export declare class DimensionError extends PrimaError {
   dimension: number
   expected: number | number[]
@@ -218,7 +567,24 @@ declare const _default: {
   R: typeof R
   primes: typeof primes
   isPrime: typeof isPrime
+  isProbablePrime: typeof isProbablePrime
+  nextPrime: typeof nextPrime
+  prevPrime: typeof prevPrime
   firstDivisor: typeof firstDivisor
+  factorize: typeof factorize
+  divisors: typeof divisors
+  sigma: typeof sigma
+  radical: typeof radical
+  isSquarefree: typeof isSquarefree
+  modPow: typeof modPow
+  modInverse: typeof modInverse
+  crt: typeof crt
+  legendre: typeof legendre
+  jacobi: typeof jacobi
+  sqrtMod: typeof sqrtMod
+  order: typeof order
+  primitiveRoot: typeof primitiveRoot
+  discreteLog: typeof discreteLog
   address: typeof address
   point: typeof point
   complex: typeof complex
@@ -1,10 +1,21 @@
 import { test } from './test/test.mjs';
 import './core/primaset.test.mjs'
 import './core/primaops.test.mjs'
+import './core/primaasync.test.mjs'
+import './core/primamemo.test.mjs'
+import './core/primaparallel.test.mjs'
+import './core/primapipe.test.mjs'
+import './core/primareactive.test.mjs'
+import './core/primarandom.test.mjs'
+import './core/primaprime.test.mjs'
+import './core/primafactor.test.mjs'
+import './core/primamod.test.mjs'
 import './core/dayToDay.test.mjs'
 import './core/allMath.test.mjs'
 import './core/memoize-performance.test.mjs'
 import './num/primanum.test.mjs'
+import './num/primasieve.test.mjs'
+import './num/primaarith.test.mjs'
 import './geo/primageo.test.mjs'
 import './stat/primastat.test.mjs'
 import './lin/primalin.test.mjs'
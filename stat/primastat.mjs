@@ -5,22 +5,52 @@
  */
 
 import { primaSet } from "../core/primaset.mjs"
+import { PrimaError } from "../core/errors.mjs"
 
 // ============================================================================
 // BASIC UTILITIES
 // ============================================================================
 
-const range = (start, end, step = 1) =>
-  primaSet(function* () {
-    let x = start
-    while (x <= end + 1e-12) {
-      yield Number(x.toFixed(10))
-      x += step
+const range = (start, end, step = 1) => {
+  // Closed form start + i·step: no float drift, O(1) index access
+  const size = end === Infinity ? Infinity : Math.max(0, Math.floor((end - start) / step + 1e-9) + 1)
+  const at = i => Number((start + i * step).toFixed(10))
+  const indexOf = v => {
+    const i = Math.round((v - start) / step)
+    return i >= 0 && i < size && at(i) === v ? i : -1
+  }
+  return primaSet(function* () {
+    for (let i = 0; i < size; i++) yield at(i)
+  }, { size, at, indexOf })
+}
+
+// 64-bit integer arrays (i64 sets) as Numbers: exact up to Number.MAX_SAFE_INTEGER, rejected past it
+const toNumbers = (big) => {
+  const values = new Float64Array(big.length)
+  for (let i = 0; i < big.length; i++) {
+    const x = big[i]
+    if (x > BigInt(Number.MAX_SAFE_INTEGER) || x < -BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new PrimaError('Statistics take Numbers: 64-bit values past Number.MAX_SAFE_INTEGER would lose precision', 'STAT_RANGE', { index: i, value: x })
     }
-  })
+    values[i] = Number(x)
+  }
+  return values
+}
+
+// Values of a dataset: typed arrays and typed primaSets as zero-copy views, anything else copied
+const valuesOf = (data) => {
+  const values = ArrayBuffer.isView(data) ? data : data?.isTyped?.() ? data.toTypedArray() : [...data]
+  return values instanceof BigInt64Array || values instanceof BigUint64Array ? toNumbers(values) : values
+}
+
+// Ascending copy of a dataset (typed arrays sort numerically by default)
+const sorted = (data) => {
+  const arr = valuesOf(data)
+  return ArrayBuffer.isView(arr) ? arr.slice().sort() : arr.sort((a, b) => a - b)
+}
 
 const histogram = (set, bins = 10) => {
-  const arr = [...set]
+  const arr = valuesOf(set)
   if (arr.length === 0) return []
   
   const minVal = Math.min(...arr)
@@ -66,7 +96,7 @@ const variance = (arr) => {
 
 // Median
 const median = (data) => {
-  const arr = [...data].sort((a, b) => a - b)
+  const arr = sorted(data)
   if (arr.length === 0) return 0
   const mid = Math.floor(arr.length / 2)
   return arr.length % 2 ? arr[mid] : (arr[mid - 1] + arr[mid]) / 2
@@ -74,7 +104,7 @@ const median = (data) => {
 
 // Percentile
 const percentile = (data, p) => {
-  const arr = [...data].sort((a, b) => a - b)
+  const arr = sorted(data)
   if (arr.length === 0) return 0
   const idx = Math.ceil((p / 100) * arr.length) - 1
   return arr[Math.max(0, idx)]
@@ -86,7 +116,7 @@ const percentile = (data, p) => {
 
 // Shannon entropy in bits
 const entropy = (data) => {
-  const arr = [...data]
+  const arr = valuesOf(data)
   if (arr.length === 0) return 0
 
   const freq = {}
@@ -152,8 +182,8 @@ const correlation = (arr1, arr2) => {
 
 // Linear regression (returns {slope, intercept, r2})
 const linearRegression = (dataX, dataY) => {
-  const x = [...dataX]
-  const y = [...dataY]
+  const x = valuesOf(dataX)
+  const y = valuesOf(dataY)
   const n = Math.min(x.length, y.length)
   if (n < 2) return { slope: 0, intercept: 0, r2: 0 }
 
@@ -219,8 +249,8 @@ const differences = (data) => {
 
 // Test if data follows expected distribution
 const goodnessOfFit = (observed, expected) => {
-  const obs = [...observed]
-  const exp = [...expected]
+  const obs = valuesOf(observed)
+  const exp = valuesOf(expected)
   const n = Math.min(obs.length, exp.length)
 
   let chiSq = 0
@@ -385,7 +415,7 @@ const compareDistributions = async (...datasets) => {
 
 // Summary statistics
 const summary = (data) => {
-  const arr = [...data]
+  const arr = valuesOf(data)
   return {
     count: arr.length,
     mean: mean(arr),
@@ -12,6 +12,7 @@ import {
   goodnessOfFit, hlComparison, summary
 } from './primastat.mjs'
 import { primes, primeGaps, twins } from '../num/primanum.mjs'
+import { primaSet } from '../core/primaset.mjs'
 
 // ============================================================================
 // BASIC STATISTICS
@@ -27,12 +28,45 @@ test('Statistics: median for odd/even length', ({check}) => {
   check(median([1, 2, 3, 4]), 2.5)
 })
 
+test('Statistics: typed sets are read without copying', ({check}) => {
+  const data = primaSet([5, 1, 4, 2, 3], { dtype: 'f64' })
+  check(median(data), 3)
+  check(percentile(data, 100), 5)
+  check([...data], [5, 1, 4, 2, 3])  // Sorting works on a copy
+  check(summary(data).max, 5)
+  check(median(new Int32Array([4, 1, 3])), 3)
+})
+
+test('Statistics: i64 sets are read as Numbers, past MAX_SAFE_INTEGER they throw', ({check}) => {
+  const data = primaSet([5n, 1n, 4n, 2n, 3n], { dtype: 'i64' })
+  check(median(data), 3)
+  check(summary(data).mean, 3)
+  check(summary(data).max, 5)
+  check(histogram(new BigInt64Array([1n, 2n]), 2).length, 2)
+  try {
+    summary(primaSet([2n ** 60n, 1n], { dtype: 'i64' }))
+    check(false)
+  } catch (e) {
+    check(e.code, 'STAT_RANGE')
+  }
+})
+
 test('Statistics: standard deviation', ({check}) => {
   const data = [2, 4, 4, 4, 5, 5, 7, 9]
   const sd = stddev(data)
   check(sd > 2 && sd < 2.2) // Approximately 2.138
 })
 
+test('range: closed form, no float drift', ({check}) => {
+  const r = range(0, 1, 0.1)
+  check(r.length, 11)
+  check(r[3], 0.3)
+  check(r.indexOf(0.7), 7)
+  check(range(0, Infinity, 0.5)[1e9], 5e8)
+  check(range(0, Infinity, 0.5).cardinality(), 'infinite')
+  check([...range(0, 1, 0.25)], [0, 0.25, 0.5, 0.75, 1])
+})
+
 test('Statistics: percentile', ({check}) => {
   const data = range(1, 100, 1)
   check(percentile(data, 50), 50) // Median
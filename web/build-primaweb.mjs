@@ -7,6 +7,7 @@ import { build } from 'esbuild'
 import { existsSync, readFileSync, writeFileSync } from 'fs'
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
+import { nodeStubs } from '../build-plugins.mjs'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -34,6 +35,7 @@ async function buildPrimaWeb() {
 `
       },
       external: ['fs', 'http', 'path', 'url'],
+      plugins: [nodeStubs],
       define: {
         'import.meta': 'undefined'
       }
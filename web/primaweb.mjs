@@ -12,6 +12,7 @@
  */
 
 import { primaSet } from '../core/primaset.mjs'
+import { ReactiveSet, fromEvents } from '../core/primareactive.mjs'
 import { env, include } from './primaenv.mjs'
 import * as primalib from 'primalib'
 
@@ -69,7 +70,31 @@ const say = (text, target = null) => {
 // Universal on() - Event Handler
 // ============================================================================
 
+// A WebSocket message as { type, data }; null when it is not JSON
+const parseMessage = (raw) => {
+  try {
+    return JSON.parse(typeof raw === 'string' ? raw : raw.toString())
+  } catch (e) {
+    return null
+  }
+}
+
+// Listener for messages of one type: unparseable messages are skipped and handler errors
+// stay here, so a throwing handler never escapes the socket's 'message' emit (it would crash a Node server)
+const messageListener = (type, handler, ws) => (raw) => {
+  const data = parseMessage(raw)
+  if (data?.type !== type) return
+  try {
+    handler(data.data, ws)
+  } catch (e) {
+    // Silently ignore handler errors (streams from on(type) report them to their subscribers)
+  }
+}
+
 const on = (type, handler) => {
+  // No handler: the events as a reactive set (debounce, scan, merge... then subscribe)
+  if (handler === undefined) return (target) => events(type, target)
+
   // Browser: DOM events (when called with selector)
   if (typeof document !== 'undefined' && typeof type === 'string' && type.match(/^(click|change|input|submit)$/)) {
     return (selector) => {
@@ -88,16 +113,8 @@ const on = (type, handler) => {
     
     // Browser WebSocket: use addEventListener (works even when CONNECTING)
     if (typeof ws.addEventListener === 'function') {
-      const listener = (event) => {
-        try {
-          const data = JSON.parse(event.data)
-          if (data.type === type) {
-            handler(data.data, ws)
-          }
-        } catch (e) {
-          // Silently ignore parse errors
-        }
-      }
+      const handle = messageListener(type, handler, ws)
+      const listener = (event) => handle(event.data)
       // Attach immediately - works even if WebSocket is CONNECTING
       ws.addEventListener('message', listener)
       return { remove: () => ws.removeEventListener('message', listener) }
@@ -105,12 +122,7 @@ const on = (type, handler) => {
     
     // Node.js WebSocket: use on() method
     if (typeof ws.on === 'function') {
-      const listener = (message) => {
-        try {
-          const data = typeof message === 'string' ? JSON.parse(message) : JSON.parse(message.toString())
-          if (data.type === type) handler(data.data, ws)
-        } catch (e) { }
-      }
+      const listener = messageListener(type, handler, ws)
       ws.on('message', listener)
       return { remove: () => ws.removeListener('message', listener) }
     }
@@ -119,6 +131,21 @@ const on = (type, handler) => {
   }
 }
 
+const events = (type, target) => {
+  if (typeof document !== 'undefined' && /^(click|change|input|submit)$/.test(type)) {
+    return fromEvents(typeof target === 'string' ? document.querySelector(target) : target, type)
+  }
+  // WebSocket messages of this type: their data, listener removed on unsubscribe;
+  // a throwing subscriber errors the stream
+  return new ReactiveSet(sink => on(type, (data) => {
+    try {
+      sink.next(data)
+    } catch (e) {
+      sink.error(e)
+    }
+  })(target)?.remove)
+}
+
 // ============================================================================
 // Universal send() - Message Sender
 // ============================================================================
@@ -128,3 +128,52 @@ test('primaweb - primalib exposure', function ({check}) {
   check(typeof primalib.primes === 'object')
 })
 
+
+// Test on() without handler - WebSocket messages as a reactive set
+test('on() - message stream', function ({check}) {
+  const listeners = new Set()
+  const mockWs = {
+    addEventListener: (type, handler) => listeners.add(handler),
+    removeEventListener: (type, handler) => listeners.delete(handler)
+  }
+  const emit = (type, data) => listeners.forEach(h => h({ data: JSON.stringify({ type, data }) }))
+  const sums = []
+  const sub = on('tick')({ ws: mockWs }).map(d => d.n).scan((a, b) => a + b, 0).subscribe(x => sums.push(x))
+  emit('tick', { n: 1 })
+  emit('other', { n: 5 })
+  emit('tick', { n: 2 })
+  sub.unsubscribe()
+  emit('tick', { n: 3 })
+  check(sums, [1, 3])
+  check(listeners.size, 0)
+})
+
+test('on() - handler errors stay in the listener, streams report them as errors', function ({check}) {
+  const listeners = new Set()
+  const mockWs = {
+    addEventListener: (type, handler) => listeners.add(handler),
+    removeEventListener: (type, handler) => listeners.delete(handler)
+  }
+  const emit = (data) => listeners.forEach(h => h({ data }))
+  const tick = (n) => emit(JSON.stringify({ type: 'tick', data: { n } }))
+  const handled = []
+  const { remove } = on('tick', (d) => { handled.push(d.n); throw new Error('handler') })({ ws: mockWs })
+  emit('not json')
+  tick(1)                                // Does not throw out of the emit
+  remove()
+  check(handled, [1])
+  const seen = [], errors = []
+  on('tick')({ ws: mockWs }).subscribe(d => {
+    if (d.n < 0) throw new Error('negative tick')
+    seen.push(d.n)
+  }, e => errors.push(e.message))
+  tick(2)
+  tick(-1)
+  tick(3)                                // The stream has ended
+  check(seen, [2])
+  check(errors, ['negative tick'])
+  check(listeners.size, 0)
+  on('tick')({ ws: mockWs }).subscribe(() => { throw new Error('no error callback') })
+  tick(4)                                // Contained as well
+  check(listeners.size, 0)
+})